@@ -0,0 +1,185 @@
+import { randomBytes } from 'node:crypto';
+import { config } from './config.js';
+import { HttpError, readJson, sendJson } from './http.js';
+import { ROLES } from './permissions.js';
+import { getAdminClient } from './supabaseAdmin.js';
+
+// Backs the dashboard's admin Users page with the Supabase auth admin API
+// (see supabaseAdmin.js). Every route here is only reached after
+// requireRole(req, 'admin').
+
+const STATUSES = ['pending', 'active', 'disabled'];
+
+// Supabase has no permanent ban; a century is close enough
+const DISABLED_BAN_DURATION = '876000h';
+
+const USERS_PAGE_SIZE = 1000;
+
+// Supabase errors become 400s: they are nearly always about the input
+const unwrap = ({ data, error }) => {
+  if (error) throw new HttpError(error.status && error.status < 500 ? error.status : 400, error.message);
+  return data;
+};
+
+const listAuthUsers = async (admin) => {
+  const users = [];
+  for (let page = 1; ; page++) {
+    const data = unwrap(await admin.auth.admin.listUsers({ page, perPage: USERS_PAGE_SIZE }));
+    users.push(...data.users);
+    if (data.users.length < USERS_PAGE_SIZE) return users;
+  }
+};
+
+const listUsers = async () => {
+  const admin = getAdminClient();
+  const [users, roles, memberships] = await Promise.all([
+    listAuthUsers(admin),
+    admin.from('user_roles').select('user_id, role, status').then(unwrap),
+    admin.from('team_members').select('team_id, user_id').then(unwrap)
+  ]);
+
+  const rolesByUser = new Map(roles.map(row => [row.user_id, row]));
+  return users.map(user => ({
+    id: user.id,
+    email: user.email,
+    createdAt: user.created_at,
+    invitedAt: user.invited_at ?? null,
+    emailConfirmedAt: user.email_confirmed_at ?? null,
+    lastSignInAt: user.last_sign_in_at ?? null,
+    role: rolesByUser.get(user.id)?.role ?? 'viewer',
+    status: rolesByUser.get(user.id)?.status ?? 'pending',
+    teamIds: memberships.filter(row => row.user_id === user.id).map(row => row.team_id)
+  }));
+};
+
+const listTeams = async () =>
+  unwrap(await getAdminClient().from('teams').select('id, name').order('name'));
+
+// Bodies are destructured, so anything but a plain object is a 400 rather
+// than a TypeError
+const readJsonObject = async (req) => {
+  const body = await readJson(req);
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Expected a JSON object', 'invalid_body');
+  }
+  return body;
+};
+
+const validateChanges = ({ role, status, teamIds }) => {
+  if (role !== undefined && !ROLES.includes(role)) {
+    throw new HttpError(400, `Unknown role "${role}"`);
+  }
+  if (status !== undefined && !STATUSES.includes(status)) {
+    throw new HttpError(400, `Unknown status "${status}"`);
+  }
+  if (teamIds !== undefined && (!Array.isArray(teamIds) || teamIds.some(id => typeof id !== 'string'))) {
+    throw new HttpError(400, 'teamIds must be an array of team ids');
+  }
+};
+
+/**
+ * Applies role, status and team changes to a user. Admins cannot demote or
+ * disable themselves, so there is always someone left to undo a mistake.
+ */
+const updateUser = async (actor, userId, changes) => {
+  validateChanges(changes);
+  const { role, status, teamIds } = changes;
+  if (userId === actor.id && ((role && role !== 'admin') || (status && status !== 'active'))) {
+    throw new HttpError(400, 'You cannot demote or disable your own account');
+  }
+
+  const admin = getAdminClient();
+  if (role !== undefined || status !== undefined) {
+    unwrap(await admin.from('user_roles').upsert({
+      user_id: userId,
+      ...(role !== undefined && { role }),
+      ...(status !== undefined && { status }),
+      updated_by: actor.id,
+      updated_at: new Date().toISOString()
+    }));
+  }
+
+  if (status !== undefined) {
+    unwrap(await admin.auth.admin.updateUserById(userId, {
+      ban_duration: status === 'disabled' ? DISABLED_BAN_DURATION : 'none'
+    }));
+  }
+
+  if (teamIds !== undefined) {
+    unwrap(await admin.from('team_members').delete().eq('user_id', userId));
+    if (teamIds.length > 0) {
+      unwrap(await admin.from('team_members').insert(teamIds.map(teamId => ({ team_id: teamId, user_id: userId }))));
+    }
+  }
+};
+
+// Invited users are approved up front; the invite email links to the page
+// where they choose a password
+const inviteUser = async (actor, { email, role = 'viewer', teamIds = [] }) => {
+  if (typeof email !== 'string' || !/^\S+@\S+\.\S+$/.test(email)) {
+    throw new HttpError(400, 'A valid email address is required');
+  }
+  validateChanges({ role, teamIds });
+
+  const { user } = unwrap(await getAdminClient().auth.admin.inviteUserByEmail(email.trim(), {
+    redirectTo: `${config.dashboardUrl}/reset-password`
+  }));
+  await updateUser(actor, user.id, { role, status: 'active', teamIds });
+  return { id: user.id };
+};
+
+// Long, random and covering every character class, so it passes whatever
+// password rules the project has while nobody can know it
+const unguessablePassword = () => `${randomBytes(32).toString('base64url')}aA1!`;
+
+/**
+ * Forces a password reset: the current password is replaced with one nobody
+ * knows, every session is signed out (sign_out_user in
+ * supabase/migrations/*_sign_out_user.sql), and the user is emailed a link to
+ * choose a new password, which is then the only way back in.
+ */
+const forcePasswordReset = async (userId) => {
+  const admin = getAdminClient();
+  const { user } = unwrap(await admin.auth.admin.getUserById(userId));
+  unwrap(await admin.auth.admin.updateUserById(userId, { password: unguessablePassword() }));
+  unwrap(await admin.rpc('sign_out_user', { target_user_id: userId }));
+  unwrap(await admin.auth.resetPasswordForEmail(user.email, {
+    redirectTo: `${config.dashboardUrl}/reset-password`
+  }));
+};
+
+const USER_PATH = /^\/users\/([0-9a-f-]{36})$/;
+const PASSWORD_RESET_PATH = /^\/users\/([0-9a-f-]{36})\/password-reset$/;
+
+/**
+ * Routes `/api/admin/*` requests.
+ * @param {string} path - The path below `/api/admin`, e.g. `/users`
+ * @param {Object} actor - The signed-in admin
+ */
+export const handleAdminRequest = async (req, res, path, actor) => {
+  if (path === '/users' && req.method === 'GET') {
+    return sendJson(res, 200, { items: await listUsers() });
+  }
+
+  if (path === '/teams' && req.method === 'GET') {
+    return sendJson(res, 200, { items: await listTeams() });
+  }
+
+  if (path === '/users/invite' && req.method === 'POST') {
+    return sendJson(res, 201, await inviteUser(actor, await readJsonObject(req)));
+  }
+
+  const userMatch = USER_PATH.exec(path);
+  if (userMatch && req.method === 'PATCH') {
+    await updateUser(actor, userMatch[1], await readJsonObject(req));
+    return sendJson(res, 200, { ok: true });
+  }
+
+  const resetMatch = PASSWORD_RESET_PATH.exec(path);
+  if (resetMatch && req.method === 'POST') {
+    await forcePasswordReset(resetMatch[1]);
+    return sendJson(res, 200, { ok: true });
+  }
+
+  throw new HttpError(404, `No route for ${req.method} /api/admin${path}`);
+};
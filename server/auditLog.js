@@ -0,0 +1,115 @@
+import { getAdminClient } from './supabaseAdmin.js';
+
+// Records every Platform API call that changes something in the audit_log
+// table (supabase/migrations/*_audit_log.sql). Entries are written here,
+// against the user supabaseAuth has verified, so a call cannot skip its entry
+// or be attributed to someone else. The dashboard may send a more specific
+// action and the job's name as hints (see AUDIT_HEADERS in
+// src/lib/auditLog.js); the action hint is only accepted where it describes
+// the same kind of request.
+
+const ACTION_HEADER = 'x-audit-action';
+const JOB_NAME_HEADER = 'x-audit-job-name';
+
+const ROUTES = [
+  { method: 'POST', pattern: /^\/v1\/jobs$/, action: 'job.create' },
+  { method: 'PATCH', pattern: /^\/v1\/jobs\/([^/]+)$/, action: 'job.update' },
+  { method: 'DELETE', pattern: /^\/v1\/jobs\/([^/]+)$/, action: 'job.delete' },
+  { method: 'POST', pattern: /^\/v1\/jobs\/([^/]+)\/transfers$/, action: 'transfer.start' },
+  {
+    method: 'DELETE',
+    pattern: /^\/v1\/jobs\/([^/]+)\/transfers\/([^/]+)$/,
+    action: 'transfer.cancel',
+    request: match => ({ transferId: match[2] })
+  }
+];
+
+// The more specific actions the dashboard may name for each kind of request
+const ACTION_HINTS = {
+  'job.create': ['job.clone', 'job.restore'],
+  'job.update': ['job.edit', 'job.settings', 'job.pause', 'job.resume', 'folder.stop', 'folder.start', 'trigger.update']
+};
+
+const parseJson = (buffer) => {
+  if (!buffer?.length) return null;
+  try {
+    return JSON.parse(buffer.toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+const readJobNameHint = (req) => {
+  const value = req.headers[JOB_NAME_HEADER];
+  if (!value) return null;
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+};
+
+// Calls outside ROUTES are still recorded, under their method and path
+const describeCall = (req, path, body) => {
+  const route = ROUTES.find(candidate => candidate.method === req.method && candidate.pattern.test(path));
+  if (!route) {
+    return { action: `${req.method} ${path}`, jobId: null, request: body };
+  }
+
+  const match = route.pattern.exec(path);
+  const hint = req.headers[ACTION_HEADER];
+  return {
+    action: ACTION_HINTS[route.action]?.includes(hint) ? hint : route.action,
+    jobId: match[1] ?? null,
+    jobName: body?.name ?? readJobNameHint(req),
+    request: route.request ? route.request(match) : body
+  };
+};
+
+const insertEntry = async (entry) => {
+  const { error } = await getAdminClient().from('audit_log').insert(entry);
+  if (error) {
+    console.error('Audit entry not recorded:', entry, error);
+  }
+};
+
+/**
+ * Runs `proxy` and records its outcome. The service role client is fetched
+ * first so that, without it, the call is refused (503) rather than made
+ * unaudited.
+ * @param {{ req: import('http').IncomingMessage, user: Object, path: string, body?: Buffer }} call
+ * @param {() => Promise<{ status: number, body: Buffer }>} proxy
+ */
+export const auditPlatformCall = async ({ req, user, path, body }, proxy) => {
+  getAdminClient();
+
+  const { action, jobId, jobName, request } = describeCall(req, path, parseJson(body));
+  const entry = {
+    user_id: user.id,
+    user_email: user.email,
+    action,
+    job_id: jobId,
+    job_name: jobName ?? null,
+    request
+  };
+
+  let result;
+  try {
+    result = await proxy();
+  } catch (error) {
+    await insertEntry({ ...entry, outcome: 'failure', status: null, error: error.message });
+    throw error;
+  }
+
+  const response = parseJson(result.body);
+  const succeeded = result.status >= 200 && result.status < 300;
+  await insertEntry(succeeded
+    ? { ...entry, job_id: entry.job_id ?? response?.jobId ?? null, outcome: 'success' }
+    : {
+        ...entry,
+        outcome: 'failure',
+        status: result.status,
+        error: response?.message || `Platform API responded with ${result.status}`
+      });
+  return result;
+};
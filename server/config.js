@@ -0,0 +1,22 @@
+// Loads .env from the working directory when present (Node 20.12+). Values
+// without a VITE_ prefix are never exposed to the browser bundle.
+try {
+  process.loadEnvFile?.();
+} catch {
+  // No .env file; rely on the real environment
+}
+
+export const config = {
+  port: Number(process.env.SERVER_PORT || 8787),
+  signiant: {
+    apiUrl: process.env.SIGNIANT_API_URL || 'https://platform-api-service.services.cloud.signiant.com',
+    clientId: process.env.SIGNIANT_CLIENT_ID,
+    clientSecret: process.env.SIGNIANT_CLIENT_SECRET
+  },
+  supabase: {
+    url: process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL,
+    anonKey: process.env.SUPABASE_ANON_KEY || process.env.VITE_SUPABASE_ANON_KEY,
+    serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY
+  },
+  dashboardUrl: process.env.DASHBOARD_URL || 'http://localhost:5173'
+};
@@ -0,0 +1,33 @@
+export const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+export const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+/**
+ * @throws {HttpError} 400 with code invalid_json when the body does not parse
+ */
+export const readJson = async (req) => {
+  const body = await readBody(req);
+  if (!body.length) return {};
+  try {
+    return JSON.parse(body.toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'Invalid JSON body', 'invalid_json');
+  }
+};
+
+export class HttpError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
@@ -0,0 +1,67 @@
+import http from 'node:http';
+import { config } from './config.js';
+import { HttpError, readBody, sendJson } from './http.js';
+import { requireUser, requireRole, requireMfa } from './supabaseAuth.js';
+import { isPlatformRead, requiredRoleForPlatform, requiresMfaForPlatform } from './permissions.js';
+import { signiantTokens } from './signiantToken.js';
+import { proxyToPlatform } from './platformProxy.js';
+import { handleAdminRequest } from './adminUsers.js';
+import { auditPlatformCall } from './auditLog.js';
+
+const PLATFORM_PREFIX = '/platform-api';
+const ADMIN_PREFIX = '/api/admin';
+
+const handleRequest = async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (url.pathname === '/healthz') {
+    return sendJson(res, 200, { ok: true });
+  }
+
+  // Forces a fresh client-credentials exchange. Used by the dashboard to
+  // check whether a lost Signiant connection has recovered.
+  if (url.pathname === '/api/signiant/token' && req.method === 'POST') {
+    await requireUser(req);
+    await signiantTokens.refresh();
+    return sendJson(res, 200, { connected: true });
+  }
+
+  if (url.pathname.startsWith(`${ADMIN_PREFIX}/`)) {
+    const { user } = await requireRole(req, 'admin');
+    requireMfa(req);
+    return handleAdminRequest(req, res, url.pathname.slice(ADMIN_PREFIX.length), user);
+  }
+
+  if (url.pathname.startsWith(`${PLATFORM_PREFIX}/`)) {
+    const path = url.pathname.slice(PLATFORM_PREFIX.length);
+    const { user } = await requireRole(req, requiredRoleForPlatform(req.method, path));
+    if (requiresMfaForPlatform(req.method, path)) requireMfa(req);
+    if (isPlatformRead(req.method, path)) {
+      return proxyToPlatform(req, res, `${path}${url.search}`);
+    }
+
+    const body = await readBody(req);
+    return auditPlatformCall({ req, user, path, body }, () =>
+      proxyToPlatform(req, res, `${path}${url.search}`, body));
+  }
+
+  throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+};
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch((error) => {
+    if (error instanceof HttpError) {
+      return sendJson(res, error.status, { message: error.message, code: error.code });
+    }
+    console.error(`Unhandled error for ${req.method} ${req.url}:`, error);
+    sendJson(res, 500, { message: 'Internal server error' });
+  });
+});
+
+if (!config.signiant.clientId || !config.signiant.clientSecret) {
+  console.warn('SIGNIANT_CLIENT_ID / SIGNIANT_CLIENT_SECRET are not set; Platform API calls will fail');
+}
+
+server.listen(config.port, () => {
+  console.log(`Signiant dashboard server listening on http://localhost:${config.port}`);
+});
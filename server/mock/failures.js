@@ -0,0 +1,54 @@
+// Failure rules injected through the /__mock control API or MOCK_FAILURE_RATE.
+// Each rule answers matching requests with its status until `remaining` hits 0.
+
+const DEFAULT_MESSAGES = {
+  401: 'The access token is invalid or has expired',
+  429: 'Too many requests',
+  500: 'Internal server error',
+  503: 'Service unavailable'
+};
+
+export class FailureInjector {
+  constructor({ randomFailureRate = 0 } = {}) {
+    this.rules = [];
+    this.randomFailureRate = randomFailureRate;
+  }
+
+  add({ status, path = '/', method, count = 1, retryAfterSeconds = 2 }) {
+    const rule = { id: this.rules.length + 1, status: Number(status), path, method, remaining: Number(count), retryAfterSeconds };
+    this.rules.push(rule);
+    return rule;
+  }
+
+  clear() {
+    this.rules = [];
+  }
+
+  /**
+   * Returns the failure to answer this request with, or null to serve it.
+   * @returns {{ status: number, message: string, headers: Object } | null}
+   */
+  match(method, path) {
+    const rule = this.rules.find(candidate =>
+      candidate.remaining > 0 &&
+      path.startsWith(candidate.path) &&
+      (!candidate.method || candidate.method === method)
+    );
+
+    if (rule) {
+      rule.remaining -= 1;
+      this.rules = this.rules.filter(candidate => candidate.remaining > 0);
+      return {
+        status: rule.status,
+        message: DEFAULT_MESSAGES[rule.status] || 'Injected failure',
+        headers: rule.status === 429 ? { 'Retry-After': String(rule.retryAfterSeconds) } : {}
+      };
+    }
+
+    if (this.randomFailureRate > 0 && Math.random() < this.randomFailureRate) {
+      return { status: 500, message: DEFAULT_MESSAGES[500], headers: {} };
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,166 @@
+import { randomUUID } from 'node:crypto';
+
+// Small deterministic PRNG so every run of the mock serves the same account
+const createRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const ACCOUNT_ID = '0a1b2c3d-0000-4000-8000-000000000001';
+const SERVICE_ID = '0a1b2c3d-0000-4000-8000-000000000002';
+
+const PROFILE_DEFINITIONS = [
+  { name: 'Ingest NAS - Promo', type: 'ON_PREMISE_FILE_STORAGE', url: 'file:///mnt/ingest/promo' },
+  { name: 'Ingest NAS - News', type: 'ON_PREMISE_FILE_STORAGE', url: 'file:///mnt/ingest/news' },
+  { name: 'Ingest NAS - Post', type: 'ON_PREMISE_FILE_STORAGE', url: 'file:///mnt/ingest/post' },
+  { name: 'Archive SAN', type: 'ON_PREMISE_FILE_STORAGE', url: 'file:///mnt/archive' },
+  { name: 'S3 Deliveries', type: 'AWS_S3', url: 's3://deliveries-bucket' },
+  { name: 'S3 Promo Masters', type: 'AWS_S3', url: 's3://promo-masters' },
+  { name: 'Azure Playout', type: 'AZURE_BLOB', url: 'https://playout.blob.core.windows.net/media' },
+  { name: 'GCS Newsroom', type: 'GCP_CLOUD_STORAGE', url: 'gs://newsroom-media' }
+];
+
+const SHOWS = ['EVENING NEWS', 'MORNING SHOW', 'DOC SERIES', 'SPORTS WRAP', 'PROMO SPOT', 'LATE NIGHT'];
+
+const HOT_FOLDER_EVENTS = [
+  'hotFolder.files.discovered',
+  'hotFolder.files.created',
+  'hotFolder.files.modified',
+  'hotFolder.signature.changed'
+];
+
+export const JOB_COUNT = 240;
+
+const toProfileRef = (profile) => ({
+  accountId: ACCOUNT_ID,
+  storageProfileId: profile.storageProfileId,
+  name: profile.name,
+  url: profile.config.url,
+  type: 'PRIVATE'
+});
+
+const createStorageProfiles = () => PROFILE_DEFINITIONS.map((definition, index) => ({
+  storageProfileId: `5f0e0000-0000-4000-8000-${String(index + 1).padStart(12, '0')}`,
+  accountId: ACCOUNT_ID,
+  serviceId: SERVICE_ID,
+  name: definition.name,
+  storageProfileType: definition.type,
+  config: { url: definition.url },
+  endpoint: { name: `${definition.name} endpoint`, id: randomUUID(), status: 'ONLINE' },
+  lastModifiedOn: '2024-10-01T12:00:00.000Z'
+}));
+
+const createJob = ({ random, index, sources, destinations, now }) => {
+  const source = sources[index % sources.length];
+  const destination = destinations[Math.floor(random() * destinations.length)];
+  const show = SHOWS[index % SHOWS.length];
+  const isHotFolder = random() < 0.8;
+  const createdOn = new Date(now - (index + 1) * 3 * 60 * 60 * 1000).toISOString();
+  const folder = `${show.replace(/\s+/g, '_')}_${String(index + 1).padStart(3, '0')}`;
+
+  return {
+    jobId: randomUUID(),
+    name: isHotFolder ? `Hot Folder - ${show} ${index + 1}` : `${folder}.mxf`,
+    accountId: ACCOUNT_ID,
+    serviceId: SERVICE_ID,
+    paused: false,
+    createdOn,
+    lastModifiedOn: createdOn,
+    createdByAuthId: 'mock-user-0001',
+    lastModifiedByAuthId: 'mock-user-0001',
+    actions: [{
+      actionId: randomUUID(),
+      type: 'TRANSFER',
+      createdOn,
+      data: {
+        source: toProfileRef(source),
+        destination: {
+          ...toProfileRef(destination),
+          config: { path: `deliveries/${folder}` }
+        },
+        transferOptions: {
+          objectPatterns: {
+            inclusions: [isHotFolder ? '**/*.mxf' : `**/${folder}.mxf`],
+            type: 'GLOB'
+          }
+        }
+      }
+    }],
+    triggers: [isHotFolder ? {
+      triggerId: randomUUID(),
+      type: 'HOT_FOLDER',
+      events: HOT_FOLDER_EVENTS,
+      data: { source: toProfileRef(source) }
+    } : {
+      triggerId: randomUUID(),
+      type: 'MANUAL',
+      data: { source: toProfileRef(source) }
+    }],
+    activeAlerts: []
+  };
+};
+
+const EPISODES_PER_SHOW = 4;
+const SIDE_CAR_EXTENSIONS = ['.xml', '.wav'];
+
+// Folder tree browsed through /v1/storageProfiles/{id}/objects. Stored flat,
+// one entry per file or folder, with paths relative to the profile root.
+const createStorageObjects = ({ random, now }) => {
+  const objects = [{ path: 'incoming', type: 'FOLDER', lastModifiedOn: new Date(now).toISOString() }];
+  const modifiedOn = () => new Date(now - Math.floor(random() * 30 * 24 * 60 * 60 * 1000)).toISOString();
+
+  SHOWS.forEach((show) => {
+    const showFolder = show.replace(/\s+/g, '_');
+    objects.push({ path: showFolder, type: 'FOLDER', lastModifiedOn: modifiedOn() });
+
+    for (let episode = 1; episode <= EPISODES_PER_SHOW; episode++) {
+      const episodeFolder = `${showFolder}/Episode_${String(episode).padStart(2, '0')}`;
+      objects.push({ path: episodeFolder, type: 'FOLDER', lastModifiedOn: modifiedOn() });
+
+      const clipCount = 3 + Math.floor(random() * 5);
+      for (let clip = 1; clip <= clipCount; clip++) {
+        const base = `${episodeFolder}/${showFolder}_E${episode}_clip_${String(clip).padStart(2, '0')}`;
+        objects.push({
+          path: `${base}${random() < 0.8 ? '.mxf' : '.mov'}`,
+          type: 'FILE',
+          sizeInBytes: Math.floor((0.5 + random() * 6) * 1024 * 1024 * 1024),
+          lastModifiedOn: modifiedOn()
+        });
+        if (random() < 0.3) {
+          const extension = SIDE_CAR_EXTENSIONS[Math.floor(random() * SIDE_CAR_EXTENSIONS.length)];
+          objects.push({
+            path: `${base}${extension}`,
+            type: 'FILE',
+            sizeInBytes: Math.floor(random() * 50 * 1024 * 1024),
+            lastModifiedOn: modifiedOn()
+          });
+        }
+      }
+    }
+  });
+
+  return objects;
+};
+
+/**
+ * Builds a fresh account: storage profiles with browsable contents plus
+ * `JOB_COUNT` jobs spread across them, enough to exercise pagination in every
+ * listing.
+ */
+export const createFixtures = (now = Date.now()) => {
+  const random = createRandom(42);
+  const storageProfiles = createStorageProfiles();
+  const sources = storageProfiles.filter(p => p.storageProfileType === 'ON_PREMISE_FILE_STORAGE');
+  const destinations = storageProfiles.filter(p => p.storageProfileType !== 'ON_PREMISE_FILE_STORAGE');
+
+  const jobs = Array.from({ length: JOB_COUNT }, (_, index) =>
+    createJob({ random, index, sources, destinations, now })
+  );
+
+  const storageObjects = new Map(storageProfiles.map(profile => [
+    profile.storageProfileId,
+    createStorageObjects({ random, now })
+  ]));
+
+  return { storageProfiles, storageObjects, jobs, random };
+};
@@ -0,0 +1,154 @@
+import http from 'node:http';
+import { HttpError, readJson, sendJson } from '../http.js';
+import { MockPlatform } from './platform.js';
+import { FailureInjector } from './failures.js';
+
+// Local stand-in for the Signiant Platform API. Start it with
+// `npm run mock:signiant`, then either run `SIGNIANT_MOCK=1 npm run dev` to
+// proxy the dashboard straight to it, or point the dashboard server at it with
+// SIGNIANT_API_URL=http://localhost:8788.
+//
+// Control endpoints:
+//   GET    /__mock/state     jobs, alerts and pending failures
+//   POST   /__mock/reset     reseed fixtures and clear failures
+//   POST   /__mock/failures  { status: 401|429|500, path?, method?, count? }
+//   DELETE /__mock/failures
+//   POST   /__mock/alerts    { jobId?, type? } - stalls the job's transfer
+//   DELETE /__mock/alerts
+
+const port = Number(process.env.MOCK_SIGNIANT_PORT || 8788);
+const platform = new MockPlatform();
+const failures = new FailureInjector({
+  randomFailureRate: Number(process.env.MOCK_FAILURE_RATE || 0)
+});
+
+let issuedTokens = 0;
+
+const requireBearer = (req) => {
+  if (!/^Bearer .+/.test(req.headers.authorization || '')) {
+    throw new HttpError(401, 'Missing bearer token');
+  }
+};
+
+const handleControl = async (req, res, url) => {
+  const route = `${req.method} ${url.pathname}`;
+
+  switch (route) {
+    case 'GET /__mock/state':
+      return sendJson(res, 200, { ...platform.summary(), failures: failures.rules });
+    case 'POST /__mock/reset':
+      platform.reset();
+      failures.clear();
+      return sendJson(res, 200, platform.summary());
+    case 'POST /__mock/failures':
+      return sendJson(res, 201, failures.add(await readJson(req)));
+    case 'DELETE /__mock/failures':
+      failures.clear();
+      return sendJson(res, 200, { rules: [] });
+    case 'POST /__mock/alerts':
+      return sendJson(res, 201, platform.raiseAlert(await readJson(req)));
+    case 'DELETE /__mock/alerts':
+      platform.clearAlerts();
+      return sendJson(res, 200, platform.summary());
+    default:
+      throw new HttpError(404, `No mock control route for ${route}`);
+  }
+};
+
+const handleApi = async (req, res, url) => {
+  const { pathname } = url;
+  const query = Object.fromEntries(url.searchParams);
+
+  const failure = failures.match(req.method, pathname);
+  if (failure) {
+    res.writeHead(failure.status, { 'Content-Type': 'application/json', ...failure.headers });
+    return res.end(JSON.stringify({ message: failure.message }));
+  }
+
+  if (pathname === '/oauth/token' && req.method === 'POST') {
+    issuedTokens += 1;
+    return sendJson(res, 200, { access_token: `mock-token-${issuedTokens}`, token_type: 'Bearer', expires_in: 3600 });
+  }
+
+  // Stands in for the dashboard server's token refresh when the Vite proxy
+  // points straight at the mock
+  if (pathname === '/api/signiant/token' && req.method === 'POST') {
+    return sendJson(res, 200, { connected: true });
+  }
+
+  requireBearer(req);
+  platform.tick();
+
+  if (pathname === '/v1/storageProfiles' && req.method === 'GET') {
+    return sendJson(res, 200, platform.listStorageProfiles());
+  }
+
+  const objectsMatch = /^\/v1\/storageProfiles\/([^/]+)\/objects$/.exec(pathname);
+  if (objectsMatch && req.method === 'GET') {
+    return sendJson(res, 200, platform.listStorageObjects(objectsMatch[1], query));
+  }
+  if (pathname === '/v1/jobs' && req.method === 'GET') {
+    return sendJson(res, 200, platform.listJobs(query));
+  }
+  if (pathname === '/v1/jobs' && req.method === 'POST') {
+    return sendJson(res, 201, platform.createJob(await readJson(req)));
+  }
+  if (pathname === '/v1/jobs/search' && req.method === 'POST') {
+    return sendJson(res, 200, platform.searchJobs(await readJson(req)));
+  }
+  if (pathname === '/v1/jobs/files' && req.method === 'GET') {
+    return sendJson(res, 200, platform.listFiles(query));
+  }
+
+  const transfersMatch = /^\/v1\/jobs\/([^/]+)\/transfers$/.exec(pathname);
+  if (transfersMatch && req.method === 'GET') {
+    return sendJson(res, 200, platform.listTransfers(transfersMatch[1], query));
+  }
+  if (transfersMatch && req.method === 'POST') {
+    return sendJson(res, 201, platform.runJob(transfersMatch[1]));
+  }
+
+  const transferMatch = /^\/v1\/jobs\/([^/]+)\/transfers\/([^/]+)$/.exec(pathname);
+  if (transferMatch && req.method === 'DELETE') {
+    platform.cancelTransfer(transferMatch[1], transferMatch[2]);
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const jobMatch = /^\/v1\/jobs\/([^/]+)$/.exec(pathname);
+  if (jobMatch) {
+    const [, jobId] = jobMatch;
+    switch (req.method) {
+      case 'GET':
+        return sendJson(res, 200, platform.getJob(jobId));
+      case 'PATCH':
+        return sendJson(res, 200, platform.updateJob(jobId, await readJson(req)));
+      case 'DELETE':
+        platform.deleteJob(jobId);
+        res.writeHead(204);
+        return res.end();
+    }
+  }
+
+  throw new HttpError(404, `No mock route for ${req.method} ${pathname}`);
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const handler = url.pathname.startsWith('/__mock/') ? handleControl : handleApi;
+
+  handler(req, res, url).catch((error) => {
+    if (error instanceof HttpError) {
+      return sendJson(res, error.status, { message: error.message });
+    }
+    if (error instanceof SyntaxError) {
+      return sendJson(res, 400, { message: `Invalid JSON body: ${error.message}` });
+    }
+    console.error(`Mock error for ${req.method} ${req.url}:`, error);
+    sendJson(res, 500, { message: 'Mock server error' });
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock Signiant Platform API listening on http://localhost:${port}`);
+});
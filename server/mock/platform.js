@@ -0,0 +1,471 @@
+import { randomUUID } from 'node:crypto';
+import { createFixtures } from './fixtures.js';
+import { HttpError } from '../http.js';
+
+const MAX_PAGE_SIZE = 100;
+// Keep the file listing bounded however long the mock runs
+const MAX_FILE_RECORDS = 5000;
+// Alerts that stall any running transfer on the job
+const OFFLINE_ALERTS = ['SOURCE_ENDPOINT_OFFLINE', 'DESTINATION_ENDPOINT_OFFLINE'];
+
+const encodeCursor = (offset) => Buffer.from(String(offset)).toString('base64url');
+const decodeCursor = (cursor) => (cursor ? Number(Buffer.from(cursor, 'base64url').toString()) || 0 : 0);
+
+const pageOf = (items, { limit, nextToken }) => {
+  const pageSize = Math.min(Number(limit) || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+  const offset = decodeCursor(nextToken);
+  const page = items.slice(offset, offset + pageSize);
+  const next = offset + page.length;
+  return next < items.length
+    ? { items: page, nextToken: encodeCursor(next) }
+    : { items: page };
+};
+
+/**
+ * In-memory stand-in for a Signiant account. Transfers advance with wall-clock
+ * time: every request first calls `tick()`, which moves bytes along at each
+ * transfer's rate, completes finished transfers and restarts hot folders.
+ */
+export class MockPlatform {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    const now = Date.now();
+    const { storageProfiles, storageObjects, jobs, random } = createFixtures(now);
+    this.random = random;
+    this.storageProfiles = storageProfiles;
+    this.storageObjects = storageObjects;
+    this.jobs = new Map(jobs.map(job => [job.jobId, job]));
+    this.runtime = new Map();
+    this.files = [];
+    this.lastTickAt = now;
+
+    jobs.forEach((job, index) => {
+      this.runtime.set(job.jobId, { transfer: null, nextRunAt: null });
+      if (index % 4 === 0) {
+        this.runTransferToCompletion(job, now - index * 60 * 1000);
+      }
+      if (index % 30 === 1) {
+        this.startTransfer(job, now - 90 * 1000);
+      }
+    });
+
+    // A couple of paused hot folders for the pause/resume controls
+    jobs.filter(job => job.triggers[0].type === 'HOT_FOLDER').slice(3, 5).forEach((job) => {
+      job.paused = true;
+    });
+  }
+
+  // --- simulation -------------------------------------------------------
+
+  startTransfer(job, startedAt = Date.now()) {
+    const fileCount = 1 + Math.floor(this.random() * 12);
+    const fileSizes = Array.from({ length: fileCount }, () =>
+      Math.floor((0.5 + this.random() * 4) * 1024 * 1024 * 1024)
+    );
+    const bandwidth = job.actions[0].data.bandwidthManagement;
+    const rateCap = bandwidth?.enabled && bandwidth.maxRate?.value
+      ? bandwidth.maxRate.value * 1000 * 1000
+      : Infinity;
+    const transfer = {
+      transferId: randomUUID(),
+      jobId: job.jobId,
+      createdOn: new Date(startedAt).toISOString(),
+      rateBitsPerSecond: Math.floor(Math.min(rateCap, (200 + this.random() * 800) * 1000 * 1000)),
+      totalBytes: fileSizes.reduce((sum, size) => sum + size, 0),
+      transferredBytes: 0,
+      files: []
+    };
+
+    const folder = job.actions[0].data.transferOptions?.objectPatterns?.inclusions?.[0]
+      ?.replace('**/', '').replace('*.mxf', '') || '';
+    let offset = 0;
+    transfer.files = fileSizes.map((sizeInBytes, index) => {
+      const record = {
+        jobId: job.jobId,
+        transferId: transfer.transferId,
+        executionId: transfer.transferId,
+        fileType: 'file',
+        url: `${job.actions[0].data.source.url}/${folder || 'incoming/'}clip_${String(index + 1).padStart(2, '0')}.mxf`,
+        sizeInBytes,
+        state: 'IN_PROGRESS',
+        createdOn: transfer.createdOn,
+        lastEventTime: transfer.createdOn,
+        lastModifiedOn: transfer.createdOn,
+        startOffset: offset
+      };
+      offset += sizeInBytes;
+      return record;
+    });
+
+    this.files.push(...transfer.files);
+    if (this.files.length > MAX_FILE_RECORDS) {
+      this.files.splice(0, this.files.length - MAX_FILE_RECORDS);
+    }
+
+    const runtime = this.runtime.get(job.jobId);
+    runtime.transfer = transfer;
+    runtime.nextRunAt = null;
+    job.lastModifiedOn = transfer.createdOn;
+    return transfer;
+  }
+
+  runTransferToCompletion(job, startedAt) {
+    const transfer = this.startTransfer(job, startedAt);
+    transfer.transferredBytes = transfer.totalBytes;
+    this.completeTransfer(job, startedAt + 5 * 60 * 1000);
+  }
+
+  completeTransfer(job, now) {
+    const runtime = this.runtime.get(job.jobId);
+    const finishedAt = new Date(now).toISOString();
+    runtime.transfer.files.forEach((file) => {
+      file.state = 'COMPLETED';
+      file.lastEventTime = finishedAt;
+    });
+    runtime.transfer = null;
+    job.lastModifiedOn = finishedAt;
+    // Hot folders pick up new material again after a short idle period
+    runtime.nextRunAt = job.triggers[0]?.type === 'HOT_FOLDER'
+      ? now + (20 + this.random() * 40) * 1000
+      : null;
+  }
+
+  isStalled(job) {
+    return job.paused || job.activeAlerts.some(alert => OFFLINE_ALERTS.includes(alert.type));
+  }
+
+  tick(now = Date.now()) {
+    const elapsedSeconds = (now - this.lastTickAt) / 1000;
+    this.lastTickAt = now;
+
+    this.jobs.forEach((job) => {
+      const runtime = this.runtime.get(job.jobId);
+      const { transfer } = runtime;
+
+      if (transfer) {
+        if (!this.isStalled(job)) {
+          transfer.transferredBytes = Math.min(
+            transfer.totalBytes,
+            transfer.transferredBytes + (transfer.rateBitsPerSecond / 8) * elapsedSeconds
+          );
+          const eventTime = new Date(now).toISOString();
+          transfer.files.forEach((file) => {
+            if (file.state === 'IN_PROGRESS' && transfer.transferredBytes >= file.startOffset + file.sizeInBytes) {
+              file.state = 'COMPLETED';
+              file.lastEventTime = eventTime;
+            }
+          });
+        }
+        if (transfer.transferredBytes >= transfer.totalBytes) {
+          this.completeTransfer(job, now);
+        }
+      } else if (!job.paused && runtime.nextRunAt && now >= runtime.nextRunAt) {
+        this.startTransfer(job, now);
+      }
+    });
+  }
+
+  // --- serialization ----------------------------------------------------
+
+  getStatus(job) {
+    if (job.paused) return 'PAUSED';
+    if (job.activeAlerts.some(alert => alert.type !== 'JOB_RECENTLY_FAILED')) return 'ERROR';
+    return this.runtime.get(job.jobId).transfer ? 'IN_PROGRESS' : 'READY';
+  }
+
+  serializeTransfer(job, transfer) {
+    const completed = transfer.files.filter(file => file.state === 'COMPLETED');
+    const transferredBytes = Math.floor(transfer.transferredBytes);
+
+    return {
+      transferId: transfer.transferId,
+      state: 'IN_PROGRESS',
+      createdOn: transfer.createdOn,
+      currentRateBitsPerSecond: this.isStalled(job) ? 0 : transfer.rateBitsPerSecond,
+      source: job.actions[0].data.source,
+      destination: job.actions[0].data.destination,
+      transferProgress: {
+        transferred: { count: completed.length, bytes: transferredBytes },
+        remaining: { count: transfer.files.length - completed.length, bytes: transfer.totalBytes - transferredBytes },
+        failed: { count: 0, bytes: 0 },
+        skipped: { count: 0, bytes: 0 }
+      },
+      objectsManifest: {
+        summary: { count: transfer.files.length, bytes: transfer.totalBytes }
+      }
+    };
+  }
+
+  serializeJob(job) {
+    const status = this.getStatus(job);
+    const [trigger, ...otherTriggers] = job.triggers;
+    const [action, ...otherActions] = job.actions;
+
+    return {
+      ...job,
+      status,
+      actions: [{ ...action, status: { state: status } }, ...otherActions],
+      triggers: trigger?.type === 'HOT_FOLDER'
+        ? [{ ...trigger, monitor: { status: { state: status } } }, ...otherTriggers]
+        : job.triggers
+    };
+  }
+
+  serializeSearchResult(job) {
+    const { transfer } = this.runtime.get(job.jobId);
+    return {
+      jobId: job.jobId,
+      jobName: job.name,
+      serviceId: job.serviceId,
+      status: this.getStatus(job),
+      activeAlerts: job.activeAlerts,
+      triggerTypes: job.triggers.map(trigger => trigger.type),
+      storageProfileIds: [
+        job.actions[0].data.source.storageProfileId,
+        job.actions[0].data.destination.storageProfileId
+      ],
+      lastActivity: job.lastModifiedOn,
+      currentRateBitsPerSecond: transfer && !this.isStalled(job) ? transfer.rateBitsPerSecond : undefined
+    };
+  }
+
+  // --- API --------------------------------------------------------------
+
+  getJobOrThrow(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) throw new HttpError(404, `Job ${jobId} not found`);
+    return job;
+  }
+
+  listJobs(query) {
+    const jobs = [...this.jobs.values()].map(job => this.serializeJob(job));
+    return pageOf(jobs, query);
+  }
+
+  searchJobs({ query, sortBy = 'lastActivity', sortOrder = 'desc', offset = 0, limit = MAX_PAGE_SIZE, filters = {} } = {}) {
+    const text = query?.text?.toLowerCase();
+    const sortKeys = {
+      lastActivity: result => result.lastActivity,
+      jobName: result => result.jobName.toLowerCase(),
+      status: result => result.status
+    };
+    const sortKey = sortKeys[sortBy] || sortKeys.lastActivity;
+
+    const results = [...this.jobs.values()]
+      .map(job => this.serializeSearchResult(job))
+      .filter(result => !text || result.jobName.toLowerCase().includes(text))
+      .filter(result => !filters.storageProfileId || result.storageProfileIds.includes(filters.storageProfileId))
+      .filter(result => !filters.jobIds || filters.jobIds.includes(result.jobId))
+      .sort((a, b) => {
+        const order = sortKey(a) < sortKey(b) ? -1 : sortKey(a) > sortKey(b) ? 1 : 0;
+        return sortOrder === 'asc' ? order : -order;
+      });
+
+    const pageSize = Math.min(Number(limit), MAX_PAGE_SIZE);
+    return {
+      items: results.slice(Number(offset), Number(offset) + pageSize),
+      totalResultCount: results.length
+    };
+  }
+
+  getJob(jobId) {
+    return this.serializeJob(this.getJobOrThrow(jobId));
+  }
+
+  createJob(body) {
+    if (!body?.name || !body.actions?.[0]?.data?.source?.storageProfileId || !body.actions[0].data.destination?.storageProfileId) {
+      throw new HttpError(400, 'A job needs a name and a TRANSFER action with source and destination storage profiles');
+    }
+
+    const resolveProfile = (ref) => {
+      const profile = this.storageProfiles.find(p => p.storageProfileId === ref.storageProfileId);
+      if (!profile) throw new HttpError(400, `Unknown storage profile ${ref.storageProfileId}`);
+      return { ...ref, name: profile.name, url: profile.config.url, accountId: profile.accountId, type: 'PRIVATE' };
+    };
+
+    const [source, destination] = [body.actions[0].data.source, body.actions[0].data.destination]
+      .map(ref => this.storageProfiles.find(p => p.storageProfileId === ref.storageProfileId));
+    if (source && destination && ![source, destination].some(p => p.storageProfileType === 'ON_PREMISE_FILE_STORAGE')) {
+      throw new HttpError(400, 'Cloud-to-cloud transfers are not supported');
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      ...body,
+      jobId: randomUUID(),
+      accountId: this.storageProfiles[0].accountId,
+      serviceId: this.storageProfiles[0].serviceId,
+      paused: false,
+      createdOn: now,
+      lastModifiedOn: now,
+      createdByAuthId: 'mock-user-0001',
+      lastModifiedByAuthId: 'mock-user-0001',
+      activeAlerts: [],
+      actions: body.actions.map(action => ({
+        ...action,
+        actionId: randomUUID(),
+        createdOn: now,
+        data: {
+          ...action.data,
+          source: resolveProfile(action.data.source),
+          destination: resolveProfile(action.data.destination)
+        }
+      })),
+      triggers: (body.triggers || [{ type: 'MANUAL' }]).map(trigger => ({ ...trigger, triggerId: randomUUID() }))
+    };
+
+    this.jobs.set(job.jobId, job);
+    this.runtime.set(job.jobId, { transfer: null, nextRunAt: null });
+    // New jobs kick off a transfer straight away so they show progress
+    this.startTransfer(job);
+    return this.serializeJob(job);
+  }
+
+  updateJob(jobId, changes = {}) {
+    const job = this.getJobOrThrow(jobId);
+    const supported = ['name', 'paused', 'actions', 'triggers'];
+    const unsupported = Object.keys(changes).filter(key => !supported.includes(key));
+    if (unsupported.length > 0) {
+      throw new HttpError(400, `Unsupported job field(s): ${unsupported.join(', ')}`);
+    }
+
+    Object.assign(job, changes);
+    job.lastModifiedOn = new Date().toISOString();
+
+    const runtime = this.runtime.get(jobId);
+    if (!job.paused && !runtime.transfer && job.triggers[0]?.type === 'HOT_FOLDER' && !runtime.nextRunAt) {
+      runtime.nextRunAt = Date.now() + 10 * 1000;
+    }
+    return this.serializeJob(job);
+  }
+
+  deleteJob(jobId) {
+    this.getJobOrThrow(jobId);
+    this.jobs.delete(jobId);
+    this.runtime.delete(jobId);
+  }
+
+  listTransfers(jobId, { state } = {}) {
+    const job = this.getJobOrThrow(jobId);
+    if (state && state !== 'IN_PROGRESS') {
+      throw new HttpError(400, 'Only state=IN_PROGRESS is supported');
+    }
+    const { transfer } = this.runtime.get(jobId);
+    return { items: transfer ? [this.serializeTransfer(job, transfer)] : [] };
+  }
+
+  runJob(jobId) {
+    const job = this.getJobOrThrow(jobId);
+    if (job.paused) {
+      throw new HttpError(409, 'Job is paused; resume it before starting a transfer');
+    }
+    if (this.runtime.get(jobId).transfer) {
+      throw new HttpError(409, 'Job already has a transfer in progress');
+    }
+    return this.serializeTransfer(job, this.startTransfer(job));
+  }
+
+  cancelTransfer(jobId, transferId) {
+    const job = this.getJobOrThrow(jobId);
+    const runtime = this.runtime.get(jobId);
+    if (runtime.transfer?.transferId !== transferId) {
+      throw new HttpError(404, `Transfer ${transferId} is not in progress`);
+    }
+
+    const canceledAt = new Date().toISOString();
+    runtime.transfer.files.forEach((file) => {
+      if (file.state === 'IN_PROGRESS') {
+        file.state = 'CANCELED';
+        file.lastEventTime = canceledAt;
+      }
+    });
+    runtime.transfer = null;
+    runtime.nextRunAt = null;
+    job.lastModifiedOn = canceledAt;
+  }
+
+  listFiles(query) {
+    const files = this.files
+      .filter(file => this.jobs.has(file.jobId))
+      .filter(file => !query.jobId || file.jobId === query.jobId)
+      .map(file => ({
+        jobId: file.jobId,
+        transferId: file.transferId,
+        executionId: file.executionId,
+        fileType: file.fileType,
+        url: file.url,
+        sizeInBytes: file.sizeInBytes,
+        state: file.state,
+        createdOn: file.createdOn,
+        lastEventTime: file.lastEventTime,
+        lastModifiedOn: file.lastModifiedOn
+      }))
+      .reverse();
+    return pageOf(files, query);
+  }
+
+  listStorageProfiles() {
+    return { items: this.storageProfiles, totalResultCount: this.storageProfiles.length };
+  }
+
+  listStorageObjects(storageProfileId, { path = '', search, ...query } = {}) {
+    const objects = this.storageObjects.get(storageProfileId);
+    if (!objects) {
+      throw new HttpError(404, `Storage profile ${storageProfileId} not found`);
+    }
+
+    const folder = path.replace(/^\/+|\/+$/g, '');
+    const prefix = folder ? `${folder}/` : '';
+    if (folder && !objects.some(object => object.type === 'FOLDER' && object.path === folder)) {
+      throw new HttpError(404, `Folder ${folder} not found`);
+    }
+
+    const term = search?.trim().toLowerCase();
+    const matches = objects.filter((object) => {
+      if (!object.path.startsWith(prefix)) return false;
+      // A search looks through every subfolder; otherwise list direct children
+      if (term) return object.path.slice(prefix.length).toLowerCase().includes(term);
+      return !object.path.slice(prefix.length).includes('/');
+    });
+
+    const items = matches
+      .map(object => ({ ...object, name: object.path.split('/').pop() }))
+      .sort((a, b) => (a.type === b.type ? a.path.localeCompare(b.path) : a.type === 'FOLDER' ? -1 : 1));
+    return pageOf(items, query);
+  }
+
+  // --- failure injection ------------------------------------------------
+
+  raiseAlert({ jobId, type = 'SOURCE_ENDPOINT_OFFLINE' } = {}) {
+    const job = jobId
+      ? this.getJobOrThrow(jobId)
+      : [...this.jobs.values()].find(candidate => this.runtime.get(candidate.jobId).transfer);
+    if (!job) throw new HttpError(409, 'No job with a running transfer to raise an alert on');
+
+    job.activeAlerts = [
+      ...job.activeAlerts.filter(alert => alert.type !== type),
+      { type, details: { endpointId: randomUUID() } }
+    ];
+    return { jobId: job.jobId, activeAlerts: job.activeAlerts };
+  }
+
+  clearAlerts() {
+    this.jobs.forEach((job) => {
+      job.activeAlerts = [];
+    });
+  }
+
+  summary() {
+    const jobs = [...this.jobs.values()];
+    return {
+      jobs: jobs.length,
+      inProgress: jobs.filter(job => this.getStatus(job) === 'IN_PROGRESS').length,
+      paused: jobs.filter(job => job.paused).length,
+      withAlerts: jobs.filter(job => job.activeAlerts.length > 0).length,
+      files: this.files.length
+    };
+  }
+}
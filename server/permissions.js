@@ -0,0 +1,35 @@
+// Server-side counterpart of src/lib/permissions.js. The dashboard hides
+// what a role may not do, but every Platform call is checked here too so a
+// viewer cannot change jobs by calling the proxy directly.
+
+const ROLE_RANK = { viewer: 0, operator: 1, admin: 2 };
+
+export const ROLES = Object.keys(ROLE_RANK);
+
+export const hasRole = (role, minimum) => (ROLE_RANK[role] ?? -1) >= ROLE_RANK[minimum];
+
+// Searching is a POST but only reads
+const READ_ONLY_POSTS = new Set(['/v1/jobs/search']);
+const JOB_PATH = /^\/v1\/jobs\/[^/]+$/;
+
+/** Whether a Platform API call only reads, so changes nothing worth auditing */
+export const isPlatformRead = (method, path) =>
+  method === 'GET' || method === 'HEAD' || (method === 'POST' && READ_ONLY_POSTS.has(path));
+
+/**
+ * The least role allowed to send `method` to a Platform API `path`.
+ * @param {string} method
+ * @param {string} path - Without the query string, e.g. `/v1/jobs/abc`
+ * @returns {'viewer'|'operator'|'admin'}
+ */
+export const requiredRoleForPlatform = (method, path) => {
+  if (isPlatformRead(method, path)) return 'viewer';
+  if (method === 'DELETE' && JOB_PATH.test(path)) return 'admin';
+  return 'operator';
+};
+
+/**
+ * Whether a Platform API call cannot be undone, so needs a session that has
+ * verified a second factor. Mirrors MFA_PERMISSIONS in src/lib/permissions.js.
+ */
+export const requiresMfaForPlatform = (method, path) => method === 'DELETE' && JOB_PATH.test(path);
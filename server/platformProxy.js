@@ -0,0 +1,55 @@
+import { config } from './config.js';
+import { readBody } from './http.js';
+import { signiantTokens } from './signiantToken.js';
+
+// Upstream headers worth passing back to the browser; the client relies on
+// the rate-limit ones to schedule retries.
+const FORWARDED_RESPONSE_HEADERS = [
+  'content-type',
+  'retry-after',
+  'x-ratelimit-limit',
+  'x-ratelimit-remaining',
+  'x-ratelimit-reset'
+];
+
+/**
+ * Forwards a request to the Signiant Platform API with the server's bearer
+ * token attached. A 401 from Signiant triggers one token refresh and replay.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {string} pathWithQuery - Platform API path, e.g. `/v1/jobs?limit=100`
+ * @param {Buffer} [body] - The request body, when the caller has already read it
+ * @returns {Promise<{ status: number, body: Buffer }>} What was sent back
+ */
+export const proxyToPlatform = async (req, res, pathWithQuery, body) => {
+  if (body === undefined && !['GET', 'HEAD'].includes(req.method)) {
+    body = await readBody(req);
+  }
+
+  const send = async () => fetch(`${config.signiant.apiUrl}${pathWithQuery}`, {
+    method: req.method,
+    headers: {
+      'Authorization': `Bearer ${await signiantTokens.getAccessToken()}`,
+      'Content-Type': req.headers['content-type'] || 'application/json',
+      'Accept': 'application/json'
+    },
+    body: body?.length ? body : undefined
+  });
+
+  let upstream = await send();
+  if (upstream.status === 401) {
+    await signiantTokens.refresh();
+    upstream = await send();
+  }
+
+  const headers = {};
+  FORWARDED_RESPONSE_HEADERS.forEach((name) => {
+    const value = upstream.headers.get(name);
+    if (value) headers[name] = value;
+  });
+
+  const responseBody = Buffer.from(await upstream.arrayBuffer());
+  res.writeHead(upstream.status, headers);
+  res.end(responseBody);
+  return { status: upstream.status, body: responseBody };
+};
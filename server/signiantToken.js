@@ -0,0 +1,81 @@
+import { config } from './config.js';
+import { HttpError } from './http.js';
+
+// Refresh this long before the token actually expires
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+export const SIGNIANT_AUTH_FAILED = 'SIGNIANT_AUTH_FAILED';
+
+/**
+ * Holds the Signiant client-credentials token for the whole server. Concurrent
+ * callers share one in-flight exchange, and the token is renewed in the
+ * background shortly before it expires.
+ */
+class SigniantTokenCache {
+  constructor() {
+    this.accessToken = null;
+    this.tokenExpiry = 0;
+    this.refreshPromise = null;
+    this.refreshTimer = null;
+  }
+
+  async getAccessToken() {
+    if (!this.accessToken || Date.now() >= this.tokenExpiry) {
+      await this.refresh();
+    }
+    return this.accessToken;
+  }
+
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestToken().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async requestToken() {
+    const formData = new URLSearchParams();
+    formData.append('client_id', config.signiant.clientId);
+    formData.append('client_secret', config.signiant.clientSecret);
+    formData.append('grant_type', 'client_credentials');
+
+    let response;
+    try {
+      response = await fetch(`${config.signiant.apiUrl}/oauth/token`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Accept': 'application/json'
+        },
+        body: formData
+      });
+    } catch (error) {
+      throw new HttpError(502, `Could not reach Signiant: ${error.message}`, SIGNIANT_AUTH_FAILED);
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`Signiant token exchange failed (${response.status}): ${errorText}`);
+      throw new HttpError(502, `Signiant token exchange failed with status ${response.status}`, SIGNIANT_AUTH_FAILED);
+    }
+
+    const data = await response.json();
+    this.accessToken = data.access_token;
+    this.tokenExpiry = Date.now() + data.expires_in * 1000 - EXPIRY_MARGIN_MS;
+    this.scheduleRefresh();
+    console.log('Obtained Signiant access token');
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      this.refresh().catch(error => console.error('Background Signiant token refresh failed:', error.message));
+    }, Math.max(0, this.tokenExpiry - Date.now()));
+    // Never keep the process alive just for this timer
+    this.refreshTimer.unref?.();
+  }
+}
+
+export const signiantTokens = new SigniantTokenCache();
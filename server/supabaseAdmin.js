@@ -0,0 +1,23 @@
+import { createClient } from '@supabase/supabase-js';
+import { config } from './config.js';
+import { HttpError } from './http.js';
+
+let adminClient = null;
+
+/**
+ * Supabase client with the service role key. It bypasses row level security,
+ * which is why it only exists on the server: the key never reaches the
+ * browser.
+ * @throws {HttpError} 503 when SUPABASE_SERVICE_ROLE_KEY is not set
+ */
+export const getAdminClient = () => {
+  if (!config.supabase.serviceRoleKey) {
+    throw new HttpError(503, 'SUPABASE_SERVICE_ROLE_KEY is not set on the dashboard server');
+  }
+  if (!adminClient) {
+    adminClient = createClient(config.supabase.url, config.supabase.serviceRoleKey, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+  }
+  return adminClient;
+};
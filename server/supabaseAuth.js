@@ -0,0 +1,88 @@
+import { createClient } from '@supabase/supabase-js';
+import { config } from './config.js';
+import { HttpError } from './http.js';
+import { hasRole } from './permissions.js';
+
+const supabase = createClient(config.supabase.url, config.supabase.anonKey, {
+  auth: { persistSession: false, autoRefreshToken: false }
+});
+
+const getAccessToken = (req) => {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!match) {
+    throw new HttpError(401, 'Missing Supabase session');
+  }
+  return match[1];
+};
+
+/**
+ * Resolves the Supabase user behind the request's `Authorization: Bearer`
+ * header.
+ * @throws {HttpError} 401 when the header is missing or the session is invalid
+ */
+export const requireUser = async (req) => {
+  const { data, error } = await supabase.auth.getUser(getAccessToken(req));
+  if (error || !data?.user) {
+    throw new HttpError(401, 'Invalid or expired Supabase session');
+  }
+
+  return data.user;
+};
+
+// Read as the user so user_roles' row level security applies
+const getAccess = async (accessToken, userId) => {
+  const client = createClient(config.supabase.url, config.supabase.anonKey, {
+    auth: { persistSession: false, autoRefreshToken: false },
+    global: { headers: { Authorization: `Bearer ${accessToken}` } }
+  });
+  const { data, error } = await client
+    .from('user_roles')
+    .select('role, status')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new HttpError(503, `Could not load the user's role: ${error.message}`);
+  }
+  return { role: data?.role || null, status: data?.status || 'pending' };
+};
+
+/**
+ * Like `requireUser`, and also checks the user's dashboard role.
+ * @param {'viewer'|'operator'|'admin'} minimum
+ * @returns {Promise<{ user: Object, role: string }>}
+ * @throws {HttpError} 403 with code ACCOUNT_NOT_ACTIVE until an admin has
+ *   approved the account, or FORBIDDEN when the role is too low
+ */
+export const requireRole = async (req, minimum) => {
+  const user = await requireUser(req);
+  const { role, status } = await getAccess(getAccessToken(req), user.id);
+  if (status !== 'active') {
+    throw new HttpError(403, `Your account is ${status}; an admin must approve it first`, 'ACCOUNT_NOT_ACTIVE');
+  }
+  if (!hasRole(role, minimum)) {
+    throw new HttpError(403, `This action needs the ${minimum} role; you are a ${role}`, 'FORBIDDEN');
+  }
+  return { user, role };
+};
+
+// The token has already been verified by requireUser; this only reads it
+const getAssuranceLevel = (accessToken) => {
+  try {
+    const payload = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64url').toString('utf8'));
+    return payload.aal || 'aal1';
+  } catch {
+    return 'aal1';
+  }
+};
+
+/**
+ * Requires the session to have verified a second factor (assurance level
+ * aal2). Call after `requireUser` or `requireRole`.
+ * @throws {HttpError} 403 with code MFA_REQUIRED
+ */
+export const requireMfa = (req) => {
+  if (getAssuranceLevel(getAccessToken(req)) !== 'aal2') {
+    throw new HttpError(403, 'This action needs two-factor authentication; verify a code from your authenticator app first', 'MFA_REQUIRED');
+  }
+};
@@ -6,10 +6,16 @@ import DashboardLayout from './components/layout/DashboardLayout';
 import ProtectedRoute from './components/ProtectedRoute';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
 import JobsPage from './pages/JobsPage';
 import TransfersPage from './pages/transfersPage';
 import FileMonitor from './pages/FileMonitor';
 import AnalyticsPage from './pages/AnalyticsPage';
+import RecentlyDeletedPage from './pages/RecentlyDeletedPage';
+import AuditPage from './pages/AuditPage';
+import UsersPage from './pages/UsersPage';
+import SecurityPage from './pages/SecurityPage';
 
 const DashboardContainer = () => {
   return (
@@ -26,12 +32,18 @@ const App = () => {
         <Routes>
           <Route path="/login" element={<LoginPage />} />
           <Route path="/register" element={<RegisterPage />} />
+          <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+          <Route path="/reset-password" element={<ResetPasswordPage />} />
           <Route path="/" element={<ProtectedRoute><DashboardContainer /></ProtectedRoute>}>
             <Route index element={<Navigate to="/transfers" replace />} />
-            <Route path="jobs" element={<JobsPage />} />
+            <Route path="jobs" element={<ProtectedRoute requireMfa><JobsPage /></ProtectedRoute>} />
             <Route path="transfers" element={<TransfersPage />} />
             <Route path="monitor" element={<FileMonitor />} />
-            <Route path="analytics" element={<AnalyticsPage />} />
+            <Route path="analytics" element={<ProtectedRoute requireMfa><AnalyticsPage /></ProtectedRoute>} />
+            <Route path="deleted" element={<ProtectedRoute permission="jobs.configure" requireMfa><RecentlyDeletedPage /></ProtectedRoute>} />
+            <Route path="audit" element={<ProtectedRoute permission="audit.view"><AuditPage /></ProtectedRoute>} />
+            <Route path="users" element={<ProtectedRoute permission="users.manage" requireMfa><UsersPage /></ProtectedRoute>} />
+            <Route path="security" element={<SecurityPage />} />
           </Route>
         </Routes>
       </Router>
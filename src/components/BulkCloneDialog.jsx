@@ -0,0 +1,166 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Loader2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { BulkResultStatus, ConcurrencySelect } from './BulkRunControls';
+import { DEFAULT_CONCURRENCY } from '../lib/concurrency';
+import { StorageProfileSelect } from './StorageProfileSelect';
+import { SigniantApi, cloneJobTo } from '../lib/signiant';
+import { getCombinationError } from '../lib/storageProfileTypes';
+import { useBulkRun } from '../hooks/useBulkRun';
+import { useTeamScope } from '../hooks/useTeamScope';
+
+const fieldClassName = "dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 dark:placeholder-gray-400";
+
+/**
+ * Clones several jobs to one new destination profile. Each job keeps its
+ * triggers, patterns and options; jobs whose source cannot transfer to the
+ * chosen destination are listed but skipped.
+ */
+export const BulkCloneDialog = ({ jobs, onCloned, onClose }) => {
+  const [profiles, setProfiles] = useState([]);
+  const [destinationProfileId, setDestinationProfileId] = useState('');
+  const [destinationPath, setDestinationPath] = useState('');
+  const [nameSuffix, setNameSuffix] = useState(' (copy)');
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const { results, isRunning, run, countByStatus } = useBulkRun();
+  const { filterProfiles } = useTeamScope();
+
+  useEffect(() => {
+    SigniantApi.storageProfiles.list()
+      .then(data => setProfiles(data.items.filter(profile => profile.storageProfileId)))
+      .catch(error => console.error('Failed to fetch profiles:', error));
+  }, []);
+
+  const destinationProfile = profiles.find(profile => profile.storageProfileId === destinationProfileId);
+  const rows = jobs.map(job => {
+    const sourceId = job.actions?.[0]?.data?.source?.storageProfileId;
+    const sourceProfile = profiles.find(profile => profile.storageProfileId === sourceId);
+    const error = destinationProfile && getCombinationError(sourceProfile, destinationProfile);
+    return { job, sourceProfile, errors: error ? [error] : [] };
+  });
+  const pending = destinationProfile
+    ? rows.filter(row => row.errors.length === 0 && results[row.job.jobId]?.status !== 'done')
+    : [];
+  const clonedCount = countByStatus('done');
+  const failedCount = countByStatus('failed');
+
+  const handleRun = async () => {
+    const outcomes = await run(pending, {
+      getKey: row => row.job.jobId,
+      concurrency,
+      task: ({ job }) => cloneJobTo(job.jobId, {
+        destinationProfileId,
+        destinationPath: destinationPath.trim() || undefined,
+        nameSuffix
+      })
+    });
+    if (outcomes.some(outcome => outcome.ok)) onCloned();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-3xl w-full mx-4 max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold mb-4 dark:text-white">
+          Clone {jobs.length} Job{jobs.length === 1 ? '' : 's'} to a New Destination
+        </h3>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <div className="space-y-1">
+            <label className="text-sm font-medium dark:text-gray-200">Destination Profile</label>
+            <StorageProfileSelect
+              value={destinationProfileId}
+              onValueChange={setDestinationProfileId}
+              profiles={filterProfiles(profiles)}
+              placeholder="Select destination profile"
+              triggerClassName={fieldClassName}
+            />
+          </div>
+          <div className="space-y-1">
+            <label className="text-sm font-medium dark:text-gray-200">Destination Path</label>
+            <Input
+              value={destinationPath}
+              onChange={(e) => setDestinationPath(e.target.value)}
+              placeholder="Keep each job's path"
+              className={fieldClassName}
+            />
+          </div>
+          <div className="space-y-1">
+            <label className="text-sm font-medium dark:text-gray-200">Name Suffix</label>
+            <Input
+              value={nameSuffix}
+              onChange={(e) => setNameSuffix(e.target.value)}
+              className={fieldClassName}
+            />
+          </div>
+        </div>
+
+        <div className="mt-4 overflow-auto border rounded-md dark:border-gray-700">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700 text-left dark:text-gray-200">
+              <tr>
+                <th className="px-3 py-2 font-medium">Job</th>
+                <th className="px-3 py-2 font-medium">Source</th>
+                <th className="px-3 py-2 font-medium">Status</th>
+              </tr>
+            </thead>
+            <tbody className="dark:text-gray-200">
+              {rows.map(({ job, sourceProfile, errors }) => (
+                <tr key={job.jobId} className="border-t dark:border-gray-700">
+                  <td className="px-3 py-2">{job.name}</td>
+                  <td className="px-3 py-2">{sourceProfile?.name ?? '—'}</td>
+                  <td className="px-3 py-2">
+                    <BulkResultStatus
+                      result={results[job.jobId]}
+                      errors={errors}
+                      doneLabel={clone => `Cloned as ${clone.jobId}`}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex items-center justify-between gap-2 mt-4">
+          <div className="flex items-center gap-2">
+            <ConcurrencySelect value={concurrency} onChange={setConcurrency} disabled={isRunning} label="Clone" />
+            {(clonedCount > 0 || failedCount > 0) && (
+              <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">
+                {clonedCount} cloned, {failedCount} failed
+              </span>
+            )}
+          </div>
+          <div className="flex space-x-2">
+            <Button variant="outline" onClick={onClose} disabled={isRunning}>
+              Close
+            </Button>
+            <Button onClick={handleRun} disabled={isRunning || pending.length === 0}>
+              {isRunning ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Cloning...
+                </>
+              ) : failedCount > 0 ? (
+                `Retry ${pending.length} Job${pending.length === 1 ? '' : 's'}`
+              ) : (
+                `Clone ${pending.length} Job${pending.length === 1 ? '' : 's'}`
+              )}
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+BulkCloneDialog.propTypes = {
+  jobs: PropTypes.arrayOf(PropTypes.shape({
+    jobId: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    actions: PropTypes.array,
+  })).isRequired,
+  onCloned: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
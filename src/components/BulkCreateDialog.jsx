@@ -0,0 +1,140 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Loader2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { Textarea } from './ui/textarea';
+import { BulkResultStatus, ConcurrencySelect } from './BulkRunControls';
+import { DEFAULT_CONCURRENCY } from '../lib/concurrency';
+import { SigniantApi } from '../lib/signiant';
+import { parseList } from '../lib/objectPatterns';
+import { draftForFile, evaluateDraft, normalizeDraft } from '../lib/jobDraft';
+import { useBulkRun } from '../hooks/useBulkRun';
+
+/**
+ * Creates one job per file name from a pinned template version. Each row is
+ * validated up front; creation runs a few at a time and reports per file, and
+ * failed files can be retried without re-creating the ones that succeeded.
+ */
+export const BulkCreateDialog = ({ template, version, profiles, userEmail, onCreated, onClose }) => {
+  const [fileText, setFileText] = useState('');
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const { results, isRunning, run, countByStatus } = useBulkRun();
+
+  const rows = useMemo(() => (
+    [...new Set(parseList(fileText))].map(fileName => {
+      const draft = draftForFile(normalizeDraft(version.definition), fileName);
+      return { fileName, draft, ...evaluateDraft(draft, { profiles, userEmail }) };
+    })
+  ), [fileText, version, profiles, userEmail]);
+
+  const pending = rows.filter(row => row.errors.length === 0 && results[row.fileName]?.status !== 'done');
+  const failedCount = countByStatus('failed');
+  const createdCount = countByStatus('done');
+
+  const handleRun = async () => {
+    // Evaluated again at creation time so {date} tokens match when each job was made
+    const outcomes = await run(pending, {
+      getKey: row => row.fileName,
+      concurrency,
+      task: ({ draft }) => {
+        const { errors, body } = evaluateDraft(draft, { profiles, userEmail, now: new Date() });
+        if (errors.length > 0) throw new Error(errors[0]);
+        return SigniantApi.jobs.create(body);
+      }
+    });
+    if (outcomes.some(outcome => outcome.ok)) onCreated();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-3xl w-full mx-4 max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold dark:text-white">Bulk Create from Template</h3>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          {template.name}, version {version.version}. One job is created per file name.
+        </p>
+
+        <Textarea
+          value={fileText}
+          onChange={(e) => setFileText(e.target.value)}
+          placeholder={"One file name per line, e.g.\nEP101_final.mxf\nEP102_final.mxf"}
+          rows={5}
+          disabled={isRunning}
+          className="font-mono dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 dark:placeholder-gray-400"
+        />
+
+        {rows.length > 0 && (
+          <div className="mt-4 overflow-auto border rounded-md dark:border-gray-700">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700 text-left dark:text-gray-200">
+                <tr>
+                  <th className="px-3 py-2 font-medium">File</th>
+                  <th className="px-3 py-2 font-medium">Job Name</th>
+                  <th className="px-3 py-2 font-medium">Destination</th>
+                  <th className="px-3 py-2 font-medium">Status</th>
+                </tr>
+              </thead>
+              <tbody className="dark:text-gray-200">
+                {rows.map(row => (
+                  <tr key={row.fileName} className="border-t dark:border-gray-700">
+                    <td className="px-3 py-2 font-mono">{row.fileName}</td>
+                    <td className="px-3 py-2">{row.jobName}</td>
+                    <td className="px-3 py-2 font-mono">{row.resolvedDestination.path || '/'}</td>
+                    <td className="px-3 py-2">
+                      <BulkResultStatus
+                        result={results[row.fileName]}
+                        errors={row.errors}
+                        doneLabel={job => job.jobId}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex items-center justify-between gap-2 mt-4">
+          <div className="flex items-center gap-2">
+            <ConcurrencySelect value={concurrency} onChange={setConcurrency} disabled={isRunning} />
+            {(createdCount > 0 || failedCount > 0) && (
+              <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">
+                {createdCount} created, {failedCount} failed
+              </span>
+            )}
+          </div>
+          <div className="flex space-x-2">
+            <Button variant="outline" onClick={onClose} disabled={isRunning}>
+              Close
+            </Button>
+            <Button onClick={handleRun} disabled={isRunning || pending.length === 0}>
+              {isRunning ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Creating...
+                </>
+              ) : failedCount > 0 ? (
+                `Retry ${pending.length} Job${pending.length === 1 ? '' : 's'}`
+              ) : (
+                `Create ${pending.length} Job${pending.length === 1 ? '' : 's'}`
+              )}
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+BulkCreateDialog.propTypes = {
+  template: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+  }).isRequired,
+  version: PropTypes.shape({
+    version: PropTypes.number.isRequired,
+    definition: PropTypes.object.isRequired,
+  }).isRequired,
+  profiles: PropTypes.array.isRequired,
+  userEmail: PropTypes.string,
+  onCreated: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,174 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Loader2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { BulkResultStatus, ConcurrencySelect } from './BulkRunControls';
+import { DEFAULT_CONCURRENCY } from '../lib/concurrency';
+import { deleteJob, pauseFolder, startFolder, updateJobTrigger } from '../lib/signiant';
+import { useBulkRun } from '../hooks/useBulkRun';
+import { RETENTION_DAYS } from '../lib/recycleBin';
+
+// `skipReason` rules out jobs the action does not apply to; they are listed
+// in the summary but never sent
+const BULK_JOB_ACTIONS = {
+  pause: {
+    label: 'Pause',
+    description: 'Each job is paused; hot folders stop watching and keep their triggers for restarting.',
+    run: (job) => pauseFolder(job.jobId),
+    skipReason: (job) => (job.paused && job.triggerType === 'MANUAL' ? 'Already paused' : null)
+  },
+  start: {
+    label: 'Start',
+    description: 'Each job is resumed; stopped hot folders get their original triggers back.',
+    run: (job) => startFolder(job.jobId),
+    skipReason: (job) => (!job.paused && job.triggerType === 'HOT_FOLDER' ? 'Already running' : null)
+  },
+  hotFolder: {
+    label: 'Convert to Hot Folder',
+    description: 'Each job switches to a hot folder trigger on its source. Paused jobs stay paused.',
+    run: (job) => updateJobTrigger(job.jobId),
+    skipReason: (job) => (job.triggerType === 'HOT_FOLDER' ? 'Already a hot folder' : null)
+  },
+  delete: {
+    label: 'Delete',
+    description: `Each job is deleted. Deleted jobs can be restored from Recently Deleted for ${RETENTION_DAYS} days.`,
+    destructive: true,
+    // deleteJob wants the typed confirmation; the dialog collects it once.
+    // It resolves to the job's snapshot, which the caller can offer to undo.
+    run: (job) => deleteJob(job.jobId, 'DELETE'),
+    skipReason: (job) => (job.status === 'IN_PROGRESS' ? 'Transfer in progress' : null)
+  }
+};
+
+/**
+ * One confirmation for a bulk action over the selected jobs, then a results
+ * panel with per-job outcomes. Failures can be retried without repeating the
+ * jobs that succeeded. `onFinished(succeededJobIds, values)` runs after each
+ * pass, with what the action resolved to for each of those jobs.
+ */
+export const BulkJobActionDialog = ({ action, jobs, onFinished, onClose }) => {
+  const { label, description, destructive, run: runAction, skipReason } = BULK_JOB_ACTIONS[action];
+  const [confirmText, setConfirmText] = useState('');
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const [started, setStarted] = useState(false);
+  const { results, isRunning, run, countByStatus } = useBulkRun();
+
+  const rows = jobs.map(job => ({ job, skipped: skipReason(job) }));
+  const applicable = rows.filter(row => !row.skipped);
+  const pending = applicable.filter(row => results[row.job.jobId]?.status !== 'done');
+  const succeededCount = countByStatus('done');
+  const failedCount = countByStatus('failed');
+  const confirmed = !destructive || confirmText === 'DELETE';
+
+  const handleRun = async () => {
+    setStarted(true);
+    const outcomes = await run(pending, {
+      getKey: row => row.job.jobId,
+      concurrency,
+      task: ({ job }) => runAction(job)
+    });
+    const succeeded = outcomes.filter(outcome => outcome.ok);
+    onFinished(succeeded.map(outcome => outcome.item.job.jobId), succeeded.map(outcome => outcome.value));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold mb-2 dark:text-white">
+          {label} {jobs.length} Job{jobs.length === 1 ? '' : 's'}
+        </h3>
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+          {description}
+          {applicable.length < rows.length && ` ${rows.length - applicable.length} job(s) will be skipped.`}
+        </p>
+
+        <div className="overflow-auto border rounded-md dark:border-gray-700">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700 text-left dark:text-gray-200">
+              <tr>
+                <th className="px-3 py-2 font-medium">Job</th>
+                <th className="px-3 py-2 font-medium">{started ? 'Result' : 'Status'}</th>
+              </tr>
+            </thead>
+            <tbody className="dark:text-gray-200">
+              {rows.map(({ job, skipped }) => (
+                <tr key={job.jobId} className="border-t dark:border-gray-700">
+                  <td className="px-3 py-2">{job.name}</td>
+                  <td className="px-3 py-2">
+                    {skipped ? (
+                      <span className="text-gray-500 dark:text-gray-400">Skipped: {skipped}</span>
+                    ) : (
+                      <BulkResultStatus result={results[job.jobId]} doneLabel={() => 'Done'} />
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {destructive && !started && (
+          <div className="mt-4">
+            <p className="text-sm text-gray-600 dark:text-gray-300 mb-2">
+              Type <span className="font-mono font-bold">DELETE</span> to confirm:
+            </p>
+            <Input
+              value={confirmText}
+              onChange={(e) => setConfirmText(e.target.value)}
+              placeholder="Type DELETE to confirm"
+              className="dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200"
+            />
+          </div>
+        )}
+
+        <div className="flex items-center justify-between gap-2 mt-4">
+          <div className="flex items-center gap-2">
+            <ConcurrencySelect value={concurrency} onChange={setConcurrency} disabled={isRunning} label="Run" />
+            {started && (
+              <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">
+                {succeededCount} succeeded, {failedCount} failed
+              </span>
+            )}
+          </div>
+          <div className="flex space-x-2">
+            <Button variant="outline" onClick={onClose} disabled={isRunning}>
+              {started ? 'Close' : 'Cancel'}
+            </Button>
+            {pending.length > 0 && (
+              <Button
+                variant={destructive ? 'destructive' : 'default'}
+                onClick={handleRun}
+                disabled={isRunning || !confirmed}
+              >
+                {isRunning ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Working...
+                  </>
+                ) : failedCount > 0 ? (
+                  `Retry ${pending.length} Failed`
+                ) : (
+                  `${label} ${pending.length} Job${pending.length === 1 ? '' : 's'}`
+                )}
+              </Button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+BulkJobActionDialog.propTypes = {
+  action: PropTypes.oneOf(Object.keys(BULK_JOB_ACTIONS)).isRequired,
+  jobs: PropTypes.arrayOf(PropTypes.shape({
+    jobId: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    status: PropTypes.string,
+    paused: PropTypes.bool,
+    triggerType: PropTypes.string,
+  })).isRequired,
+  onFinished: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,69 @@
+import PropTypes from 'prop-types';
+import { CheckCircle2, Loader2, XCircle } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { CONCURRENCY_OPTIONS } from '../lib/concurrency';
+
+/** "Run [n] at a time" picker shared by the bulk dialogs. */
+export const ConcurrencySelect = ({ value, onChange, disabled, label = 'Create' }) => (
+  <div className="flex items-center gap-2 text-sm dark:text-gray-200">
+    <span>{label}</span>
+    <Select value={String(value)} onValueChange={(limit) => onChange(Number(limit))} disabled={disabled}>
+      <SelectTrigger className="w-[70px] h-9 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent className="bg-white border-gray-200 dark:bg-gray-800 dark:border-gray-700">
+        {CONCURRENCY_OPTIONS.map(limit => (
+          <SelectItem key={limit} value={String(limit)} className="dark:text-gray-200">{limit}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+    <span>at a time</span>
+  </div>
+);
+
+ConcurrencySelect.propTypes = {
+  value: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+  label: PropTypes.string,
+};
+
+/**
+ * One row's state in a bulk run (see hooks/useBulkRun). Validation errors
+ * win over the run result since such rows are never attempted.
+ */
+export const BulkResultStatus = ({ result, errors = [], doneLabel }) => {
+  if (errors.length > 0) {
+    return <span className="text-red-600 dark:text-red-400">{errors[0]}</span>;
+  }
+  switch (result?.status) {
+    case 'running':
+      return <Loader2 className="h-4 w-4 animate-spin text-blue-500" />;
+    case 'done':
+      return (
+        <span className="flex items-center gap-1 text-green-600 dark:text-green-400">
+          <CheckCircle2 className="h-4 w-4 shrink-0" />
+          {doneLabel?.(result.value) ?? 'Done'}
+        </span>
+      );
+    case 'failed':
+      return (
+        <span className="flex items-center gap-1 text-red-600 dark:text-red-400">
+          <XCircle className="h-4 w-4 shrink-0" />
+          {result.error}
+        </span>
+      );
+    default:
+      return <span className="text-gray-500 dark:text-gray-400">Ready</span>;
+  }
+};
+
+BulkResultStatus.propTypes = {
+  result: PropTypes.shape({
+    status: PropTypes.string.isRequired,
+    value: PropTypes.any,
+    error: PropTypes.string,
+  }),
+  errors: PropTypes.arrayOf(PropTypes.string),
+  doneLabel: PropTypes.func,
+};
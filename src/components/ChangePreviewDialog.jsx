@@ -0,0 +1,64 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Loader2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { JsonDiff } from './JsonDiff';
+
+/**
+ * Modal that shows the diff a PATCH will make and only sends it once the user
+ * confirms. `onConfirm` may be async; the dialog stays open if it throws.
+ */
+export const ChangePreviewDialog = ({ isOpen, title, description, diff, confirmLabel = 'Apply changes', onConfirm, onClose }) => {
+  const [isApplying, setIsApplying] = useState(false);
+
+  if (!isOpen) return null;
+
+  const handleConfirm = async () => {
+    setIsApplying(true);
+    try {
+      await onConfirm();
+      onClose();
+    } catch {
+      // The caller reports the failure; keep the preview open to retry
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-2xl w-full mx-4">
+        <h3 className="text-lg font-semibold mb-2 dark:text-white">{title}</h3>
+        {description && (
+          <p className="text-gray-600 dark:text-gray-300 mb-4">{description}</p>
+        )}
+        <JsonDiff diff={diff} />
+        <div className="flex justify-end space-x-2 mt-4">
+          <Button variant="outline" onClick={onClose} disabled={isApplying}>
+            Cancel
+          </Button>
+          <Button onClick={handleConfirm} disabled={isApplying || diff.length === 0}>
+            {isApplying ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Applying...
+              </>
+            ) : (
+              confirmLabel
+            )}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ChangePreviewDialog.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  title: PropTypes.string.isRequired,
+  description: PropTypes.node,
+  diff: JsonDiff.propTypes.diff,
+  confirmLabel: PropTypes.string,
+  onConfirm: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Loader2 } from 'lucide-react';
+import { Button } from './ui/button';
+
+/**
+ * Plain yes/no confirmation. `onConfirm` may be async; the dialog stays open
+ * if it throws so the caller can report the failure.
+ */
+export const ConfirmDialog = ({ title, description, confirmLabel = 'Confirm', destructive = false, onConfirm, onClose, children }) => {
+  const [isWorking, setIsWorking] = useState(false);
+
+  const handleConfirm = async () => {
+    setIsWorking(true);
+    try {
+      await onConfirm();
+      onClose();
+    } catch {
+      // The caller reports the failure; keep the dialog open to retry
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-md w-full mx-4">
+        <h3 className="text-lg font-semibold mb-4 dark:text-white">{title}</h3>
+        {description && <p className="text-gray-600 dark:text-gray-300 mb-4">{description}</p>}
+        {children}
+        <div className="flex justify-end space-x-2">
+          <Button variant="outline" onClick={onClose} disabled={isWorking}>
+            Cancel
+          </Button>
+          <Button variant={destructive ? 'destructive' : 'default'} onClick={handleConfirm} disabled={isWorking}>
+            {isWorking && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            {confirmLabel}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ConfirmDialog.propTypes = {
+  title: PropTypes.string.isRequired,
+  description: PropTypes.node,
+  confirmLabel: PropTypes.string,
+  destructive: PropTypes.bool,
+  onConfirm: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  children: PropTypes.node,
+};
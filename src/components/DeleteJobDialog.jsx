@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Loader2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { RETENTION_DAYS } from '../lib/recycleBin';
+
+/**
+ * Typed "DELETE" confirmation for deleting one job. `onConfirm` receives the
+ * typed text (deleteJob checks it again); the dialog stays open if it throws
+ * so the caller can report the failure.
+ */
+export const DeleteJobDialog = ({ onClose, onConfirm, jobName }) => {
+  const [confirmText, setConfirmText] = useState('');
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  const handleConfirm = async () => {
+    setIsDeleting(true);
+    try {
+      await onConfirm(confirmText);
+      onClose();
+    } catch {
+      // The caller reports the failure; keep the dialog open to retry
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+        <h3 className="text-lg font-semibold mb-4">Delete Job</h3>
+        <p className="text-gray-600 mb-4">
+          Are you sure you want to delete the job &quot;{jobName}&quot;? It can be restored from Recently Deleted
+          for {RETENTION_DAYS} days.
+        </p>
+        <p className="text-gray-600 mb-4">
+          Type <span className="font-mono font-bold">DELETE</span> to confirm:
+        </p>
+        <Input
+          type="text"
+          value={confirmText}
+          onChange={(e) => setConfirmText(e.target.value)}
+          placeholder="Type DELETE to confirm"
+          className="mb-4"
+        />
+        <div className="flex justify-end space-x-2">
+          <Button
+            variant="outline"
+            onClick={onClose}
+            disabled={isDeleting}
+          >
+            Cancel
+          </Button>
+          <Button
+            variant="destructive"
+            onClick={handleConfirm}
+            disabled={confirmText !== 'DELETE' || isDeleting}
+          >
+            {isDeleting ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Deleting...
+              </>
+            ) : (
+              'Delete Job'
+            )}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+DeleteJobDialog.propTypes = {
+  onClose: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  jobName: PropTypes.string,
+};
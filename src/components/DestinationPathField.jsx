@@ -0,0 +1,82 @@
+import { useRef } from 'react';
+import PropTypes from 'prop-types';
+import { Input } from './ui/input';
+import { PATH_TOKENS } from '../lib/pathTemplate';
+
+/**
+ * Destination path input with insertable `{token}` chips and a preview of the
+ * path the template resolves to for the job being created.
+ */
+export const DestinationPathField = ({ typeInfo, profileName, value, onChange, resolvedPath, error }) => {
+  const inputRef = useRef(null);
+
+  const insertToken = (token) => {
+    const input = inputRef.current;
+    const text = `{${token}}`;
+    const start = input?.selectionStart ?? value.length;
+    const end = input?.selectionEnd ?? value.length;
+    onChange(value.slice(0, start) + text + value.slice(end));
+
+    // Put the caret after the inserted token once React has re-rendered
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(start + text.length, start + text.length);
+    });
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="text-sm font-medium dark:text-gray-200">
+        {typeInfo.pathLabel}
+      </label>
+      <Input
+        ref={inputRef}
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={`${typeInfo.pathPlaceholder || 'deliveries/'}{date}/{jobName}`}
+        className="font-mono dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 dark:placeholder-gray-400"
+      />
+      <div className="flex flex-wrap gap-1">
+        {PATH_TOKENS.map(({ token, description }) => (
+          <button
+            key={token}
+            type="button"
+            title={description}
+            onClick={() => insertToken(token)}
+            className="rounded border border-gray-200 bg-gray-50 px-2 py-0.5 font-mono text-xs text-gray-700 hover:bg-gray-100 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600"
+          >
+            {`{${token}}`}
+          </button>
+        ))}
+      </div>
+      {error ? (
+        <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          {value.trim() ? (
+            <>
+              Files will land in{' '}
+              <span className="font-mono text-gray-700 dark:text-gray-200">{profileName}/{resolvedPath}</span>
+            </>
+          ) : (
+            `${typeInfo.pathHelp} Leave empty to use the profile root.`
+          )}
+        </p>
+      )}
+    </div>
+  );
+};
+
+DestinationPathField.propTypes = {
+  typeInfo: PropTypes.shape({
+    pathLabel: PropTypes.string.isRequired,
+    pathPlaceholder: PropTypes.string,
+    pathHelp: PropTypes.string,
+  }).isRequired,
+  profileName: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  resolvedPath: PropTypes.string.isRequired,
+  error: PropTypes.string,
+};
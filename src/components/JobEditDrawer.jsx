@@ -0,0 +1,312 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Loader2, X } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { useToast } from './ui/use-toast';
+import { JsonDiff } from './JsonDiff';
+import { ObjectPatternsFields } from './ObjectPatternsFields';
+import { StorageBrowser } from './StorageBrowser';
+import { StorageProfileSelect } from './StorageProfileSelect';
+import { DestinationPathField } from './DestinationPathField';
+import { TransferOptionsEditor } from './TransferOptionsEditor';
+import { SigniantAuth } from '../services/auth';
+import {
+  SigniantApi,
+  JOB_CHANGED_SINCE_PREVIEW,
+  applyJobEdit,
+  planJobEdit
+} from '../lib/signiant';
+import {
+  applyDraftToActionData,
+  draftFromJob,
+  evaluateDraft,
+  loadAllowedExtensions
+} from '../lib/jobDraft';
+import { getCombinationError, getProfileTypeInfo } from '../lib/storageProfileTypes';
+import { parseList, storageObjectToInclusion } from '../lib/objectPatterns';
+import { settingsFromActionData } from '../lib/transferOptions';
+import { useTeamScope } from '../hooks/useTeamScope';
+
+const TRIGGER_TYPES = [
+  { value: 'MANUAL', label: 'Manual' },
+  { value: 'HOT_FOLDER', label: 'Hot folder' }
+];
+
+const fieldClassName = "dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 dark:placeholder-gray-400";
+
+const Section = ({ title, children }) => (
+  <div className="space-y-2">
+    <label className="text-sm font-medium dark:text-gray-200">{title}</label>
+    {children}
+  </div>
+);
+
+Section.propTypes = {
+  title: PropTypes.string.isRequired,
+  children: PropTypes.node,
+};
+
+/**
+ * Side drawer for editing a job in place. The job is loaded fresh with
+ * GET /v1/jobs/{id} (the list holds display-cleaned names), edited as a
+ * JobDraft like the create form, and saved as a PATCH carrying only the
+ * top-level fields that changed. The diff against the loaded job is shown
+ * throughout.
+ */
+export const JobEditDrawer = ({ jobId, onSaved, onClose }) => {
+  const [job, setJob] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [triggerType, setTriggerType] = useState('MANUAL');
+  const [profiles, setProfiles] = useState([]);
+  const [userEmail, setUserEmail] = useState('');
+  const [loadError, setLoadError] = useState(null);
+  const [browserOpen, setBrowserOpen] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const { toast } = useToast();
+  const { filterProfiles } = useTeamScope();
+
+  const load = useCallback(async () => {
+    setLoadError(null);
+    try {
+      const [loadedJob, profileData, session] = await Promise.all([
+        SigniantApi.jobs.get(jobId),
+        SigniantApi.storageProfiles.list(),
+        SigniantAuth.getSession().catch(() => null)
+      ]);
+      setJob(loadedJob);
+      setDraft(draftFromJob(loadedJob, { allowedExtensions: loadAllowedExtensions() }));
+      setTriggerType(loadedJob.triggers?.[0]?.type || 'MANUAL');
+      setProfiles(profileData.items.filter(profile => profile.storageProfileId));
+      setUserEmail(session?.user?.email || '');
+    } catch (error) {
+      console.error('Error loading job for editing:', error);
+      setLoadError(error.message);
+    }
+  }, [jobId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const evaluation = useMemo(
+    () => draft && evaluateDraft(draft, { profiles, userEmail }),
+    [draft, profiles, userEmail]
+  );
+
+  // The user's teams' profiles, plus whichever ones the job already uses
+  const pickerProfiles = useMemo(() => {
+    const inScope = new Set(filterProfiles(profiles));
+    const data = job?.actions?.[0]?.data;
+    const current = [data?.source?.storageProfileId, data?.destination?.storageProfileId];
+    return profiles.filter(profile => inScope.has(profile) || current.includes(profile.storageProfileId));
+  }, [profiles, job, filterProfiles]);
+
+  const originalSettings = useMemo(() => job && settingsFromActionData(job.actions[0].data), [job]);
+
+  const plan = useMemo(() => {
+    if (!job || !evaluation || evaluation.errors.length > 0) return null;
+    return planJobEdit(job, {
+      name: evaluation.jobName,
+      actionData: applyDraftToActionData(job.actions[0].data, draft, {
+        objectPatterns: evaluation.objectPatterns,
+        destinationPath: evaluation.resolvedDestination.path
+      }, { originalSettings }),
+      triggerType
+    });
+  }, [job, draft, evaluation, triggerType, originalSettings]);
+
+  const setDraftField = (field) => (value) => setDraft(current => ({ ...current, [field]: value }));
+
+  const handleBrowserSelect = (objects) => {
+    const inclusions = [...parseList(draft.patterns.inclusions), ...objects.map(storageObjectToInclusion)];
+    setDraftField('patterns')({ ...draft.patterns, inclusions: [...new Set(inclusions)].join('\n') });
+    setBrowserOpen(false);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      // {date} tokens resolve to when the change is saved
+      const current = evaluateDraft(draft, { profiles, userEmail, now: new Date() });
+      await applyJobEdit(planJobEdit(job, {
+        name: current.jobName,
+        actionData: applyDraftToActionData(job.actions[0].data, draft, {
+          objectPatterns: current.objectPatterns,
+          destinationPath: current.resolvedDestination.path
+        }, { originalSettings }),
+        triggerType
+      }));
+      toast({
+        title: "Success",
+        description: "Job updated",
+      });
+      onSaved();
+      onClose();
+    } catch (error) {
+      console.error('Error updating job:', error);
+      toast({
+        title: "Error",
+        description: error.code === JOB_CHANGED_SINCE_PREVIEW
+          ? "The job was changed by someone else. Reload it to see the latest version."
+          : error.message || "Failed to update job",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const currentTriggerType = job?.triggers?.[0]?.type;
+  const triggerOptions = currentTriggerType && !TRIGGER_TYPES.some(({ value }) => value === currentTriggerType)
+    ? [...TRIGGER_TYPES, { value: currentTriggerType, label: `Keep current (${currentTriggerType})` }]
+    : TRIGGER_TYPES;
+  const destinationType = evaluation?.destinationProfile &&
+    getProfileTypeInfo(evaluation.destinationProfile.storageProfileType);
+  const changeCount = plan ? Object.keys(plan.changes).length : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-end">
+      <div className="bg-white dark:bg-gray-800 w-full max-w-2xl h-full flex flex-col shadow-xl">
+        <div className="flex items-center justify-between border-b dark:border-gray-700 px-6 py-4">
+          <h3 className="text-lg font-semibold dark:text-white">Edit Job{job && `: ${job.name}`}</h3>
+          <Button variant="ghost" size="icon" onClick={onClose} disabled={isSaving}>
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+
+        <div className="flex-1 overflow-auto px-6 py-4 space-y-4">
+          {loadError && (
+            <div className="space-y-2">
+              <p className="text-sm text-red-600 dark:text-red-400">{loadError}</p>
+              <Button variant="outline" size="sm" onClick={load}>Retry</Button>
+            </div>
+          )}
+          {!draft && !loadError && (
+            <div className="flex justify-center py-12">
+              <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+            </div>
+          )}
+
+          {draft && evaluation && (
+            <>
+              <Section title="Job Name">
+                <Input
+                  value={draft.jobName}
+                  onChange={(e) => setDraftField('jobName')(e.target.value)}
+                  className={fieldClassName}
+                />
+              </Section>
+
+              <Section title="Source Profile">
+                <StorageProfileSelect
+                  value={draft.sourceProfileId}
+                  onValueChange={setDraftField('sourceProfileId')}
+                  profiles={pickerProfiles}
+                  placeholder="Select source profile"
+                  triggerClassName={fieldClassName}
+                />
+              </Section>
+
+              <Section title="Destination Profile">
+                <StorageProfileSelect
+                  value={draft.destinationProfileId}
+                  onValueChange={setDraftField('destinationProfileId')}
+                  profiles={pickerProfiles}
+                  placeholder="Select destination profile"
+                  getDisabledReason={(profile) => getCombinationError(evaluation.sourceProfile, profile)}
+                  triggerClassName={fieldClassName}
+                />
+                {evaluation.combinationError && (
+                  <p className="text-sm text-red-600 dark:text-red-400">{evaluation.combinationError}</p>
+                )}
+              </Section>
+
+              {destinationType && (
+                <DestinationPathField
+                  typeInfo={destinationType}
+                  profileName={evaluation.destinationProfile.name}
+                  value={draft.destinationPath}
+                  onChange={setDraftField('destinationPath')}
+                  resolvedPath={evaluation.resolvedDestination.path}
+                  error={evaluation.destinationPathError}
+                />
+              )}
+
+              <ObjectPatternsFields
+                value={draft.patterns}
+                onChange={setDraftField('patterns')}
+                objectPatterns={evaluation.objectPatterns}
+                errors={evaluation.patternErrors}
+                onBrowse={() => setBrowserOpen(true)}
+                browseDisabled={!evaluation.sourceProfile}
+              />
+
+              <StorageBrowser
+                isOpen={browserOpen}
+                profile={evaluation.sourceProfile}
+                allowedExtensions={evaluation.selection.allowedExtensions}
+                onSelect={handleBrowserSelect}
+                onClose={() => setBrowserOpen(false)}
+              />
+
+              <Section title="Trigger">
+                <Select value={triggerType} onValueChange={setTriggerType}>
+                  <SelectTrigger className={fieldClassName}>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-white border-gray-200 dark:bg-gray-800 dark:border-gray-700">
+                    {triggerOptions.map(({ value, label }) => (
+                      <SelectItem key={value} value={value} className="dark:text-gray-200">{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </Section>
+
+              <Section title="Transfer Options">
+                <TransferOptionsEditor
+                  value={draft.transferSettings}
+                  onChange={setDraftField('transferSettings')}
+                  errors={evaluation.transferSettingsErrors}
+                />
+              </Section>
+
+              <Section title="Changes">
+                {plan ? (
+                  <JsonDiff diff={plan.diff} />
+                ) : (
+                  <p className="text-sm text-red-600 dark:text-red-400">
+                    {evaluation.errors[0]}
+                  </p>
+                )}
+              </Section>
+            </>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-2 border-t dark:border-gray-700 px-6 py-4">
+          <Button variant="outline" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={isSaving || changeCount === 0}>
+            {isSaving ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Saving...
+              </>
+            ) : (
+              'Save Changes'
+            )}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+JobEditDrawer.propTypes = {
+  jobId: PropTypes.string.isRequired,
+  onSaved: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,77 @@
+import PropTypes from 'prop-types';
+import { Loader2, Pause, Play, Square, Zap } from 'lucide-react';
+import { Button } from './ui/button';
+
+// Job rows from /v1/jobs carry `paused`; search results only carry `status`
+const isPaused = (job) => job.paused ?? job.status === 'PAUSED';
+
+const ActionButton = ({ action, title, icon: Icon, pendingAction, onAction, className, disabled }) => (
+  <Button
+    size="sm"
+    variant="outline"
+    title={title}
+    aria-label={title}
+    disabled={disabled || Boolean(pendingAction)}
+    onClick={() => onAction(action)}
+    className={className}
+  >
+    {pendingAction === action
+      ? <Loader2 className="h-4 w-4 animate-spin" />
+      : <Icon className="h-4 w-4" />}
+  </Button>
+);
+
+ActionButton.propTypes = {
+  action: PropTypes.string.isRequired,
+  title: PropTypes.string.isRequired,
+  icon: PropTypes.elementType.isRequired,
+  pendingAction: PropTypes.string,
+  onAction: PropTypes.func.isRequired,
+  className: PropTypes.string,
+  disabled: PropTypes.bool,
+};
+
+/**
+ * Pause/resume, run-now and cancel buttons for a job, backed by JobLifecycle
+ * through useJobLifecycle's `runAction`. `disabled` is for users whose role
+ * may not operate jobs.
+ */
+export const JobLifecycleControls = ({ job, onAction, pendingAction, buttonClassName, disabled }) => {
+  const buttonProps = {
+    pendingAction,
+    onAction: (action) => onAction(job.jobId, action),
+    className: buttonClassName,
+    disabled
+  };
+
+  if (isPaused(job)) {
+    return (
+      <div className="flex items-center gap-2">
+        <ActionButton action="resume" title="Resume job" icon={Play} {...buttonProps} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <ActionButton action="pause" title="Pause job" icon={Pause} {...buttonProps} />
+      {job.status === 'IN_PROGRESS' ? (
+        <ActionButton action="cancelTransfer" title="Cancel current transfer" icon={Square} {...buttonProps} />
+      ) : (
+        <ActionButton action="runNow" title="Run now" icon={Zap} {...buttonProps} />
+      )}
+    </div>
+  );
+};
+
+JobLifecycleControls.propTypes = {
+  job: PropTypes.shape({
+    jobId: PropTypes.string.isRequired,
+    paused: PropTypes.bool,
+    status: PropTypes.string,
+  }).isRequired,
+  onAction: PropTypes.func.isRequired,
+  pendingAction: PropTypes.string,
+  buttonClassName: PropTypes.string,
+  disabled: PropTypes.bool,
+};
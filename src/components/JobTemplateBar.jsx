@@ -0,0 +1,125 @@
+import PropTypes from 'prop-types';
+import { Files, Save, Trash2, Users } from 'lucide-react';
+import { Button } from './ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+
+const itemClassName = "hover:bg-gray-50 focus:bg-gray-100 dark:hover:bg-gray-700 dark:focus:bg-gray-600 dark:text-gray-200";
+const groupClassName = "flex items-center gap-2 py-2 px-2 text-sm font-medium text-gray-600 bg-gray-50 dark:bg-gray-700 dark:text-gray-300";
+
+/**
+ * Template picker above the create form. Picking a template selects its
+ * latest version; older versions stay selectable. `value` is
+ * `{ templateId, version }` or null when the form is not based on one.
+ */
+export const JobTemplateBar = ({ templates, currentUserId, value, onChange, onSaveClick, onBulkClick, onDeleteClick }) => {
+  const mine = templates.filter(template => template.owner_id === currentUserId);
+  const shared = templates.filter(template => template.owner_id !== currentUserId);
+  const selected = value && templates.find(template => template.id === value.templateId);
+  const isOwner = selected?.owner_id === currentUserId;
+
+  const renderGroup = (label, icon, group) => group.length > 0 && (
+    <div>
+      <div className={groupClassName}>
+        {icon}
+        {label}
+      </div>
+      {group.map(template => (
+        <SelectItem key={template.id} value={template.id} className={itemClassName}>
+          {template.name}
+          {template.owner_id !== currentUserId && (
+            <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">({template.owner_email})</span>
+          )}
+        </SelectItem>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <Select
+        value={value?.templateId ?? ''}
+        onValueChange={(templateId) => {
+          const template = templates.find(t => t.id === templateId);
+          onChange({ templateId, version: template.current_version });
+        }}
+      >
+        <SelectTrigger className="w-[260px] bg-gray-50 border-gray-200 hover:border-gray-300 focus:ring-gray-500 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200">
+          <SelectValue placeholder={templates.length > 0 ? "Start from a template" : "No templates yet"} />
+        </SelectTrigger>
+        <SelectContent className="bg-white border-gray-200 dark:bg-gray-800 dark:border-gray-700">
+          {renderGroup('My Templates', <Files className="h-4 w-4" />, mine)}
+          {renderGroup('Shared with the Team', <Users className="h-4 w-4" />, shared)}
+        </SelectContent>
+      </Select>
+
+      {selected && selected.versions.length > 1 && (
+        <Select
+          value={String(value.version)}
+          onValueChange={(version) => onChange({ templateId: selected.id, version: Number(version) })}
+        >
+          <SelectTrigger className="w-[200px] bg-gray-50 border-gray-200 hover:border-gray-300 focus:ring-gray-500 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent className="bg-white border-gray-200 dark:bg-gray-800 dark:border-gray-700">
+            {selected.versions.map(({ version, created_at }) => (
+              <SelectItem key={version} value={String(version)} className={itemClassName}>
+                v{version}{version === selected.current_version && ' (latest)'}
+                <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                  {new Date(created_at).toLocaleDateString()}
+                </span>
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      )}
+
+      <Button type="button" variant="outline" size="sm" onClick={onSaveClick}>
+        <Save className="h-4 w-4 mr-2" />
+        Save as Template
+      </Button>
+      {selected && onBulkClick && (
+        <Button type="button" variant="outline" size="sm" onClick={onBulkClick}>
+          <Files className="h-4 w-4 mr-2" />
+          Bulk Create
+        </Button>
+      )}
+      {selected && isOwner && (
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          onClick={onDeleteClick}
+          className="text-red-600 hover:text-red-700 dark:text-red-400"
+          title="Delete template"
+        >
+          <Trash2 className="h-4 w-4" />
+        </Button>
+      )}
+      {selected?.description && (
+        <p className="basis-full text-sm text-gray-500 dark:text-gray-400">{selected.description}</p>
+      )}
+    </div>
+  );
+};
+
+JobTemplateBar.propTypes = {
+  templates: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    owner_id: PropTypes.string.isRequired,
+    owner_email: PropTypes.string,
+    name: PropTypes.string.isRequired,
+    description: PropTypes.string,
+    current_version: PropTypes.number.isRequired,
+    versions: PropTypes.array.isRequired,
+  })).isRequired,
+  currentUserId: PropTypes.string,
+  value: PropTypes.shape({
+    templateId: PropTypes.string.isRequired,
+    version: PropTypes.number.isRequired,
+  }),
+  onChange: PropTypes.func.isRequired,
+  onSaveClick: PropTypes.func.isRequired,
+  // Omitted for users who may not create jobs
+  onBulkClick: PropTypes.func,
+  onDeleteClick: PropTypes.func.isRequired,
+};
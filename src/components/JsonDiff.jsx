@@ -0,0 +1,44 @@
+import PropTypes from 'prop-types';
+
+const formatValue = (value) =>
+  typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+
+/**
+ * Renders the entries produced by `diffJson` as a before/after list.
+ */
+export const JsonDiff = ({ diff }) => {
+  if (diff.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">No changes.</p>
+    );
+  }
+
+  return (
+    <ul className="max-h-80 overflow-auto rounded-md border border-gray-200 dark:border-gray-700 font-mono text-xs divide-y divide-gray-100 dark:divide-gray-700">
+      {diff.map(entry => (
+        <li key={`${entry.kind}-${entry.path}`} className="px-3 py-2 space-y-1">
+          <div className="font-semibold text-gray-700 dark:text-gray-200">{entry.path || '(root)'}</div>
+          {entry.kind !== 'added' && (
+            <div className="break-all text-red-700 bg-red-50 dark:text-red-300 dark:bg-red-900/20 px-1 rounded">
+              - {formatValue(entry.before)}
+            </div>
+          )}
+          {entry.kind !== 'removed' && (
+            <div className="break-all text-green-700 bg-green-50 dark:text-green-300 dark:bg-green-900/20 px-1 rounded">
+              + {formatValue(entry.after)}
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+JsonDiff.propTypes = {
+  diff: PropTypes.arrayOf(PropTypes.shape({
+    path: PropTypes.string.isRequired,
+    kind: PropTypes.oneOf(['added', 'removed', 'changed']).isRequired,
+    before: PropTypes.any,
+    after: PropTypes.any,
+  })).isRequired,
+};
@@ -0,0 +1,295 @@
+import { Fragment, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { ChevronDown, ChevronRight, Download, FileUp, Loader2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { BulkResultStatus, ConcurrencySelect } from './BulkRunControls';
+import { DEFAULT_CONCURRENCY } from '../lib/concurrency';
+import { SigniantApi } from '../lib/signiant';
+import { evaluateDraft } from '../lib/jobDraft';
+import {
+  MANIFEST_FIELDS,
+  getMappingErrors,
+  guessMapping,
+  parseManifest,
+  recordToDraft,
+  toCsv
+} from '../lib/manifest';
+import { downloadTextFile } from '../lib/utils';
+import { useBulkRun } from '../hooks/useBulkRun';
+
+const NOT_MAPPED = '__none';
+
+// Select values are strings, so assignments are encoded as "column:<name>"
+// or "profile:<id>"
+const encodeAssignment = (assignment) => {
+  if (assignment?.column) return `column:${assignment.column}`;
+  if (assignment?.profileId) return `profile:${assignment.profileId}`;
+  return NOT_MAPPED;
+};
+
+const decodeAssignment = (value) => {
+  if (value.startsWith('column:')) return { column: value.slice('column:'.length) };
+  if (value.startsWith('profile:')) return { profileId: value.slice('profile:'.length) };
+  return null;
+};
+
+const itemClassName = "hover:bg-gray-50 focus:bg-gray-100 dark:hover:bg-gray-700 dark:focus:bg-gray-600 dark:text-gray-200";
+const groupClassName = "py-2 px-2 text-sm font-medium text-gray-600 bg-gray-50 dark:bg-gray-700 dark:text-gray-300";
+
+/**
+ * Imports a CSV or JSON delivery manifest as one job per row: columns are
+ * mapped to job fields, every row is validated against the storage profiles
+ * and previewed as the job body it will POST, then jobs are created a few at
+ * a time with a per-row report that can be downloaded or retried.
+ * `baseDraft` supplies what manifests do not carry (allowed extensions,
+ * transfer options) and should be stable across renders.
+ */
+export const ManifestImportDialog = ({ profiles, userEmail, baseDraft, onCreated, onClose }) => {
+  const [manifest, setManifest] = useState(null);
+  const [parseError, setParseError] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [expandedRow, setExpandedRow] = useState(null);
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const { results, isRunning, run, reset, countByStatus } = useBulkRun();
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const parsed = parseManifest(await file.text(), file.name);
+      setManifest({ ...parsed, fileName: file.name });
+      setMapping(guessMapping(parsed.columns));
+      setParseError(null);
+    } catch (error) {
+      setManifest(null);
+      setParseError(error.message);
+    }
+    setExpandedRow(null);
+    reset();
+  };
+
+  const mappingErrors = getMappingErrors(mapping);
+
+  const rows = useMemo(() => {
+    if (!manifest || getMappingErrors(mapping).length > 0) return [];
+    return manifest.records.map((record, index) => {
+      const { draft, errors: lookupErrors } = recordToDraft(record, mapping, profiles, baseDraft);
+      const evaluation = evaluateDraft(draft, { profiles, userEmail });
+      // Failed profile lookups explain the "select a profile" errors that follow
+      return { rowNumber: index + 1, draft, ...evaluation, errors: [...new Set([...lookupErrors, ...evaluation.errors])] };
+    });
+  }, [manifest, mapping, profiles, userEmail, baseDraft]);
+
+  const validRows = rows.filter(row => row.errors.length === 0);
+  const pending = validRows.filter(row => results[row.rowNumber]?.status !== 'done');
+  const createdCount = countByStatus('done');
+  const failedCount = countByStatus('failed');
+  const hasRun = createdCount > 0 || failedCount > 0;
+
+  const handleRun = async () => {
+    const outcomes = await run(pending, {
+      getKey: row => row.rowNumber,
+      concurrency,
+      task: ({ draft }) => {
+        // Re-evaluated so {date} tokens reflect when each job is created
+        const { errors, body } = evaluateDraft(draft, { profiles, userEmail, now: new Date() });
+        if (errors.length > 0) throw new Error(errors[0]);
+        return SigniantApi.jobs.create(body);
+      }
+    });
+    if (outcomes.some(outcome => outcome.ok)) onCreated();
+  };
+
+  const handleDownloadReport = () => {
+    const profileName = (id) => profiles.find(profile => profile.storageProfileId === id)?.name ?? '';
+    const report = toCsv(
+      ['row', 'jobName', 'source', 'destination', 'destinationPath', 'status', 'jobId', 'error'],
+      rows.map(row => {
+        const result = results[row.rowNumber];
+        const status = row.errors.length > 0 ? 'invalid' : result?.status === 'done' ? 'created' : result?.status ?? 'skipped';
+        return [
+          row.rowNumber,
+          row.jobName,
+          profileName(row.draft.sourceProfileId),
+          profileName(row.draft.destinationProfileId),
+          row.resolvedDestination.path,
+          status,
+          result?.value?.jobId ?? '',
+          row.errors[0] ?? result?.error ?? ''
+        ];
+      })
+    );
+    downloadTextFile(`${manifest.fileName.replace(/\.[^.]+$/, '')}-report.csv`, report, 'text/csv');
+  };
+
+  const profileLabel = (id) => profiles.find(profile => profile.storageProfileId === id)?.name ?? '—';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-5xl w-full mx-4 max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold dark:text-white">Import Manifest</h3>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          CSV with a header row, or JSON rows. Each row becomes one job.
+        </p>
+
+        <label className="flex items-center gap-2 text-sm cursor-pointer dark:text-gray-200">
+          <FileUp className="h-4 w-4" />
+          <input
+            type="file"
+            accept=".csv,.json,.tsv,.txt,text/csv,application/json"
+            onChange={handleFile}
+            disabled={isRunning}
+            className="text-sm"
+          />
+        </label>
+        {parseError && (
+          <p className="mt-2 text-sm text-red-600 dark:text-red-400">{parseError}</p>
+        )}
+
+        {manifest && (
+          <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+            {MANIFEST_FIELDS.map(field => (
+              <div key={field.key} className="space-y-1">
+                <label className="text-sm font-medium dark:text-gray-200">
+                  {field.label}{field.required && ' *'}
+                </label>
+                <Select
+                  value={encodeAssignment(mapping[field.key])}
+                  onValueChange={(value) => setMapping(current => ({ ...current, [field.key]: decodeAssignment(value) }))}
+                  disabled={isRunning}
+                >
+                  <SelectTrigger className="bg-gray-50 border-gray-200 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-white border-gray-200 dark:bg-gray-800 dark:border-gray-700">
+                    <SelectItem value={NOT_MAPPED} className={itemClassName}>Not mapped</SelectItem>
+                    <div className={groupClassName}>Columns</div>
+                    {manifest.columns.map(column => (
+                      <SelectItem key={column} value={`column:${column}`} className={itemClassName}>{column}</SelectItem>
+                    ))}
+                    {field.profile && (
+                      <>
+                        <div className={groupClassName}>Same profile for every row</div>
+                        {profiles.map(profile => (
+                          <SelectItem key={profile.storageProfileId} value={`profile:${profile.storageProfileId}`} className={itemClassName}>
+                            {profile.name}
+                          </SelectItem>
+                        ))}
+                      </>
+                    )}
+                  </SelectContent>
+                </Select>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {manifest && mappingErrors.length > 0 && (
+          <p className="mt-3 text-sm text-red-600 dark:text-red-400">{mappingErrors[0]}</p>
+        )}
+
+        {rows.length > 0 && (
+          <div className="mt-4 overflow-auto border rounded-md dark:border-gray-700">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700 text-left dark:text-gray-200">
+                <tr>
+                  <th className="px-3 py-2 font-medium w-8" />
+                  <th className="px-3 py-2 font-medium">Row</th>
+                  <th className="px-3 py-2 font-medium">Job Name</th>
+                  <th className="px-3 py-2 font-medium">Source → Destination</th>
+                  <th className="px-3 py-2 font-medium">Destination Path</th>
+                  <th className="px-3 py-2 font-medium">Status</th>
+                </tr>
+              </thead>
+              <tbody className="dark:text-gray-200">
+                {rows.map(row => (
+                  <Fragment key={row.rowNumber}>
+                    <tr className="border-t dark:border-gray-700">
+                      <td className="px-3 py-2">
+                        {row.body && (
+                          <button
+                            type="button"
+                            onClick={() => setExpandedRow(expandedRow === row.rowNumber ? null : row.rowNumber)}
+                            title="Preview job body"
+                          >
+                            {expandedRow === row.rowNumber ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                          </button>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">{row.rowNumber}</td>
+                      <td className="px-3 py-2">{row.jobName}</td>
+                      <td className="px-3 py-2">
+                        {profileLabel(row.draft.sourceProfileId)} → {profileLabel(row.draft.destinationProfileId)}
+                      </td>
+                      <td className="px-3 py-2 font-mono">{row.resolvedDestination.path || '/'}</td>
+                      <td className="px-3 py-2">
+                        <BulkResultStatus
+                          result={results[row.rowNumber]}
+                          errors={row.errors}
+                          doneLabel={job => job.jobId}
+                        />
+                      </td>
+                    </tr>
+                    {expandedRow === row.rowNumber && row.body && (
+                      <tr>
+                        <td colSpan={6} className="px-3 pb-3">
+                          <pre className="text-xs bg-gray-50 dark:bg-gray-900 rounded p-3 overflow-auto">
+                            {JSON.stringify(row.body, null, 2)}
+                          </pre>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex items-center justify-between gap-2 mt-4">
+          <div className="flex items-center gap-2">
+            <ConcurrencySelect value={concurrency} onChange={setConcurrency} disabled={isRunning} />
+            {rows.length > 0 && (
+              <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">
+                {validRows.length} of {rows.length} rows valid
+                {hasRun && `, ${createdCount} created, ${failedCount} failed`}
+              </span>
+            )}
+          </div>
+          <div className="flex space-x-2">
+            {hasRun && (
+              <Button variant="outline" onClick={handleDownloadReport} disabled={isRunning}>
+                <Download className="h-4 w-4 mr-2" />
+                Report
+              </Button>
+            )}
+            <Button variant="outline" onClick={onClose} disabled={isRunning}>
+              Close
+            </Button>
+            <Button onClick={handleRun} disabled={isRunning || pending.length === 0}>
+              {isRunning ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Creating...
+                </>
+              ) : failedCount > 0 ? (
+                `Retry ${pending.length} Job${pending.length === 1 ? '' : 's'}`
+              ) : (
+                `Create ${pending.length} Job${pending.length === 1 ? '' : 's'}`
+              )}
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ManifestImportDialog.propTypes = {
+  profiles: PropTypes.array.isRequired,
+  userEmail: PropTypes.string,
+  baseDraft: PropTypes.object.isRequired,
+  onCreated: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,122 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Mfa } from '../services/mfa';
+import { Loader2 } from 'lucide-react';
+
+const CODE_PATTERN = /^\d{6}$/;
+
+// Asks for a code from one of the user's verified authenticator apps, or
+// from the app being enrolled when `enrollingFactorId` is given, and raises
+// the session to aal2.
+const MfaChallengeForm = ({ onVerified, onCancel, enrollingFactorId }) => {
+  const [factors, setFactors] = useState([]);
+  const [factorId, setFactorId] = useState(enrollingFactorId ?? null);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(!enrollingFactorId);
+  const [isVerifying, setIsVerifying] = useState(false);
+
+  useEffect(() => {
+    if (enrollingFactorId) return;
+    Mfa.listTotpFactors()
+      .then((all) => {
+        const verified = all.filter(factor => factor.status === 'verified');
+        setFactors(verified);
+        setFactorId(verified[0]?.id ?? null);
+      })
+      .catch((loadError) => setError(loadError.message))
+      .finally(() => setIsLoading(false));
+  }, [enrollingFactorId]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const trimmed = code.replace(/\s/g, '');
+    if (!CODE_PATTERN.test(trimmed)) {
+      setError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setIsVerifying(true);
+    setError(null);
+    try {
+      await Mfa.verify(factorId, trimmed);
+      onVerified();
+    } catch (verifyError) {
+      setError(verifyError.message);
+      setCode('');
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader2 className="h-6 w-6 animate-spin text-gray-500" />
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {factors.length > 1 && (
+        <select
+          value={factorId ?? ''}
+          onChange={(e) => setFactorId(e.target.value)}
+          aria-label="Authenticator app"
+          className="w-full rounded-md border px-3 py-2 text-sm dark:bg-gray-800 dark:text-white dark:border-gray-700"
+        >
+          {factors.map(factor => (
+            <option key={factor.id} value={factor.id}>{factor.friendly_name || 'Authenticator app'}</option>
+          ))}
+        </select>
+      )}
+
+      <div className="space-y-2">
+        <label htmlFor="mfa-code" className="text-sm font-medium dark:text-gray-200">
+          Authentication code
+        </label>
+        <Input
+          id="mfa-code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="123456"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          autoFocus
+          maxLength={7}
+          className="w-full dark:bg-gray-800 dark:text-white dark:border-gray-700"
+        />
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Open your authenticator app and enter the code shown for the dashboard.
+        </p>
+      </div>
+
+      {error && (
+        <p role="alert" className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      )}
+
+      <div className="flex gap-2">
+        {onCancel && (
+          <Button type="button" variant="outline" onClick={onCancel} disabled={isVerifying} className="flex-1">
+            Cancel
+          </Button>
+        )}
+        <Button type="submit" disabled={isVerifying || !factorId} className="flex-1">
+          {isVerifying && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          Verify
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+MfaChallengeForm.propTypes = {
+  onVerified: PropTypes.func.isRequired,
+  onCancel: PropTypes.func,
+  enrollingFactorId: PropTypes.string,
+};
+
+export default MfaChallengeForm;
@@ -0,0 +1,128 @@
+import PropTypes from 'prop-types';
+import { AlertCircle, FolderOpen } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Textarea } from './ui/textarea';
+
+const fieldClassName = "dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 dark:placeholder-gray-400";
+
+/**
+ * File name, glob and extension inputs for the create-job form, with the
+ * resulting `objectPatterns` shown as it will be sent. `value` holds the raw
+ * text of each field; parsing happens in lib/objectPatterns. `onBrowse`, when
+ * given, adds a button that opens the source profile browser.
+ */
+export const ObjectPatternsFields = ({ value, onChange, objectPatterns, errors, onBrowse, browseDisabled = false }) => {
+  const setField = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <label className="text-sm font-medium dark:text-gray-200">
+          Files and Folders
+        </label>
+        <Textarea
+          value={value.fileNames}
+          onChange={setField('fileNames')}
+          placeholder={"One per line, e.g.\nDELETETEST_10242024_01d.mxf\nEpisode 101/"}
+          rows={4}
+          className={fieldClassName}
+        />
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          End a name with / to send a whole folder. Names are matched at any depth.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <label className="text-sm font-medium dark:text-gray-200">
+              Include Patterns (glob)
+            </label>
+            {onBrowse && (
+              <Button
+                type="button"
+                size="sm"
+                variant="outline"
+                onClick={onBrowse}
+                disabled={browseDisabled}
+                title={browseDisabled ? 'Select a source profile first' : undefined}
+                className="h-7 dark:border-gray-600 dark:text-gray-200 dark:hover:bg-gray-700"
+              >
+                <FolderOpen className="h-4 w-4 mr-1" />
+                Browse Source
+              </Button>
+            )}
+          </div>
+          <Textarea
+            value={value.inclusions}
+            onChange={setField('inclusions')}
+            placeholder={"**/EP101_*.mxf"}
+            rows={3}
+            className={`font-mono ${fieldClassName}`}
+          />
+        </div>
+        <div className="space-y-2">
+          <label className="text-sm font-medium dark:text-gray-200">
+            Exclude Patterns (glob)
+          </label>
+          <Textarea
+            value={value.exclusions}
+            onChange={setField('exclusions')}
+            placeholder={"**/*.tmp\n**/.DS_Store"}
+            rows={3}
+            className={`font-mono ${fieldClassName}`}
+          />
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <label className="text-sm font-medium dark:text-gray-200">
+          Allowed Extensions
+        </label>
+        <Input
+          type="text"
+          value={value.allowedExtensions}
+          onChange={setField('allowedExtensions')}
+          placeholder="Any extension"
+          className={fieldClassName}
+        />
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Comma separated, e.g. .mxf, .mov. Leave empty to allow any file type.
+        </p>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="space-y-1 text-sm text-red-600 dark:text-red-400">
+          {errors.map(error => (
+            <li key={error} className="flex items-start gap-2">
+              <AlertCircle className="h-4 w-4 mt-0.5 shrink-0" />
+              {error}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="space-y-2">
+        <p className="text-sm font-medium dark:text-gray-200">Object Patterns Preview</p>
+        <pre className="rounded-md bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 p-3 text-xs font-mono text-gray-700 dark:text-gray-300 overflow-auto max-h-48">
+          {JSON.stringify(objectPatterns, null, 2)}
+        </pre>
+      </div>
+    </div>
+  );
+};
+
+ObjectPatternsFields.propTypes = {
+  value: PropTypes.shape({
+    fileNames: PropTypes.string.isRequired,
+    inclusions: PropTypes.string.isRequired,
+    exclusions: PropTypes.string.isRequired,
+    allowedExtensions: PropTypes.string.isRequired,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  objectPatterns: PropTypes.object.isRequired,
+  errors: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onBrowse: PropTypes.func,
+  browseDisabled: PropTypes.bool,
+};
@@ -1,15 +1,111 @@
 import { useState, useEffect } from 'react';
-import { Navigate } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { Link, Navigate, useLocation, useNavigate } from 'react-router-dom';
 import { SigniantAuth } from '../services/auth';
-import { Loader2 } from 'lucide-react';
+import { usePermissions } from '../hooks/usePermissions';
+import { useAssuranceLevel } from '../hooks/useAssuranceLevel';
+import { ROLE_LABELS, PERMISSIONS, requiresMfa } from '../lib/permissions';
+import { Loader2, ShieldAlert, ShieldCheck } from 'lucide-react';
 
+const AccessDenied = ({ permission, role }) => (
+  <div className="p-8 flex items-center justify-center min-h-[60vh]">
+    <div className="text-center max-w-md">
+      <ShieldAlert className="h-10 w-10 mx-auto mb-4 text-gray-400" />
+      <h2 className="text-lg font-semibold mb-2 dark:text-white">You don&apos;t have access to this page</h2>
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+        It needs the {ROLE_LABELS[PERMISSIONS[permission]]} role
+        {role ? `; you are signed in as ${ROLE_LABELS[role] || role}` : ''}. Ask an admin if you need it.
+      </p>
+      <Link to="/" className="text-sm text-indigo-600 dark:text-indigo-400 hover:underline">
+        Back to the dashboard
+      </Link>
+    </div>
+  </div>
+);
 
+AccessDenied.propTypes = {
+  permission: PropTypes.string.isRequired,
+  role: PropTypes.string,
+};
+
+const AccountNotActive = ({ status }) => {
+  const navigate = useNavigate();
+
+  const handleSignOut = async () => {
+    try {
+      await SigniantAuth.logout();
+    } finally {
+      navigate('/login');
+    }
+  };
+
+  return (
+    <div className="min-h-screen p-8 flex items-center justify-center">
+      <div className="text-center max-w-md">
+        <ShieldAlert className="h-10 w-10 mx-auto mb-4 text-gray-400" />
+        <h2 className="text-lg font-semibold mb-2 dark:text-white">
+          {status === 'disabled' ? 'Your account has been disabled' : 'Your account is awaiting approval'}
+        </h2>
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+          {status === 'disabled'
+            ? 'Contact an admin if you think this is a mistake.'
+            : 'An admin needs to approve your registration before you can use the dashboard.'}
+        </p>
+        <button
+          onClick={handleSignOut}
+          className="text-sm text-indigo-600 dark:text-indigo-400 hover:underline"
+        >
+          Sign out
+        </button>
+      </div>
+    </div>
+  );
+};
+
+AccountNotActive.propTypes = {
+  status: PropTypes.string.isRequired,
+};
+
+// For users whose role needs a second factor but who have no authenticator
+// app yet. Those who have one are challenged at sign-in (see below).
+const MfaRequired = () => {
+  const location = useLocation();
+
+  return (
+    <div className="p-8 flex items-center justify-center min-h-[60vh]">
+      <div className="text-center max-w-md">
+        <ShieldCheck className="h-10 w-10 mx-auto mb-4 text-gray-400" />
+        <h2 className="text-lg font-semibold mb-2 dark:text-white">Two-factor authentication required</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+          This page can delete data that cannot be recovered. Set up an authenticator app to use it.
+        </p>
+        <Link
+          to="/security"
+          state={{ from: location.pathname }}
+          className="text-sm text-indigo-600 dark:text-indigo-400 hover:underline"
+        >
+          Set up two-factor authentication
+        </Link>
+      </div>
+    </div>
+  );
+};
 
-const ProtectedRoute = ({ children }) => {
+// Sends signed-out users to /login, as well as users with an authenticator
+// app who have not entered a code yet (e.g. after Google sign-in), and
+// holds accounts an admin has not approved (or has disabled). With
+// `permission`, also requires the user's role to grant it (see
+// lib/permissions). With `requireMfa`, for pages that offer actions which
+// cannot be undone, users whose role allows those actions must have
+// verified a second factor this session.
+const ProtectedRoute = ({ children, permission, requireMfa = false }) => {
   const [authState, setAuthState] = useState({
     isAuthenticated: null,
     isLoading: true
   });
+  const permissions = usePermissions();
+  const assurance = useAssuranceLevel();
+  const location = useLocation();
 
   useEffect(() => {
     const checkAuth = async () => {
@@ -31,7 +127,7 @@ const ProtectedRoute = ({ children }) => {
     checkAuth();
   }, []);
 
-  if (authState.isLoading) {
+  if (authState.isLoading || permissions.isLoading || assurance.isLoading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <Loader2 className="h-8 w-8 animate-spin text-blue-500" />
@@ -43,7 +139,29 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" replace />;
   }
 
+  if (assurance.hasFactor && !assurance.isVerified) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+
+  if (permissions.status && permissions.status !== 'active') {
+    return <AccountNotActive status={permissions.status} />;
+  }
+
+  if (permission && !permissions.can(permission)) {
+    return <AccessDenied permission={permission} role={permissions.role} />;
+  }
+
+  if (requireMfa && requiresMfa(permissions.role) && !assurance.isVerified) {
+    return <MfaRequired />;
+  }
+
   return children;
 };
 
+ProtectedRoute.propTypes = {
+  children: PropTypes.node.isRequired,
+  permission: PropTypes.oneOf(Object.keys(PERMISSIONS)),
+  requireMfa: PropTypes.bool,
+};
+
 export default ProtectedRoute;
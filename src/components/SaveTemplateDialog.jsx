@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Loader2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Textarea } from './ui/textarea';
+
+/**
+ * Saves the create form as a template. When the form was loaded from a
+ * template the user owns, saving defaults to a new version of it; otherwise
+ * (or on request) a new template is created. `onSave({ asNewVersion, name,
+ * description, shared })` does the work and may throw to keep the dialog open.
+ */
+export const SaveTemplateDialog = ({ template, onSave, onClose }) => {
+  const [asNewVersion, setAsNewVersion] = useState(Boolean(template));
+  const [name, setName] = useState(template?.name ?? '');
+  const [description, setDescription] = useState(template?.description ?? '');
+  const [shared, setShared] = useState(template?.shared ?? false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const chooseMode = (newVersion) => {
+    setAsNewVersion(newVersion);
+    setName(newVersion ? template.name : '');
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave({ asNewVersion, name: name.trim(), description: description.trim(), shared });
+      onClose();
+    } catch {
+      // The caller reports the failure; keep the dialog open to retry
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-lg w-full mx-4">
+        <h3 className="text-lg font-semibold mb-4 dark:text-white">Save as Template</h3>
+
+        <div className="space-y-4">
+          {template && (
+            <div className="space-y-2 text-sm dark:text-gray-200">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input type="radio" checked={asNewVersion} onChange={() => chooseMode(true)} />
+                Save as version {template.current_version + 1} of &ldquo;{template.name}&rdquo;
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input type="radio" checked={!asNewVersion} onChange={() => chooseMode(false)} />
+                Save as a new template
+              </label>
+              {asNewVersion && (
+                <p className="text-gray-500 dark:text-gray-400">
+                  Earlier versions are kept, so jobs created from them are unaffected.
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium dark:text-gray-200">Name</label>
+            <Input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Dailies to S3"
+              className="dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 dark:placeholder-gray-400"
+            />
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium dark:text-gray-200">Description</label>
+            <Textarea
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              rows={2}
+              className="dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 dark:placeholder-gray-400"
+            />
+          </div>
+
+          <label className="flex items-center gap-2 cursor-pointer text-sm dark:text-gray-200">
+            <input type="checkbox" checked={shared} onChange={(e) => setShared(e.target.checked)} />
+            Share with the team
+          </label>
+        </div>
+
+        <div className="flex justify-end space-x-2 mt-6">
+          <Button variant="outline" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={isSaving || !name.trim()}>
+            {isSaving ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Saving...
+              </>
+            ) : (
+              'Save Template'
+            )}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+SaveTemplateDialog.propTypes = {
+  template: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    description: PropTypes.string,
+    shared: PropTypes.bool,
+    current_version: PropTypes.number.isRequired,
+  }),
+  onSave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,61 @@
+import { useState, useEffect } from 'react';
+import { AlertCircle, Loader2, RefreshCw } from 'lucide-react';
+import { Button } from './ui/button';
+import { SigniantApiAuth } from '../lib/signiant';
+
+// Single place that reports a lost Signiant connection, so failing API calls
+// across the dashboard do not each raise their own toast.
+const SigniantConnectionBanner = () => {
+  const auth = SigniantApiAuth.getInstance();
+  const [status, setStatus] = useState({ connected: auth.connected, error: null });
+  const [isRetrying, setIsRetrying] = useState(false);
+
+  useEffect(() => auth.onStatusChange(setStatus), [auth]);
+
+  const handleRetry = async () => {
+    setIsRetrying(true);
+    try {
+      await auth.refreshToken();
+    } catch (error) {
+      console.error('Signiant reconnect failed:', error);
+    } finally {
+      setIsRetrying(false);
+    }
+  };
+
+  if (status.connected) return null;
+
+  return (
+    <div className="bg-red-50 dark:bg-red-900/20 border-l-4 border-red-500 p-4 m-4 mb-0 rounded-r-lg shadow-sm">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <AlertCircle className="text-red-500 dark:text-red-400 mr-2" />
+          <div>
+            <p className="text-red-700 dark:text-red-400 font-medium">
+              Signiant connection lost
+            </p>
+            <p className="text-sm text-red-600 dark:text-red-300">
+              Job data may be out of date. Reconnecting automatically...
+            </p>
+          </div>
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={handleRetry}
+          disabled={isRetrying}
+          className="dark:bg-gray-800 dark:text-white dark:border-gray-600"
+        >
+          {isRetrying ? (
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          ) : (
+            <RefreshCw className="h-4 w-4 mr-2" />
+          )}
+          Retry now
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default SigniantConnectionBanner;
@@ -0,0 +1,226 @@
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { ChevronRight, FileText, Folder, Loader2, Search } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { formatBytes } from './transferProgress';
+import { SigniantApi } from '../lib/signiant';
+import { isAllowedFile } from '../lib/objectPatterns';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Modal file picker over a storage profile's contents. Folders can be opened
+ * or selected whole; files outside `allowedExtensions` are shown but cannot be
+ * picked. `onSelect` receives the chosen StorageObjects.
+ */
+export const StorageBrowser = ({ isOpen, profile, allowedExtensions = [], onSelect, onClose }) => {
+  const [path, setPath] = useState('');
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(new Map());
+  // Ignore pages from a listing the user has already navigated away from
+  const requestIdRef = useRef(0);
+
+  useEffect(() => {
+    if (isOpen) {
+      setPath('');
+      setSearchInput('');
+      setSearch('');
+      setSelected(new Map());
+    }
+  }, [isOpen, profile?.storageProfileId]);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setSearch(searchInput.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
+
+  useEffect(() => {
+    if (!isOpen || !profile) return;
+
+    const requestId = ++requestIdRef.current;
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      setItems([]);
+      try {
+        let loaded = [];
+        for await (const page of SigniantApi.storageProfiles.objectPages(profile.storageProfileId, { path, search })) {
+          if (requestId !== requestIdRef.current) return;
+          loaded = [...loaded, ...page];
+          setItems(loaded);
+        }
+      } catch (error) {
+        console.error('Error listing storage profile:', error);
+        if (requestId === requestIdRef.current) setError(error.message);
+      } finally {
+        if (requestId === requestIdRef.current) setLoading(false);
+      }
+    };
+
+    load();
+  }, [isOpen, profile, path, search]);
+
+  if (!isOpen || !profile) return null;
+
+  const openFolder = (folderPath) => {
+    setSearchInput('');
+    setSearch('');
+    setPath(folderPath);
+  };
+
+  const toggleSelected = (item) => {
+    const next = new Map(selected);
+    if (next.has(item.path)) {
+      next.delete(item.path);
+    } else {
+      next.set(item.path, item);
+    }
+    setSelected(next);
+  };
+
+  const isSelectable = (item) => item.type === 'FOLDER' || isAllowedFile(item.name, allowedExtensions);
+
+  const segments = path ? path.split('/') : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-4xl w-full mx-4 flex flex-col max-h-[85vh]">
+        <h3 className="text-lg font-semibold mb-4 dark:text-white">Browse {profile.name}</h3>
+
+        <div className="flex flex-wrap items-center gap-1 text-sm mb-3">
+          <button type="button" className="text-blue-600 hover:underline dark:text-blue-400" onClick={() => openFolder('')}>
+            {profile.name}
+          </button>
+          {segments.map((segment, index) => (
+            <span key={segments.slice(0, index + 1).join('/')} className="flex items-center gap-1">
+              <ChevronRight className="h-4 w-4 text-gray-400" />
+              <button
+                type="button"
+                className="text-blue-600 hover:underline dark:text-blue-400"
+                onClick={() => openFolder(segments.slice(0, index + 1).join('/'))}
+              >
+                {segment}
+              </button>
+            </span>
+          ))}
+        </div>
+
+        <div className="relative mb-3">
+          <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+          <Input
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder={`Search in ${path || profile.name}...`}
+            className="pl-9 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 dark:placeholder-gray-400"
+          />
+        </div>
+
+        <div className="flex-1 overflow-auto border rounded-md dark:border-gray-700">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="w-8"></TableHead>
+                <TableHead>Name</TableHead>
+                <TableHead>Size</TableHead>
+                <TableHead>Modified</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {items.map(item => {
+                const selectable = isSelectable(item);
+                return (
+                  <TableRow key={item.path} className={selectable ? '' : 'opacity-50'}>
+                    <TableCell>
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${item.name}`}
+                        checked={selected.has(item.path)}
+                        disabled={!selectable}
+                        onChange={() => toggleSelected(item)}
+                        title={selectable ? undefined : 'Extension not in the allowed list'}
+                      />
+                    </TableCell>
+                    <TableCell className="dark:text-gray-200">
+                      {item.type === 'FOLDER' ? (
+                        <button
+                          type="button"
+                          className="flex items-center gap-2 text-left hover:underline"
+                          onClick={() => openFolder(item.path)}
+                        >
+                          <Folder className="h-4 w-4 text-yellow-500 shrink-0" />
+                          {search ? item.path : item.name}
+                        </button>
+                      ) : (
+                        <span className="flex items-center gap-2">
+                          <FileText className="h-4 w-4 text-gray-400 shrink-0" />
+                          {search ? item.path : item.name}
+                        </span>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-gray-600 dark:text-gray-300">
+                      {item.type === 'FILE' ? formatBytes(item.sizeInBytes || 0) : '—'}
+                    </TableCell>
+                    <TableCell className="text-gray-600 dark:text-gray-300">
+                      {item.lastModifiedOn ? new Date(item.lastModifiedOn).toLocaleString() : '—'}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+              {!loading && !error && items.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={4} className="text-center text-gray-500 dark:text-gray-400">
+                    {search ? 'No matching files' : 'This folder is empty'}
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+          {loading && (
+            <div className="flex items-center justify-center py-4 text-sm text-gray-500 dark:text-gray-400">
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              Loading...
+            </div>
+          )}
+          {error && (
+            <p className="p-4 text-sm text-red-600 dark:text-red-400">{error}</p>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between mt-4">
+          <span className="text-sm text-gray-600 dark:text-gray-300">
+            {selected.size} selected
+          </span>
+          <div className="flex space-x-2">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button
+              type="button"
+              disabled={selected.size === 0}
+              onClick={() => onSelect([...selected.values()])}
+            >
+              Add to Inclusions
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+StorageBrowser.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  profile: PropTypes.shape({
+    storageProfileId: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+  }),
+  allowedExtensions: PropTypes.arrayOf(PropTypes.string),
+  onSelect: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
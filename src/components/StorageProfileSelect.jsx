@@ -0,0 +1,75 @@
+import PropTypes from 'prop-types';
+import { Boxes, Cloud, CloudCog, Database, HardDrive, Server } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { getProfileTypeInfo, groupProfilesByType } from '../lib/storageProfileTypes';
+
+const TYPE_ICONS = {
+  ON_PREMISE_FILE_STORAGE: HardDrive,
+  AWS_S3: Cloud,
+  S3_COMPATIBLE: CloudCog,
+  WASABI_OBJECT_STORAGE: Database,
+  AZURE_BLOB: Boxes,
+  GCP_CLOUD_STORAGE: Cloud
+};
+
+export const StorageProfileIcon = ({ type, className = "h-4 w-4" }) => {
+  const Icon = TYPE_ICONS[type] || Server;
+  return <Icon className={className} />;
+};
+
+StorageProfileIcon.propTypes = {
+  type: PropTypes.string,
+  className: PropTypes.string,
+};
+
+/**
+ * Profile picker grouped by storage type. `getDisabledReason` can rule out
+ * individual profiles (e.g. unsupported source/destination pairs); they stay
+ * listed with the reason shown.
+ */
+export const StorageProfileSelect = ({ value, onValueChange, profiles, placeholder, getDisabledReason, triggerClassName }) => (
+  <Select value={value} onValueChange={onValueChange}>
+    <SelectTrigger className={triggerClassName}>
+      <SelectValue placeholder={placeholder} />
+    </SelectTrigger>
+    <SelectContent className="bg-white border-gray-200 dark:bg-gray-800 dark:border-gray-700">
+      {groupProfilesByType(profiles).map(({ type, profiles: group }) => (
+        <div key={type}>
+          <div className="flex items-center gap-2 py-2 px-2 text-sm font-medium text-gray-600 bg-gray-50 dark:bg-gray-700 dark:text-gray-300">
+            <StorageProfileIcon type={type} />
+            {getProfileTypeInfo(type).label}
+          </div>
+          {group.map(profile => {
+            const disabledReason = getDisabledReason?.(profile);
+            return (
+              <SelectItem
+                key={profile.storageProfileId}
+                value={profile.storageProfileId}
+                disabled={Boolean(disabledReason)}
+                className="hover:bg-gray-50 focus:bg-gray-100 dark:hover:bg-gray-700 dark:focus:bg-gray-600 dark:text-gray-200"
+              >
+                {profile.name}
+                {disabledReason && (
+                  <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">({disabledReason})</span>
+                )}
+              </SelectItem>
+            );
+          })}
+        </div>
+      ))}
+    </SelectContent>
+  </Select>
+);
+
+StorageProfileSelect.propTypes = {
+  value: PropTypes.string.isRequired,
+  onValueChange: PropTypes.func.isRequired,
+  profiles: PropTypes.arrayOf(PropTypes.shape({
+    storageProfileId: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    storageProfileType: PropTypes.string.isRequired,
+  })).isRequired,
+  placeholder: PropTypes.string,
+  getDisabledReason: PropTypes.func,
+  triggerClassName: PropTypes.string,
+};
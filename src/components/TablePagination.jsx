@@ -0,0 +1,56 @@
+import PropTypes from 'prop-types';
+import { ChevronLeft, ChevronRight, Loader2 } from 'lucide-react';
+import { Button } from './ui/button';
+
+export const TablePagination = ({ pagination, isLoadingMore = false }) => {
+  const { page, pageCount, setPage, rangeStart, rangeEnd, total } = pagination;
+
+  return (
+    <div className="flex items-center justify-between px-4 py-3 text-sm text-gray-600 dark:text-gray-400">
+      <span className="flex items-center">
+        Showing {rangeStart}–{rangeEnd} of {total}
+        {isLoadingMore && (
+          <>
+            <Loader2 className="ml-2 mr-1 h-4 w-4 animate-spin" />
+            loading more...
+          </>
+        )}
+      </span>
+      <div className="flex items-center space-x-2">
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setPage(page - 1)}
+          disabled={page <= 1}
+          className="dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200"
+        >
+          <ChevronLeft className="h-4 w-4" />
+        </Button>
+        <span>
+          Page {page} of {pageCount}
+        </span>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setPage(page + 1)}
+          disabled={page >= pageCount}
+          className="dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200"
+        >
+          <ChevronRight className="h-4 w-4" />
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+TablePagination.propTypes = {
+  pagination: PropTypes.shape({
+    page: PropTypes.number.isRequired,
+    pageCount: PropTypes.number.isRequired,
+    setPage: PropTypes.func.isRequired,
+    rangeStart: PropTypes.number.isRequired,
+    rangeEnd: PropTypes.number.isRequired,
+    total: PropTypes.number.isRequired,
+  }).isRequired,
+  isLoadingMore: PropTypes.bool,
+};
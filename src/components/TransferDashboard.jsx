@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { SigniantAuth } from '../lib/signiant';
+import { SigniantApi, collectAll, isConnectionLost } from '../lib/signiant';
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
 import { Badge } from "@/components/ui/badge";
@@ -7,8 +7,13 @@ import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { TransferProgress } from './transferProgress';
+import { TablePagination } from './TablePagination';
+import { usePagination } from '@/hooks/usePagination';
 import { useToast } from "@/components/ui/use-toast";
-import { RefreshCw, Search, AlertTriangle, CheckCircle2, Clock, AlertCircle, Pause, Play } from 'lucide-react';
+import { useJobLifecycle } from '@/hooks/useJobLifecycle';
+import { JobLifecycleControls } from './JobLifecycleControls';
+import { usePermissions } from '@/hooks/usePermissions';
+import { RefreshCw, Search, AlertTriangle, CheckCircle2, Clock, AlertCircle, Pause } from 'lucide-react';
 
 const TransferDashboard = () => {
   const [transfers, setTransfers] = useState([]);
@@ -19,26 +24,19 @@ const TransferDashboard = () => {
 
   const fetchTransfers = async () => {
     try {
-      const headers = await SigniantAuth.getAuthHeader();
-      const response = await fetch('/platform-api/v1/jobs/search', {
-        method: 'POST',
-        headers,
-        body: JSON.stringify({
-          sortBy: 'lastActivity',
-          sortOrder: 'desc',
-          limit: 100
-        })
-      });
-
-      if (!response.ok) throw new Error('Failed to fetch transfers');
-      const data = await response.json();
-      setTransfers(data.items);
+      const items = await collectAll(SigniantApi.jobs.searchPages({
+        sortBy: 'lastActivity',
+        sortOrder: 'desc'
+      }));
+      setTransfers(items);
     } catch (error) {
-      toast({
-        title: "Error",
-        description: error.message,
-        variant: "destructive"
-      });
+      if (!isConnectionLost(error)) {
+        toast({
+          title: "Error",
+          description: error.message,
+          variant: "destructive"
+        });
+      }
     } finally {
       setLoading(false);
     }
@@ -71,29 +69,8 @@ const TransferDashboard = () => {
     }
   };
 
-  const handleJobAction = async (jobId, action) => {
-    try {
-      const headers = await SigniantAuth.getAuthHeader();
-      await fetch(`/platform-api/v1/jobs/${jobId}`, {
-        method: 'PATCH',
-        headers,
-        body: JSON.stringify({ status: action })
-      });
-      
-      toast({
-        title: "Success",
-        description: `Job ${action.toLowerCase()} successfully`
-      });
-      
-      fetchTransfers();
-    } catch (error) {
-      toast({
-        title: "Error",
-        description: `Failed to ${action.toLowerCase()} job: ${error.message}`,
-        variant: "destructive"
-      });
-    }
-  };
+  const lifecycle = useJobLifecycle(fetchTransfers);
+  const { can } = usePermissions();
 
   const filteredTransfers = transfers.filter(transfer => {
     const matchesSearch = transfer.jobName?.toLowerCase().includes(searchTerm.toLowerCase());
@@ -101,6 +78,8 @@ const TransferDashboard = () => {
     return matchesSearch && matchesStatus;
   });
 
+  const pagination = usePagination(filteredTransfers);
+
   const stats = {
     total: transfers.length,
     inProgress: transfers.filter(t => t.status === 'IN_PROGRESS').length,
@@ -199,7 +178,7 @@ const TransferDashboard = () => {
               </TableRow>
             </TableHeader>
             <TableBody>
-              {filteredTransfers.map((transfer) => (
+              {pagination.pageItems.map((transfer) => (
                 <TableRow key={transfer.jobId} className="group hover:bg-gray-50">
                   <TableCell className="font-medium">
                     {transfer.jobName}
@@ -229,31 +208,18 @@ const TransferDashboard = () => {
                     )}
                   </TableCell>
                   <TableCell>
-                    <div className="flex gap-2">
-                      {transfer.status === 'IN_PROGRESS' && (
-                        <Button 
-                          size="sm" 
-                          variant="outline"
-                          onClick={() => handleJobAction(transfer.jobId, 'PAUSE')}
-                        >
-                          <Pause className="w-4 h-4" />
-                        </Button>
-                      )}
-                      {transfer.status === 'PAUSED' && (
-                        <Button 
-                          size="sm" 
-                          variant="outline"
-                          onClick={() => handleJobAction(transfer.jobId, 'RESUME')}
-                        >
-                          <Play className="w-4 h-4" />
-                        </Button>
-                      )}
-                    </div>
+                    <JobLifecycleControls
+                      job={transfer}
+                      onAction={lifecycle.runAction}
+                      pendingAction={lifecycle.pendingAction(transfer.jobId)}
+                      disabled={!can('jobs.operate')}
+                    />
                   </TableCell>
                 </TableRow>
               ))}
             </TableBody>
           </Table>
+          <TablePagination pagination={pagination} />
         </CardContent>
       </Card>
     </div>
@@ -0,0 +1,82 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Loader2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { JsonDiff } from './JsonDiff';
+import { TransferOptionsEditor } from './TransferOptionsEditor';
+import { diffJson } from '../lib/jsonDiff';
+import {
+  applySettingsToActionData,
+  settingsFromActionData,
+  validateTransferSettings
+} from '../lib/transferOptions';
+
+// Only the parts of the action the editor can change
+const pickEditable = ({ transferOptions, bandwidthManagement } = {}) => ({ transferOptions, bandwidthManagement });
+
+/**
+ * Edits an existing job's transfer options, showing the resulting change to
+ * `actions[0].data` before it is saved. `onSave(settings)` does the PATCH and
+ * may throw to keep the dialog open.
+ */
+export const TransferOptionsDialog = ({ job, onSave, onClose }) => {
+  const actionData = job.actions?.[0]?.data;
+  const [settings, setSettings] = useState(() => settingsFromActionData(actionData));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const errors = validateTransferSettings(settings);
+  const diff = useMemo(
+    () => diffJson(pickEditable(actionData), pickEditable(applySettingsToActionData(actionData, settings))),
+    [actionData, settings]
+  );
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(settings);
+      onClose();
+    } catch {
+      // The caller reports the failure; keep the dialog open to retry
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[90vh] overflow-auto">
+        <h3 className="text-lg font-semibold mb-4 dark:text-white">Transfer Options: {job.name}</h3>
+        <TransferOptionsEditor value={settings} onChange={setSettings} errors={errors} />
+
+        <p className="text-sm font-medium mt-6 mb-2 dark:text-gray-200">Changes</p>
+        <JsonDiff diff={diff} />
+
+        <div className="flex justify-end space-x-2 mt-4">
+          <Button variant="outline" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={isSaving || errors.length > 0 || diff.length === 0}>
+            {isSaving ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Saving...
+              </>
+            ) : (
+              'Save Options'
+            )}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+TransferOptionsDialog.propTypes = {
+  job: PropTypes.shape({
+    jobId: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    actions: PropTypes.array,
+  }).isRequired,
+  onSave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,130 @@
+import PropTypes from 'prop-types';
+import { AlertCircle, AlertTriangle } from 'lucide-react';
+import { Input } from './ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { CONFLICT_POLICIES, MAX_BANDWIDTH_MBPS } from '../lib/transferOptions';
+
+const Checkbox = ({ checked, onChange, label, description }) => (
+  <label className="flex items-start gap-2 cursor-pointer">
+    <input
+      type="checkbox"
+      className="mt-1"
+      checked={checked}
+      onChange={(e) => onChange(e.target.checked)}
+    />
+    <span>
+      <span className="text-sm font-medium dark:text-gray-200">{label}</span>
+      {description && (
+        <span className="block text-sm text-gray-500 dark:text-gray-400">{description}</span>
+      )}
+    </span>
+  </label>
+);
+
+Checkbox.propTypes = {
+  checked: PropTypes.bool.isRequired,
+  onChange: PropTypes.func.isRequired,
+  label: PropTypes.string.isRequired,
+  description: PropTypes.string,
+};
+
+/**
+ * Bandwidth, conflict, verification and move-vs-copy settings for a transfer
+ * action. Used by the create form and the JobsPage options dialog; see
+ * lib/transferOptions for how `value` maps onto the job.
+ */
+export const TransferOptionsEditor = ({ value, onChange, errors = [] }) => {
+  const setField = (field) => (fieldValue) => onChange({ ...value, [field]: fieldValue });
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <Checkbox
+          checked={value.bandwidthLimitEnabled}
+          onChange={setField('bandwidthLimitEnabled')}
+          label="Limit bandwidth"
+          description="Cap the transfer rate so deliveries do not saturate the link."
+        />
+        {value.bandwidthLimitEnabled && (
+          <div className="flex items-center gap-2 pl-6">
+            <Input
+              type="number"
+              min="1"
+              max={MAX_BANDWIDTH_MBPS}
+              value={value.bandwidthMbps}
+              onChange={(e) => setField('bandwidthMbps')(e.target.value)}
+              placeholder="100"
+              className="w-32 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200"
+            />
+            <span className="text-sm text-gray-600 dark:text-gray-300">Mbps</span>
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <label className="text-sm font-medium dark:text-gray-200">
+          When a file already exists at the destination
+        </label>
+        <Select value={value.conflictPolicy} onValueChange={setField('conflictPolicy')}>
+          <SelectTrigger className="bg-gray-50 border-gray-200 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent className="bg-white border-gray-200 dark:bg-gray-800 dark:border-gray-700">
+            {CONFLICT_POLICIES.map(policy => (
+              <SelectItem
+                key={policy.value}
+                value={policy.value}
+                className="hover:bg-gray-50 focus:bg-gray-100 dark:hover:bg-gray-700 dark:focus:bg-gray-600 dark:text-gray-200"
+              >
+                {policy.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <Checkbox
+        checked={value.verifyIntegrity}
+        onChange={setField('verifyIntegrity')}
+        label="Verify integrity"
+        description="Compare checksums after each file arrives."
+      />
+
+      <Checkbox
+        checked={value.deleteSource}
+        onChange={setField('deleteSource')}
+        label="Move files (delete source after transfer)"
+        description="Source files are removed once they are verified at the destination."
+      />
+      {value.deleteSource && (
+        <p className="flex items-start gap-2 text-sm text-yellow-700 dark:text-yellow-400">
+          <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+          Source files cannot be recovered after a move.
+        </p>
+      )}
+
+      {errors.length > 0 && (
+        <ul className="space-y-1 text-sm text-red-600 dark:text-red-400">
+          {errors.map(error => (
+            <li key={error} className="flex items-start gap-2">
+              <AlertCircle className="h-4 w-4 mt-0.5 shrink-0" />
+              {error}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+TransferOptionsEditor.propTypes = {
+  value: PropTypes.shape({
+    bandwidthLimitEnabled: PropTypes.bool.isRequired,
+    bandwidthMbps: PropTypes.string.isRequired,
+    conflictPolicy: PropTypes.string.isRequired,
+    verifyIntegrity: PropTypes.bool.isRequired,
+    deleteSource: PropTypes.bool.isRequired,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  errors: PropTypes.arrayOf(PropTypes.string),
+};
@@ -1,9 +1,12 @@
 import PropTypes from 'prop-types';
 import { List, Home, Repeat, LogOut, Sun, Moon } from 'lucide-react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
-import { SigniantApiAuth } from '../../lib/signiant';
+import { SigniantAuth } from '../../services/auth';
 import { useTheme } from '../ThemeProvider';
-import { BarChart } from 'lucide-react';
+import { usePermissions } from '../../hooks/usePermissions';
+import { ROLE_LABELS } from '../../lib/permissions';
+import SigniantConnectionBanner from '../SigniantConnectionBanner';
+import { BarChart, Trash2, ScrollText, Users, ShieldCheck } from 'lucide-react';
 
 const SidebarItem = ({ icon, text, to, onClick }) => {
   const location = useLocation();
@@ -47,10 +50,11 @@ SidebarItem.propTypes = {
 const DashboardLayout = ({ children }) => {
   const navigate = useNavigate();
   const { theme, toggleTheme } = useTheme();
+  const { role, can } = usePermissions();
 
   const handleLogout = async () => {
     try {
-      await SigniantApiAuth.logout();
+      await SigniantAuth.logout();
       navigate('/login');
     } catch (error) {
       console.error('Logout failed:', error);
@@ -80,8 +84,23 @@ const DashboardLayout = ({ children }) => {
             <SidebarItem to="/transfers" icon={<Repeat size={20} />} text="Create New Transfers" />
     
             <SidebarItem to="/analytics" icon={<BarChart size={20} />} text="Analytics" />
+            {can('jobs.configure') && (
+              <SidebarItem to="/deleted" icon={<Trash2 size={20} />} text="Recently Deleted" />
+            )}
+            {can('audit.view') && (
+              <SidebarItem to="/audit" icon={<ScrollText size={20} />} text="Audit Log" />
+            )}
+            {can('users.manage') && (
+              <SidebarItem to="/users" icon={<Users size={20} />} text="Users" />
+            )}
           </div>
           <div className="mb-6">
+            {role && (
+              <div className="px-6 py-2 text-xs text-gray-500 dark:text-gray-400">
+                Signed in as {ROLE_LABELS[role] || role}
+              </div>
+            )}
+            <SidebarItem to="/security" icon={<ShieldCheck size={20} />} text="Security" />
             <SidebarItem 
               icon={<LogOut size={20} />} 
               text="Logout" 
@@ -93,6 +112,7 @@ const DashboardLayout = ({ children }) => {
 
       {/* Main content */}
       <div className="flex-1">
+        <SigniantConnectionBanner />
         {children}
       </div>
     </div>
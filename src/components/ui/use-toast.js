@@ -1,27 +1,48 @@
-// A simple toast hook implementation
-import { useState, useCallback } from 'react'
+// A simple toast hook implementation. Toasts live in a module-level list so
+// the single <Toaster /> renders toasts raised from any component.
+import { useState, useEffect, useCallback } from 'react'
+
+const DEFAULT_DURATION = 5000
+
+let toasts = []
+const listeners = new Set()
+
+const setToasts = (update) => {
+  toasts = update(toasts)
+  listeners.forEach((listener) => listener(toasts))
+}
+
+export const dismissToast = (id) => {
+  setToasts((currentToasts) => currentToasts.filter((toast) => toast.id !== id))
+}
 
 export function useToast() {
-  const [toasts, setToasts] = useState([])
+  const [state, setState] = useState(toasts)
 
-  const toast = useCallback(({ title, description, variant = 'default' }) => {
+  useEffect(() => {
+    listeners.add(setState)
+    return () => listeners.delete(setState)
+  }, [])
+
+  // `action` is an optional <ToastAction> element, e.g. an Undo button
+  const toast = useCallback(({ title, description, variant = 'default', action, duration = DEFAULT_DURATION }) => {
     const id = Math.random().toString(36).substr(2, 9)
     const newToast = {
       id,
       title,
       description,
       variant,
+      action,
+      duration,
     }
 
     setToasts((currentToasts) => [...currentToasts, newToast])
 
-    // Auto dismiss after 5 seconds
-    setTimeout(() => {
-      setToasts((currentToasts) =>
-        currentToasts.filter((toast) => toast.id !== id)
-      )
-    }, 5000)
+    // Auto dismiss once the toast's duration has passed
+    setTimeout(() => dismissToast(id), duration)
+
+    return { id, dismiss: () => dismissToast(id) }
   }, [])
 
-  return { toast, toasts }
-}
\ No newline at end of file
+  return { toast, toasts: state, dismiss: dismissToast }
+}
@@ -0,0 +1,32 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Mfa } from '../services/mfa';
+import { SigniantAuth } from '../services/auth';
+
+// The session's MFA assurance level (see services/mfa). Re-read whenever
+// the session changes, e.g. after a code is verified.
+export function useAssuranceLevel() {
+  const [state, setState] = useState({ currentLevel: null, nextLevel: null, isLoading: true });
+
+  const refresh = useCallback(() => (
+    Mfa.getAssuranceLevel()
+      .then(levels => setState({ ...levels, isLoading: false }))
+      .catch(() => setState({ currentLevel: null, nextLevel: null, isLoading: false }))
+  ), []);
+
+  useEffect(() => {
+    refresh();
+    const { data: { subscription } } = SigniantAuth.onAuthStateChange((event) => {
+      if (event === 'MFA_CHALLENGE_VERIFIED' || event === 'SIGNED_IN' || event === 'TOKEN_REFRESHED') {
+        refresh();
+      }
+    });
+    return () => subscription.unsubscribe();
+  }, [refresh]);
+
+  return {
+    ...state,
+    isVerified: state.currentLevel === 'aal2',
+    hasFactor: state.nextLevel === 'aal2',
+    refresh
+  };
+}
@@ -0,0 +1,37 @@
+import { useState } from 'react';
+import { mapWithConcurrency } from '../lib/concurrency';
+
+// Tracks a bulk operation item by item. `results[key]` is
+// `{ status: 'running' | 'done' | 'failed', value?, error? }`; items without
+// an entry have not been attempted. Running again only touches the items
+// passed in, so callers retry by passing just the failed ones.
+export function useBulkRun() {
+  const [results, setResults] = useState({});
+  const [isRunning, setIsRunning] = useState(false);
+
+  const setResult = (key, result) => setResults(current => ({ ...current, [key]: result }));
+
+  const run = async (items, { getKey, concurrency, task }) => {
+    setIsRunning(true);
+    try {
+      return await mapWithConcurrency(items, concurrency, (item, index) => {
+        setResult(getKey(item), { status: 'running' });
+        return task(item, index);
+      }, ({ item, ok, value, error }) => {
+        setResult(getKey(item), ok
+          ? { status: 'done', value }
+          : { status: 'failed', error: error.message });
+      });
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  return {
+    results,
+    isRunning,
+    run,
+    reset: () => setResults({}),
+    countByStatus: (status) => Object.values(results).filter(result => result.status === status).length
+  };
+}
@@ -0,0 +1,47 @@
+import { restoreDeletedJob } from '../lib/signiant';
+import { mapWithConcurrency } from '../lib/concurrency';
+import { useToast } from '../components/ui/use-toast';
+import { ToastAction } from '../components/ui/toast';
+
+// How long the Undo button stays on a delete toast
+const UNDO_DURATION = 10000;
+
+// Toasts for deleted jobs with an Undo button that restores them from their
+// recycle bin snapshots. `onChanged` is called after an undo, typically to
+// refetch the page's data.
+export function useDeleteUndo(onChanged) {
+  const { toast } = useToast();
+
+  const handleRestore = async (snapshots) => {
+    const outcomes = await mapWithConcurrency(snapshots, 4, restoreDeletedJob);
+    const failed = outcomes.filter(outcome => !outcome.ok);
+    if (failed.length > 0) {
+      toast({
+        title: "Error",
+        description: `${failed.length} of ${snapshots.length} job(s) could not be restored: ${failed[0].error.message}`,
+        variant: "destructive",
+      });
+    } else {
+      toast({
+        title: "Success",
+        description: snapshots.length === 1 ? "Job restored" : `${snapshots.length} jobs restored`,
+      });
+    }
+    onChanged?.();
+  };
+
+  const showUndoToast = (snapshots, description) => {
+    toast({
+      title: "Deleted",
+      description,
+      duration: UNDO_DURATION,
+      action: (
+        <ToastAction altText="Undo delete" onClick={() => handleRestore(snapshots)}>
+          Undo
+        </ToastAction>
+      ),
+    });
+  };
+
+  return { showUndoToast };
+}
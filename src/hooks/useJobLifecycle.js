@@ -0,0 +1,48 @@
+import { useState } from 'react';
+import { JobLifecycle } from '../lib/signiant';
+import { useToast } from '../components/ui/use-toast';
+
+const ACTION_LABELS = {
+  pause: { done: 'Job paused', verb: 'pause job' },
+  resume: { done: 'Job resumed', verb: 'resume job' },
+  runNow: { done: 'Transfer started', verb: 'start transfer' },
+  cancelTransfer: { done: 'Transfer cancelled', verb: 'cancel transfer' }
+};
+
+// Runs a JobLifecycle action with the usual toasts, tracking which job has an
+// action in flight so its controls can be disabled. `onChanged` is called
+// after each successful action, typically to refetch the page's data.
+export function useJobLifecycle(onChanged) {
+  const [pending, setPending] = useState({});
+  const { toast } = useToast();
+
+  const runAction = async (jobId, action) => {
+    setPending(current => ({ ...current, [jobId]: action }));
+    try {
+      await JobLifecycle[action](jobId);
+      toast({
+        title: "Success",
+        description: ACTION_LABELS[action].done
+      });
+      onChanged?.();
+    } catch (error) {
+      console.error(`Job ${action} error:`, error);
+      toast({
+        title: "Error",
+        description: `Failed to ${ACTION_LABELS[action].verb}: ${error.message}`,
+        variant: "destructive"
+      });
+    } finally {
+      setPending((current) => {
+        const next = { ...current };
+        delete next[jobId];
+        return next;
+      });
+    }
+  };
+
+  return {
+    runAction,
+    pendingAction: (jobId) => pending[jobId]
+  };
+}
@@ -0,0 +1,29 @@
+import { useState, useEffect, useMemo } from 'react';
+
+// Client-side paging over an already-loaded list. The current page is clamped
+// whenever the list shrinks (e.g. after filtering or a delete).
+export function usePagination(items, pageSize = 25) {
+  const [page, setPage] = useState(1);
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+
+  useEffect(() => {
+    if (page > pageCount) {
+      setPage(pageCount);
+    }
+  }, [page, pageCount]);
+
+  const pageItems = useMemo(
+    () => items.slice((page - 1) * pageSize, page * pageSize),
+    [items, page, pageSize]
+  );
+
+  return {
+    page,
+    pageCount,
+    pageItems,
+    setPage,
+    rangeStart: items.length === 0 ? 0 : (page - 1) * pageSize + 1,
+    rangeEnd: Math.min(page * pageSize, items.length),
+    total: items.length
+  };
+}
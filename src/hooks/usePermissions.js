@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react';
+import { UserRoles } from '../services/roles';
+import { can } from '../lib/permissions';
+import { sessionCached } from '../lib/sessionCache';
+
+// Resolves to the user's { role, status }, or null when signed out
+export const loadAccess = sessionCached(() => UserRoles.getCurrent());
+
+// The user's dashboard role and a `can(permission)` check against
+// PERMISSIONS in lib/permissions. Everything is denied until the role has
+// loaded, if it could not be loaded, or while the account is not active.
+export function usePermissions() {
+  const [state, setState] = useState({ access: null, isLoading: true });
+
+  useEffect(() => {
+    let cancelled = false;
+    loadAccess()
+      .then(access => !cancelled && setState({ access, isLoading: false }))
+      .catch(() => !cancelled && setState({ access: null, isLoading: false }));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const status = state.access?.status ?? null;
+  const role = status === 'active' ? state.access.role : null;
+  return {
+    role,
+    status,
+    isLoading: state.isLoading,
+    can: (permission) => can(role, permission)
+  };
+}
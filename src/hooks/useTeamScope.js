@@ -0,0 +1,41 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Teams } from '../services/teams';
+import { buildTeamScope, isJobInScope, isProfileInScope } from '../lib/teamScope';
+import { sessionCached } from '../lib/sessionCache';
+import { loadAccess } from './usePermissions';
+
+const loadTeamScope = sessionCached(async () => {
+  const [access, teams] = await Promise.all([loadAccess(), Teams.listMine()]);
+  return buildTeamScope(teams, access?.status === 'active' ? access.role : null);
+});
+
+// Filters for the user's team scope (see lib/teamScope). Nothing passes
+// until the scope has loaded; if it cannot be loaded nothing passes at all,
+// rather than showing every team's jobs.
+export function useTeamScope() {
+  const [state, setState] = useState({ scope: [], isLoading: true });
+
+  useEffect(() => {
+    let cancelled = false;
+    loadTeamScope()
+      .then(scope => !cancelled && setState({ scope, isLoading: false }))
+      .catch(() => !cancelled && setState({ scope: [], isLoading: false }));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const { scope, isLoading } = state;
+  const filterJobs = useCallback((jobs) => jobs.filter(job => isJobInScope(scope, job)), [scope]);
+  const filterProfiles = useCallback(
+    (profiles) => profiles.filter(profile => isProfileInScope(scope, profile)),
+    [scope]
+  );
+
+  return {
+    isLoading,
+    isScoped: scope !== null,
+    filterJobs,
+    filterProfiles
+  };
+}
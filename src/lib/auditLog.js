@@ -0,0 +1,43 @@
+// Every change the dashboard makes through the Platform API is recorded by
+// the dashboard server (server/auditLog.js) as it proxies the call. The
+// higher-level operations in signiant.js name the action they perform and the
+// job they act on, which the server records when they fit the request.
+
+export const AUDIT_ACTIONS = {
+  'job.create': 'Create',
+  'job.clone': 'Clone',
+  'job.restore': 'Restore',
+  'job.edit': 'Edit',
+  'job.settings': 'Transfer options',
+  'job.update': 'Update',
+  'job.delete': 'Delete',
+  'job.pause': 'Pause',
+  'job.resume': 'Resume',
+  'folder.stop': 'Stop hot folder',
+  'folder.start': 'Start hot folder',
+  'trigger.update': 'Trigger update',
+  'transfer.start': 'Run now',
+  'transfer.cancel': 'Cancel transfer'
+};
+
+// Headers the dashboard server reads to describe a call more precisely than
+// its method and path can (a pause rather than a bare PATCH)
+export const AUDIT_HEADERS = {
+  action: 'X-Audit-Action',
+  jobName: 'X-Audit-Job-Name'
+};
+
+/**
+ * @typedef {Object} AuditContext
+ * @property {string} [action] - A key of AUDIT_ACTIONS
+ * @property {string} [jobName]
+ */
+
+/**
+ * @param {AuditContext} [context]
+ * @returns {Object<string, string>}
+ */
+export const auditHeaders = ({ action, jobName } = {}) => ({
+  ...(action && { [AUDIT_HEADERS.action]: action }),
+  ...(jobName && { [AUDIT_HEADERS.jobName]: encodeURIComponent(jobName) })
+});
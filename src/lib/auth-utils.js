@@ -1,24 +1,19 @@
 import { SigniantAuth } from '../services/auth';
-import { getSigniantHeaders } from './signiant';
 
-// Helper function to get combined headers for API calls
+// Helper function to get headers for dashboard server API calls. Only the
+// Supabase session is sent; the server exchanges it for Signiant access.
 export const getAuthHeaders = async () => {
   try {
-    // First check if user is logged in with Supabase
-    const isAuthenticated = await SigniantAuth.isAuthenticated();
-    if (!isAuthenticated) {
+    const headers = await SigniantAuth.getAuthHeader();
+    if (!headers.Authorization) {
       throw new Error('User not authenticated');
     }
 
-    // Then get Signiant API headers
-    const headers = await getSigniantHeaders();
-    if (!headers) {
-      throw new Error('Failed to get Signiant API headers');
-    }
-
     return headers;
   } catch (error) {
     console.error('Authentication error:', error);
-    throw new Error(error.message || 'Authentication failed');
+    // Preserve structured errors (e.g. a failed token refresh) for callers
+    if (error instanceof Error) throw error;
+    throw new Error('Authentication failed');
   }
 };
@@ -0,0 +1,35 @@
+// The "Run [n] at a time" choices offered by the bulk dialogs
+export const CONCURRENCY_OPTIONS = [1, 2, 4, 8];
+export const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Runs `task` over `items` with at most `limit` calls in flight, so bulk
+ * operations do not trip the Platform API's rate limits. Never rejects: each
+ * result records whether its item succeeded, in the same order as `items`.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} task
+ * @param {(result: { item: T, index: number, ok: boolean, value?: R, error?: Error }) => void} [onSettled]
+ * @returns {Promise<Array<{ item: T, index: number, ok: boolean, value?: R, error?: Error }>>}
+ */
+export const mapWithConcurrency = async (items, limit, task, onSettled) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const item = items[index];
+      try {
+        results[index] = { item, index, ok: true, value: await task(item, index) };
+      } catch (error) {
+        results[index] = { item, index, ok: false, error };
+      }
+      onSettled?.(results[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+};
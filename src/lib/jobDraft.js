@@ -0,0 +1,222 @@
+// A job draft is everything the create form edits, kept as the user typed it.
+// Drafts are also what job templates store, so turning one into a job body
+// lives here rather than in the page.
+
+import {
+  DEFAULT_ALLOWED_EXTENSIONS,
+  buildObjectPatterns,
+  deriveJobName,
+  parseExtensions,
+  parseList,
+  validateObjectPatterns
+} from './objectPatterns';
+import { getCombinationError, validateDestinationPath } from './storageProfileTypes';
+import { buildTemplateContext, resolvePathTemplate } from './pathTemplate';
+import { diffJson } from './jsonDiff';
+import {
+  DEFAULT_TRANSFER_SETTINGS,
+  applySettingsToActionData,
+  settingsFromActionData,
+  validateTransferSettings
+} from './transferOptions';
+
+const ALLOWED_EXTENSIONS_KEY = 'transfer.allowedExtensions';
+
+/** The allowed-extensions setting last used in the create form. */
+export const loadAllowedExtensions = () =>
+  localStorage.getItem(ALLOWED_EXTENSIONS_KEY) ?? DEFAULT_ALLOWED_EXTENSIONS.join(', ');
+
+export const saveAllowedExtensions = (allowedExtensions) =>
+  localStorage.setItem(ALLOWED_EXTENSIONS_KEY, allowedExtensions);
+
+/**
+ * @typedef {Object} JobDraft
+ * @property {string} jobName - Empty to derive one from the selection
+ * @property {string} sourceProfileId
+ * @property {string} destinationProfileId
+ * @property {string} destinationPath - May contain `{tokens}`, see lib/pathTemplate
+ * @property {{ fileNames: string, inclusions: string, exclusions: string, allowedExtensions: string }} patterns
+ *   Raw textarea contents, see lib/objectPatterns
+ * @property {import('./transferOptions').TransferSettings} transferSettings
+ */
+
+/** @returns {JobDraft} */
+export const createEmptyDraft = ({ allowedExtensions = '' } = {}) => ({
+  jobName: '',
+  sourceProfileId: '',
+  destinationProfileId: '',
+  destinationPath: '',
+  patterns: {
+    fileNames: '',
+    inclusions: '',
+    exclusions: '',
+    allowedExtensions
+  },
+  transferSettings: DEFAULT_TRANSFER_SETTINGS
+});
+
+/** Fills in fields missing from drafts saved by older versions of the form. */
+export const normalizeDraft = (draft = {}) => {
+  const empty = createEmptyDraft();
+  return {
+    ...empty,
+    ...draft,
+    patterns: { ...empty.patterns, ...draft.patterns },
+    transferSettings: { ...empty.transferSettings, ...draft.transferSettings }
+  };
+};
+
+/**
+ * The draft an existing job would have been created from, for editing it.
+ * Object patterns come back as inclusions since the Platform only stores globs.
+ * @param {import('./signiant').Job} job
+ * @returns {JobDraft}
+ */
+export const draftFromJob = (job, { allowedExtensions = '' } = {}) => {
+  const data = job.actions?.[0]?.data ?? {};
+  const objectPatterns = data.transferOptions?.objectPatterns ?? {};
+  return {
+    jobName: job.name ?? '',
+    sourceProfileId: data.source?.storageProfileId ?? '',
+    destinationProfileId: data.destination?.storageProfileId ?? '',
+    destinationPath: data.destination?.config?.path ?? '',
+    patterns: {
+      fileNames: '',
+      inclusions: (objectPatterns.inclusions ?? []).join('\n'),
+      exclusions: (objectPatterns.exclusions ?? []).join('\n'),
+      allowedExtensions
+    },
+    transferSettings: settingsFromActionData(data)
+  };
+};
+
+// Keeps the existing reference (and whatever else the Platform put on it)
+// unless the profile actually changed
+const withProfile = (ref, storageProfileId) =>
+  ref?.storageProfileId === storageProfileId ? ref : { storageProfileId };
+
+/**
+ * Writes a validated draft onto a TRANSFER action's data, leaving fields the
+ * form does not manage untouched. Pass `{}` to build a new job's action. When
+ * editing, transfer settings the user left alone are not written back, so a
+ * job without explicit options is not rewritten with the defaults.
+ * @param {Object} data
+ * @param {JobDraft} draft
+ * @param {{ objectPatterns: Object, destinationPath: string }} resolved - From evaluateDraft
+ * @param {{ originalSettings?: import('./transferOptions').TransferSettings }} [options]
+ */
+export const applyDraftToActionData = (data, draft, { objectPatterns, destinationPath }, { originalSettings } = {}) => {
+  const { config, ...destination } = withProfile(data.destination, draft.destinationProfileId);
+  const destinationConfig = { ...config, path: destinationPath };
+  if (!destinationPath) delete destinationConfig.path;
+
+  const merged = {
+    ...data,
+    source: withProfile(data.source, draft.sourceProfileId),
+    destination: {
+      ...destination,
+      ...(Object.keys(destinationConfig).length > 0 && { config: destinationConfig })
+    },
+    transferOptions: {
+      ...data.transferOptions,
+      objectPatterns
+    }
+  };
+  const settingsUnchanged = originalSettings &&
+    diffJson(originalSettings, draft.transferSettings).length === 0;
+  return settingsUnchanged ? merged : applySettingsToActionData(merged, draft.transferSettings);
+};
+
+const parsePatterns = (patterns) => ({
+  fileNames: parseList(patterns.fileNames),
+  inclusions: parseList(patterns.inclusions),
+  exclusions: parseList(patterns.exclusions),
+  allowedExtensions: parseExtensions(patterns.allowedExtensions)
+});
+
+/**
+ * Validates a draft and, when it is valid, builds the POST /v1/jobs body.
+ * Everything the form shows (previews, per-field errors) comes from here.
+ * @param {JobDraft} draft
+ * @param {{ profiles: Object[], userEmail?: string, now?: Date }} context
+ */
+export const evaluateDraft = (draft, { profiles, userEmail, now = new Date() }) => {
+  const selection = parsePatterns(draft.patterns);
+  const objectPatterns = buildObjectPatterns(selection);
+  const patternErrors = validateObjectPatterns(selection);
+
+  const sourceProfile = profiles.find(profile => profile.storageProfileId === draft.sourceProfileId);
+  const destinationProfile = profiles.find(profile => profile.storageProfileId === draft.destinationProfileId);
+  const combinationError = getCombinationError(sourceProfile, destinationProfile);
+
+  const jobName = draft.jobName.trim() || deriveJobName(selection);
+  const resolvedDestination = resolvePathTemplate(draft.destinationPath, buildTemplateContext({
+    jobName,
+    entries: [...selection.fileNames, ...selection.inclusions],
+    userEmail,
+    now
+  }));
+  const destinationPathError = destinationProfile
+    ? resolvedDestination.errors[0] || validateDestinationPath(destinationProfile.storageProfileType, resolvedDestination.path)
+    : null;
+
+  const transferSettingsErrors = validateTransferSettings(draft.transferSettings);
+
+  const errors = [
+    !sourceProfile && 'Select a source profile',
+    !destinationProfile && 'Select a destination profile',
+    combinationError,
+    destinationPathError,
+    ...patternErrors,
+    ...transferSettingsErrors
+  ].filter(Boolean);
+
+  const body = errors.length > 0 ? null : {
+    name: jobName,
+    actions: [{
+      type: "TRANSFER",
+      data: applyDraftToActionData({}, draft, { objectPatterns, destinationPath: resolvedDestination.path })
+    }],
+    triggers: [{
+      type: "MANUAL",
+      data: {
+        source: {
+          storageProfileId: draft.sourceProfileId
+        }
+      }
+    }]
+  };
+
+  return {
+    selection,
+    objectPatterns,
+    patternErrors,
+    sourceProfile,
+    destinationProfile,
+    combinationError,
+    jobName,
+    resolvedDestination,
+    destinationPathError,
+    transferSettingsErrors,
+    errors,
+    body
+  };
+};
+
+/**
+ * The draft for one file of a bulk run: the template's selection narrowed to
+ * `fileName`, so `{fileStem}` and derived job names follow the file. A fixed
+ * job name gets the file name appended to keep the jobs apart.
+ * @param {JobDraft} draft
+ * @param {string} fileName
+ * @returns {JobDraft}
+ */
+export const draftForFile = (draft, fileName) => ({
+  ...draft,
+  jobName: draft.jobName.trim() ? `${draft.jobName.trim()} - ${fileName}` : '',
+  patterns: {
+    ...draft.patterns,
+    fileNames: fileName,
+    inclusions: ''
+  }
+});
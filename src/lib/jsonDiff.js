@@ -0,0 +1,38 @@
+/**
+ * @typedef {Object} DiffEntry
+ * @property {string} path - Dotted path to the changed value, e.g. `triggers[0].type`
+ * @property {'added' | 'removed' | 'changed'} kind
+ * @property {*} [before]
+ * @property {*} [after]
+ */
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const joinPath = (base, key) => {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+};
+
+/**
+ * Lists the leaf-level differences between two JSON values. Objects are
+ * compared key by key and arrays index by index.
+ * @returns {DiffEntry[]}
+ */
+export const diffJson = (before, after, path = '') => {
+  if (before === undefined && after === undefined) return [];
+  if (before === undefined) return [{ path, kind: 'added', after }];
+  if (after === undefined) return [{ path, kind: 'removed', before }];
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    return Array.from({ length }, (_, index) => diffJson(before[index], after[index], joinPath(path, index))).flat();
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffJson(before[key], after[key], joinPath(path, key)));
+  }
+
+  return Object.is(before, after) ? [] : [{ path, kind: 'changed', before, after }];
+};
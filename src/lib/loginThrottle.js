@@ -0,0 +1,61 @@
+// Counts failed sign-ins per email in this browser and locks the form for a
+// while after too many. This is a courtesy for honest users who have
+// forgotten a password; Supabase's own auth rate limits are what stop
+// anyone actually guessing.
+
+const STORAGE_KEY = 'signiant.loginFailures';
+
+export const MAX_FAILED_ATTEMPTS = 5;
+export const LOCKOUT_MINUTES = 15;
+
+const LOCKOUT_MS = LOCKOUT_MINUTES * 60 * 1000;
+
+const readFailures = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeFailures = (failures) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(failures));
+  } catch (error) {
+    console.warn('Could not save sign-in attempts:', error);
+  }
+};
+
+const keyFor = (email) => email.trim().toLowerCase();
+
+/**
+ * @param {string} email
+ * @returns {number} Milliseconds until the email may try again; 0 if it is not locked
+ */
+export const getLockoutRemaining = (email, now = Date.now()) => {
+  const entry = readFailures()[keyFor(email)];
+  return entry?.lockedUntil ? Math.max(0, entry.lockedUntil - now) : 0;
+};
+
+/**
+ * @param {string} email
+ * @returns {{ attemptsLeft: number, lockedUntil: number|null }}
+ */
+export const recordLoginFailure = (email, now = Date.now()) => {
+  const failures = readFailures();
+  const key = keyFor(email);
+  const previous = failures[key];
+  // A lockout that has run out starts the count again
+  const count = (previous?.lockedUntil && previous.lockedUntil <= now ? 0 : previous?.count ?? 0) + 1;
+  const lockedUntil = count >= MAX_FAILED_ATTEMPTS ? now + LOCKOUT_MS : null;
+
+  failures[key] = { count, lockedUntil };
+  writeFailures(failures);
+  return { attemptsLeft: Math.max(0, MAX_FAILED_ATTEMPTS - count), lockedUntil };
+};
+
+export const clearLoginFailures = (email) => {
+  const failures = readFailures();
+  delete failures[keyFor(email)];
+  writeFailures(failures);
+};
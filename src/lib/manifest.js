@@ -0,0 +1,232 @@
+// Delivery manifests: CSV or JSON files listing one job per row. Rows are
+// mapped onto JobDraft fields (see lib/jobDraft) so they go through the same
+// validation and body building as the create form.
+
+import { isGlob } from './objectPatterns';
+
+/**
+ * Fields a manifest column can be mapped to. Profile fields can instead be
+ * fixed to one profile for every row, for manifests that only list clips.
+ */
+export const MANIFEST_FIELDS = [
+  {
+    key: 'sourceProfile',
+    label: 'Source profile',
+    required: true,
+    profile: true,
+    aliases: ['source', 'source profile', 'source profile id', 'source storage profile']
+  },
+  {
+    key: 'destinationProfile',
+    label: 'Destination profile',
+    required: true,
+    profile: true,
+    aliases: ['destination', 'destination profile', 'destination profile id', 'destination storage profile', 'target profile']
+  },
+  {
+    key: 'object',
+    label: 'File name or pattern',
+    required: true,
+    aliases: ['file', 'filename', 'file name', 'clip', 'clip name', 'pattern', 'object']
+  },
+  {
+    key: 'destinationPath',
+    label: 'Destination path',
+    aliases: ['destination path', 'target path', 'target folder', 'destination folder', 'folder', 's3 folder', 'prefix']
+  },
+  {
+    key: 'jobName',
+    label: 'Job name',
+    aliases: ['job', 'job name', 'name']
+  }
+];
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Splits on the delimiter outside quotes; "" inside quotes is a literal quote
+const parseCsvRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('The CSV has an unterminated quoted field');
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+// Tab-separated exports are common from spreadsheets; otherwise pick
+// whichever of , or ; splits the header into more columns
+const detectDelimiter = (headerLine) =>
+  ['\t', ';', ','].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best, ',');
+
+const parseCsv = (text) => {
+  const [header, ...records] = parseCsvRows(text, detectDelimiter(text.split(/\r?\n/)[0]));
+  if (!header) throw new Error('The CSV is empty');
+  const columns = header.map(column => column.trim());
+  return {
+    columns,
+    records: records.map(cells => Object.fromEntries(columns.map((column, index) => [column, (cells[index] ?? '').trim()])))
+  };
+};
+
+const toCellValue = (value) => {
+  if (value == null) return '';
+  if (Array.isArray(value)) return value.map(toCellValue);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value).trim();
+};
+
+// Accepts a bare array of row objects or an object wrapping one
+const parseJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The JSON could not be parsed: ${error.message}`);
+  }
+  const records = Array.isArray(data)
+    ? data
+    : Object.values(data ?? {}).find(Array.isArray);
+  if (!records) throw new Error('The JSON must be an array of rows, or an object containing one');
+  if (records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+    throw new Error('Every row in the JSON must be an object');
+  }
+  const columns = [...new Set(records.flatMap(Object.keys))];
+  return {
+    columns,
+    records: records.map(record => Object.fromEntries(Object.entries(record).map(([key, value]) => [key, toCellValue(value)])))
+  };
+};
+
+/**
+ * Parses a manifest file. JSON is detected by extension or by content.
+ * @param {string} text
+ * @param {string} [fileName]
+ * @returns {{ columns: string[], records: Array<Object<string, string | string[]>> }}
+ */
+export const parseManifest = (text, fileName = '') => {
+  const looksLikeJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  const manifest = looksLikeJson ? parseJson(text) : parseCsv(text.replace(/^\uFEFF/, ''));
+  if (manifest.records.length === 0) throw new Error('The manifest has no rows');
+  return manifest;
+};
+
+/**
+ * A mapping assigns each field either `{ column }` or, for profile fields,
+ * `{ profileId }`. Columns are matched to fields by their normalised header.
+ * @param {string[]} columns
+ */
+export const guessMapping = (columns) => Object.fromEntries(
+  MANIFEST_FIELDS.map(({ key, label, aliases }) => {
+    const candidates = [key, label, ...aliases].map(normalizeHeader);
+    const column = columns.find(col => candidates.includes(normalizeHeader(col)));
+    return [key, column ? { column } : null];
+  })
+);
+
+/** Required fields the mapping leaves unassigned. */
+export const getMappingErrors = (mapping) =>
+  MANIFEST_FIELDS
+    .filter(({ key, required }) => required && !mapping[key])
+    .map(({ label }) => `Map a column to ${label.toLowerCase()}`);
+
+const findProfile = (profiles, value) => {
+  const wanted = value.trim().toLowerCase();
+  return profiles.find(profile => profile.storageProfileId.toLowerCase() === wanted) ||
+    profiles.find(profile => profile.name?.trim().toLowerCase() === wanted);
+};
+
+const readField = (record, assignment) => {
+  if (!assignment?.column) return '';
+  return record[assignment.column] ?? '';
+};
+
+const resolveProfile = (record, assignment, profiles, label) => {
+  if (assignment?.profileId) return { profileId: assignment.profileId };
+  const value = readField(record, assignment);
+  if (Array.isArray(value) || !value) return { error: `Missing ${label.toLowerCase()}` };
+  const profile = findProfile(profiles, value);
+  return profile
+    ? { profileId: profile.storageProfileId }
+    : { error: `Unknown ${label.toLowerCase()} "${value}"` };
+};
+
+/**
+ * Turns one manifest row into a draft based on `baseDraft`, which supplies
+ * everything the manifest does not (allowed extensions, transfer settings).
+ * Profiles are looked up by ID or name; `errors` covers lookups that failed,
+ * the rest of the validation is left to evaluateDraft.
+ * @param {Object} record
+ * @param {Object} mapping - See guessMapping
+ * @param {Object[]} profiles
+ * @param {import('./jobDraft').JobDraft} baseDraft
+ * @returns {{ draft: import('./jobDraft').JobDraft, errors: string[] }}
+ */
+export const recordToDraft = (record, mapping, profiles, baseDraft) => {
+  const source = resolveProfile(record, mapping.sourceProfile, profiles, 'Source profile');
+  const destination = resolveProfile(record, mapping.destinationProfile, profiles, 'Destination profile');
+
+  const objectValue = readField(record, mapping.object);
+  const entries = (Array.isArray(objectValue) ? objectValue : [objectValue]).filter(Boolean);
+  const destinationPath = readField(record, mapping.destinationPath);
+  const jobName = readField(record, mapping.jobName);
+
+  return {
+    draft: {
+      ...baseDraft,
+      jobName: Array.isArray(jobName) ? jobName.join(' ') : jobName,
+      sourceProfileId: source.profileId ?? '',
+      destinationProfileId: destination.profileId ?? '',
+      destinationPath: Array.isArray(destinationPath) ? destinationPath[0] ?? '' : destinationPath,
+      patterns: {
+        ...baseDraft.patterns,
+        fileNames: entries.filter(entry => !isGlob(entry)).join('\n'),
+        inclusions: entries.filter(isGlob).join('\n'),
+        exclusions: ''
+      }
+    },
+    errors: [source.error, destination.error].filter(Boolean)
+  };
+};
+
+const escapeCsvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** Serialises rows of plain values, header first, for the result report. */
+export const toCsv = (columns, rows) =>
+  [columns, ...rows].map(row => row.map(escapeCsvCell).join(',')).join('\r\n');
@@ -0,0 +1,134 @@
+// Builds the GLOB `objectPatterns` block of a transfer action from what the
+// create form collects: plain file or folder names, raw glob inclusions and
+// exclusions, and the list of extensions editors are allowed to send.
+
+export const DEFAULT_ALLOWED_EXTENSIONS = ['.mxf'];
+
+const GLOB_CHARS = /[*?[\]{}]/;
+
+/** Whether an entry is a glob rather than a plain file or folder name. */
+export const isGlob = (entry) => GLOB_CHARS.test(entry);
+
+/**
+ * Splits a textarea value into trimmed, non-empty lines. Commas are kept as
+ * they are valid in file names and in `{a,b}` globs.
+ */
+export const parseList = (text) =>
+  text
+    .split('\n')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+/** Normalises user input such as "mxf, .MOV" to ['.mxf', '.mov']. */
+export const parseExtensions = (text) =>
+  text
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(ext => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase());
+
+const isFolder = (name) => name.endsWith('/');
+
+/**
+ * Turns a file or folder name into an inclusion glob matching it at any depth:
+ * `clip.mxf` -> `**\/clip.mxf`, `Episode 01/` -> `**\/Episode 01/**`. Names that
+ * already contain glob characters are used as they are.
+ */
+export const toInclusionGlob = (name) => {
+  if (isGlob(name)) return name;
+  const trimmed = name.replace(/^\/+/, '');
+  return isFolder(trimmed) ? `**/${trimmed}**` : `**/${trimmed}`;
+};
+
+// The extension a pattern is pinned to, if its last segment names one
+// (`**/*.mxf` -> `.mxf`, `**/EP01_*` -> null)
+const getPinnedExtension = (pattern) => {
+  const lastSegment = pattern.split('/').pop();
+  const match = /(\.[^.*?[\]{}]+)$/.exec(lastSegment);
+  return match ? match[1].toLowerCase() : null;
+};
+
+/** Whether a file name passes the allowed-extension list (empty allows all). */
+export const isAllowedFile = (name, allowedExtensions = []) =>
+  allowedExtensions.length === 0 || allowedExtensions.includes(getPinnedExtension(name));
+
+/**
+ * Inclusion for an object picked in the storage browser. Paths are relative to
+ * the source profile's root, so they match that object only.
+ * @param {import('./signiant').StorageObject} object
+ */
+export const storageObjectToInclusion = (object) =>
+  object.type === 'FOLDER' ? `${object.path}/**` : object.path;
+
+const hasBalancedBrackets = (pattern) => {
+  const pairs = { '[': ']', '{': '}' };
+  const stack = [];
+  for (const char of pattern) {
+    if (pairs[char]) stack.push(pairs[char]);
+    else if (char === ']' || char === '}') {
+      if (stack.pop() !== char) return false;
+    }
+  }
+  return stack.length === 0;
+};
+
+const unique = (items) => [...new Set(items)];
+
+/**
+ * @param {{ fileNames: string[], inclusions: string[], exclusions: string[] }} input
+ * @returns {{ type: 'GLOB', inclusions: string[], exclusions?: string[] }}
+ */
+export const buildObjectPatterns = ({ fileNames = [], inclusions = [], exclusions = [] }) => {
+  const objectPatterns = {
+    type: 'GLOB',
+    inclusions: unique([...fileNames.map(toInclusionGlob), ...inclusions])
+  };
+  if (exclusions.length > 0) {
+    objectPatterns.exclusions = unique(exclusions);
+  }
+  return objectPatterns;
+};
+
+/**
+ * Checks the form input before it is turned into a job. An empty
+ * `allowedExtensions` list allows any extension.
+ * @returns {string[]} Human-readable problems; empty when the input is valid
+ */
+export const validateObjectPatterns = ({ fileNames = [], inclusions = [], exclusions = [], allowedExtensions = [] }) => {
+  const errors = [];
+
+  if (fileNames.length === 0 && inclusions.length === 0) {
+    errors.push('Add at least one file name, folder or inclusion pattern');
+  }
+
+  [...inclusions, ...exclusions].forEach((pattern) => {
+    if (!hasBalancedBrackets(pattern)) {
+      errors.push(`"${pattern}" has unbalanced [ ] or { } brackets`);
+    }
+  });
+
+  if (allowedExtensions.length > 0) {
+    fileNames.filter(name => !isFolder(name)).forEach((name) => {
+      const extension = getPinnedExtension(name);
+      if (!extension || !allowedExtensions.includes(extension)) {
+        errors.push(`"${name}" must have one of these extensions: ${allowedExtensions.join(', ')}`);
+      }
+    });
+
+    inclusions.forEach((pattern) => {
+      const extension = getPinnedExtension(pattern);
+      if (extension && !allowedExtensions.includes(extension)) {
+        errors.push(`"${pattern}" matches ${extension} files, which are not in the allowed extensions`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/** A job name derived from the first selected entry, e.g. "EP01.mxf (+3 more)". */
+export const deriveJobName = ({ fileNames = [], inclusions = [] }) => {
+  const entries = [...fileNames, ...inclusions];
+  if (entries.length === 0) return '';
+  const first = entries[0].replace(/\/+$/, '');
+  return entries.length > 1 ? `${first} (+${entries.length - 1} more)` : first;
+};
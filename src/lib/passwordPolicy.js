@@ -0,0 +1,36 @@
+// Password rules for registration and password resets. Supabase only
+// enforces its own minimum length, so keep its "Minimum password length"
+// setting at or below MIN_PASSWORD_LENGTH.
+
+export const MIN_PASSWORD_LENGTH = 12;
+
+const RULES = [
+  { test: (password) => password.length >= MIN_PASSWORD_LENGTH, message: `at least ${MIN_PASSWORD_LENGTH} characters` },
+  { test: (password) => /[a-z]/.test(password), message: 'a lowercase letter' },
+  { test: (password) => /[A-Z]/.test(password), message: 'an uppercase letter' },
+  { test: (password) => /[0-9]/.test(password), message: 'a number' },
+  { test: (password) => /[^A-Za-z0-9]/.test(password), message: 'a symbol' }
+];
+
+// "a, b and c"
+const joinPhrases = (phrases) => phrases.join(', ').replace(/, ([^,]*)$/, ' and $1');
+
+export const PASSWORD_REQUIREMENTS = `Use ${joinPhrases(RULES.map(rule => rule.message))}.`;
+
+/**
+ * @param {string} password
+ * @param {string} [email] - Rejects passwords that contain the email's name part
+ * @returns {string|null} What is wrong with the password, or null if it is acceptable
+ */
+export const validatePassword = (password, email = '') => {
+  const missing = RULES.filter(rule => !rule.test(password)).map(rule => rule.message);
+  if (missing.length > 0) {
+    return `Password needs ${joinPhrases(missing)}`;
+  }
+
+  const name = email.split('@')[0].toLowerCase();
+  if (name.length >= 3 && password.toLowerCase().includes(name)) {
+    return 'Password must not contain your email address';
+  }
+  return null;
+};
@@ -0,0 +1,78 @@
+// Destination path templates for new jobs, e.g. "deliveries/{date}/{jobName}".
+// Tokens are resolved once, when the job is created, and the result is stored
+// as the destination's `config.path`.
+
+export const PATH_TOKENS = [
+  { token: 'date', description: 'Creation date, YYYY-MM-DD' },
+  { token: 'year', description: 'Four-digit year' },
+  { token: 'month', description: 'Two-digit month' },
+  { token: 'day', description: 'Two-digit day' },
+  { token: 'jobName', description: 'The job name' },
+  { token: 'sourceFolder', description: 'Folder of the first selected file or folder' },
+  { token: 'fileStem', description: 'First selected file name without its extension' },
+  { token: 'user', description: 'Your user name (email before the @)' }
+];
+
+const TOKEN_PATTERN = /\{([A-Za-z]+)\}/g;
+const GLOB_CHARS = /[*?[\]{}]/;
+
+// Keeps a token value to a single path segment
+const toSegment = (value) => value.trim().replace(/[\\/:*?"<>|]+/g, '_');
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Collects the values tokens resolve to. `entries` are the selected file
+ * names and inclusion patterns in form order.
+ * @param {{ jobName: string, entries: string[], userEmail?: string, now?: Date }} input
+ * @returns {Object<string, string>} Token values; unresolvable tokens are absent
+ */
+export const buildTemplateContext = ({ jobName, entries = [], userEmail, now = new Date() }) => {
+  const context = {
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    year: String(now.getFullYear()),
+    month: pad(now.getMonth() + 1),
+    day: pad(now.getDate())
+  };
+
+  if (jobName?.trim()) context.jobName = toSegment(jobName);
+  if (userEmail) context.user = toSegment(userEmail.split('@')[0]);
+
+  // Only literal segments count; "**/EP01_*.mxf" has no usable folder or stem
+  const firstEntry = entries[0];
+  if (firstEntry) {
+    const segments = firstEntry.split('/').filter(segment => segment && !GLOB_CHARS.test(segment));
+    const isFolder = firstEntry.endsWith('/') || firstEntry.endsWith('/**');
+    const lastSegment = firstEntry.split('/').filter(Boolean).pop() || '';
+    const fileName = !isFolder && !GLOB_CHARS.test(lastSegment) ? lastSegment : null;
+
+    const folders = fileName ? segments.slice(0, -1) : segments;
+    if (folders.length > 0) context.sourceFolder = toSegment(folders[folders.length - 1]);
+    if (fileName) context.fileStem = toSegment(fileName.replace(/\.[^.]+$/, ''));
+  }
+
+  return context;
+};
+
+/**
+ * Substitutes `{token}`s in `template`.
+ * @returns {{ path: string, errors: string[] }}
+ */
+export const resolvePathTemplate = (template, context) => {
+  const errors = [];
+  const known = PATH_TOKENS.map(({ token }) => token);
+
+  const path = template.trim().replace(TOKEN_PATTERN, (match, token) => {
+    if (!known.includes(token)) {
+      errors.push(`Unknown token ${match}`);
+      return match;
+    }
+    if (!context[token]) {
+      errors.push(`${match} has no value for this job`);
+      return match;
+    }
+    return context[token];
+  });
+
+  return { path: path.replace(/\/{2,}/g, '/'), errors: [...new Set(errors)] };
+};
@@ -0,0 +1,38 @@
+// Dashboard roles and what each may do. Roles live in Supabase
+// (supabase/migrations/*_user_roles.sql); server/permissions.js enforces the
+// same rules on the Platform API proxy, so hiding a control here is a
+// convenience rather than the only gate.
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+export const ROLE_LABELS = {
+  viewer: 'Viewer',
+  operator: 'Operator',
+  admin: 'Admin'
+};
+
+// Each permission names the least role that has it
+export const PERMISSIONS = {
+  // Pause, resume, run now, cancel transfers, start and stop hot folders
+  'jobs.operate': 'operator',
+  // Create, edit, clone, import and restore jobs; change transfer options
+  'jobs.configure': 'operator',
+  'jobs.delete': 'admin',
+  'audit.view': 'admin',
+  'users.manage': 'admin'
+};
+
+export const hasRole = (role, minimum) => ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+
+/**
+ * @param {string|null} role - The user's role; null while unknown
+ * @param {keyof PERMISSIONS} permission
+ */
+export const can = (role, permission) => Boolean(role) && hasRole(role, PERMISSIONS[permission]);
+
+// Permissions for actions that cannot be undone. Users who hold any of them
+// must have verified a second factor (aal2) to use pages offering them;
+// server/permissions.js requires the same of the matching API calls.
+export const MFA_PERMISSIONS = ['jobs.delete', 'users.manage'];
+
+export const requiresMfa = (role) => MFA_PERMISSIONS.some(permission => can(role, permission));
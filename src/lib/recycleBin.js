@@ -0,0 +1,105 @@
+// Soft delete for Platform jobs. The Platform forgets a job as soon as it is
+// deleted, so its definition is snapshotted first: to localStorage, which
+// always works, and to Supabase so the team's "Recently deleted" view and
+// other browsers see it too. Snapshots older than the retention period are
+// no longer offered for restore.
+
+import { DeletedJobs } from '../services/deletedJobs';
+
+const STORAGE_KEY = 'signiant.deletedJobs';
+
+export const RETENTION_DAYS = Number(import.meta.env.VITE_DELETED_JOB_RETENTION_DAYS) || 14;
+
+/**
+ * @typedef {Object} DeletedJobSnapshot
+ * @property {string} snapshotId
+ * @property {string} jobId - The deleted job
+ * @property {string} jobName
+ * @property {Object} definition - POST body that recreates the job
+ * @property {string} deletedAt
+ * @property {string} [deletedBy]
+ * @property {string} [restoredJobId] - The job recreated from this snapshot
+ * @property {string} [restoredAt]
+ */
+
+const retentionCutoff = () => new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const writeAll = (snapshots) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshots));
+};
+
+// Drops expired snapshots so localStorage does not grow without bound
+const readCurrent = () => {
+  const cutoff = retentionCutoff();
+  const snapshots = readAll();
+  const current = snapshots.filter(snapshot => snapshot.deletedAt >= cutoff);
+  if (current.length !== snapshots.length) writeAll(current);
+  return current;
+};
+
+const updateLocal = (snapshotId, changes) => {
+  writeAll(readAll().map(snapshot => (snapshot.snapshotId === snapshotId ? { ...snapshot, ...changes } : snapshot)));
+};
+
+export const recycleBin = {
+  /**
+   * Records a job about to be deleted. Supabase failures are logged but do
+   * not block the delete, since the local snapshot can still restore it.
+   * @returns {Promise<DeletedJobSnapshot>}
+   */
+  async snapshot({ jobId, jobName, definition }) {
+    const snapshot = {
+      snapshotId: crypto.randomUUID(),
+      jobId,
+      jobName,
+      definition,
+      deletedAt: new Date().toISOString()
+    };
+    writeAll([snapshot, ...readCurrent()]);
+
+    try {
+      await DeletedJobs.record(snapshot);
+    } catch (error) {
+      console.error('Deleted job kept in this browser only:', error);
+    }
+    return snapshot;
+  },
+
+  /**
+   * Snapshots within the retention period, newest first. Supabase is the
+   * shared record; local snapshots it does not have are included as well.
+   * @returns {Promise<DeletedJobSnapshot[]>}
+   */
+  async list() {
+    const local = readCurrent();
+    let remote = [];
+    try {
+      remote = await DeletedJobs.listSince(retentionCutoff());
+    } catch (error) {
+      console.error('Showing this browser\'s deleted jobs only:', error);
+    }
+
+    const remoteIds = new Set(remote.map(snapshot => snapshot.snapshotId));
+    return [...remote, ...local.filter(snapshot => !remoteIds.has(snapshot.snapshotId))]
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  },
+
+  async markRestored(snapshot, restoredJobId) {
+    const restoredAt = new Date().toISOString();
+    updateLocal(snapshot.snapshotId, { restoredJobId, restoredAt });
+    try {
+      await DeletedJobs.markRestored(snapshot.snapshotId, restoredJobId);
+    } catch (error) {
+      console.error('Restore recorded in this browser only:', error);
+    }
+    return { ...snapshot, restoredJobId, restoredAt };
+  }
+};
@@ -0,0 +1,30 @@
+import { SigniantAuth } from '../services/auth';
+
+/**
+ * Wraps a loader for something that belongs to the signed-in user (their
+ * role, their teams) so it runs once and is shared by every caller. Signing
+ * in or out drops the cached value; a failed load is retried next call.
+ * @template T
+ * @param {() => Promise<T>} load
+ * @returns {() => Promise<T>}
+ */
+export const sessionCached = (load) => {
+  let promise = null;
+  let subscribed = false;
+
+  return () => {
+    if (!subscribed) {
+      subscribed = true;
+      SigniantAuth.onAuthStateChange((event) => {
+        if (event === 'SIGNED_IN' || event === 'SIGNED_OUT') promise = null;
+      });
+    }
+    if (!promise) {
+      promise = load().catch((error) => {
+        promise = null;
+        throw error;
+      });
+    }
+    return promise;
+  };
+};
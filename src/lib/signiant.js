@@ -1,17 +1,211 @@
-const CLIENT_ID = import.meta.env.VITE_SIGNIANT_CLIENT_ID;
-const CLIENT_SECRET = import.meta.env.VITE_SIGNIANT_CLIENT_SECRET;
-const BASE_URL = import.meta.env.VITE_SIGNIANT_API_URL;
+import { getAuthHeaders } from './auth-utils';
+import { SigniantAuth } from '../services/auth';
+import { diffJson } from './jsonDiff';
+import { savedTriggers } from './triggerStore';
+import { applySettingsToActionData } from './transferOptions';
+import { recycleBin } from './recycleBin';
+import { auditHeaders } from './auditLog';
 
+// Every Platform API call goes through the dashboard server (see server/),
+// which holds the Signiant client secret and attaches the bearer token. Set
+// VITE_SIGNIANT_PROXY_URL to point at a server that is not behind the Vite
+// dev proxy.
+export const API_BASE_URL = import.meta.env.VITE_SIGNIANT_PROXY_URL || '/platform-api';
+
+// The dashboard server's own endpoints
+export const SERVER_API_URL = import.meta.env.VITE_SERVER_API_URL || '/api';
+
+/**
+ * @typedef {Object} StorageProfileRef
+ * @property {string} storageProfileId
+ * @property {string} [name]
+ * @property {Object} [config]
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {string} jobId
+ * @property {string} name
+ * @property {boolean} [paused]
+ * @property {Array<{ type: string, data: { source: StorageProfileRef, destination: StorageProfileRef, transferOptions?: Object } }>} actions
+ * @property {Array<{ type: string, events?: string[], data?: Object }>} triggers
+ * @property {Array<{ type: string }>} [activeAlerts]
+ * @property {string} [createdOn]
+ * @property {string} [lastModifiedOn]
+ */
+
+/**
+ * @typedef {Object} Transfer
+ * @property {string} transferId
+ * @property {string} state
+ * @property {string} createdOn
+ * @property {number} [currentRateBitsPerSecond]
+ * @property {{ transferred: { count: number, bytes: number }, remaining: { count: number, bytes: number } }} transferProgress
+ */
+
+/**
+ * @typedef {Object} StorageProfile
+ * @property {string} storageProfileId
+ * @property {string} name
+ * @property {string} storageProfileType
+ */
+
+/**
+ * @typedef {Object} StorageObject
+ * @property {string} name
+ * @property {string} path - Relative to the storage profile's root
+ * @property {'FILE' | 'FOLDER'} type
+ * @property {number} [sizeInBytes]
+ * @property {string} [lastModifiedOn]
+ */
+
+/**
+ * @typedef {Object} JobFile
+ * @property {string} jobId
+ * @property {string} url
+ * @property {string} state
+ * @property {number} sizeInBytes
+ * @property {string} fileType
+ * @property {string} lastEventTime
+ */
+
+/**
+ * Error raised for any failed Platform API call. Carries the HTTP status and
+ * the parsed response body so callers can react to specific failures.
+ */
+export class SigniantApiError extends Error {
+  constructor(message, { status, body, method, path, code } = {}) {
+    super(message);
+    this.name = 'SigniantApiError';
+    this.code = code;
+    this.status = status;
+    this.body = body;
+    this.method = method;
+    this.path = path;
+  }
+}
+
+// Retry policy for Platform API and token calls. Delays use "full jitter"
+// exponential backoff so a burst of failed calls does not retry in lockstep.
+const RETRY_CONFIG = {
+  maxAttempts: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  // Give up rather than sleep if the server asks us to wait longer than this
+  maxRetryAfterMs: 60000
+};
+
+const RETRYABLE_STATUSES = new Set([408, 500, 502, 503, 504]);
+
+// Methods that can be replayed without changing the outcome. Anything else is
+// only retried when the server told us it did not process the request (429),
+// or when the caller passes `idempotent: true`. A PATCH qualifies when every
+// field it sends is a whole value (a flag, or an array replaced outright), as
+// applying it twice leaves the job just as applying it once does.
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getBackoffDelay = (attempt) => {
+  const ceiling = Math.min(RETRY_CONFIG.maxDelayMs, RETRY_CONFIG.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+};
+
+// Reads `Retry-After` (seconds or HTTP date), falling back to the
+// `X-RateLimit-Reset` epoch-seconds header some gateways send with a 429.
+const getRetryAfterDelay = (response) => {
+  const retryAfter = response.headers.get('Retry-After');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const reset = Number(response.headers.get('X-RateLimit-Reset'));
+  if (reset) return Math.max(0, reset * 1000 - Date.now());
+
+  return null;
+};
+
+/**
+ * `fetch` with retries. Network failures and transient 5xx responses are only
+ * retried when `retryable` is set; 429s are always retried since the server
+ * rejected them unprocessed. A 401 calls `onUnauthorized` once and replays.
+ * @param {string} url
+ * @param {() => Promise<RequestInit>} buildInit - Called per attempt so fresh auth headers are used
+ * @param {{ retryable?: boolean, onUnauthorized?: () => Promise<void> }} [options]
+ * @returns {Promise<{ response: Response, attempts: number, earlierAttemptReachedServer: boolean }>}
+ *   `earlierAttemptReachedServer` is set when a retried attempt failed in a
+ *   way that does not rule out the server having acted on it: a timeout or
+ *   5xx response, or a network failure (the request may have arrived and
+ *   only the response been lost). 429s and 401s do not count.
+ */
+const fetchWithRetry = async (url, buildInit, { retryable = true, onUnauthorized } = {}) => {
+  let reauthenticated = false;
+  let earlierAttemptReachedServer = false;
+
+  for (let attempt = 1; ; attempt++) {
+    const init = await buildInit();
+    const canTryAgain = attempt < RETRY_CONFIG.maxAttempts;
+
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      if (retryable && canTryAgain) {
+        earlierAttemptReachedServer = true;
+        await sleep(getBackoffDelay(attempt));
+        continue;
+      }
+      throw error;
+    }
+
+    if (response.status === 401 && onUnauthorized && !reauthenticated) {
+      reauthenticated = true;
+      await onUnauthorized();
+      continue;
+    }
+
+    const shouldRetry = response.status === 429 ||
+      (retryable && RETRYABLE_STATUSES.has(response.status));
+    if (shouldRetry && canTryAgain) {
+      const delay = getRetryAfterDelay(response) ?? getBackoffDelay(attempt);
+      if (delay <= RETRY_CONFIG.maxRetryAfterMs) {
+        if (RETRYABLE_STATUSES.has(response.status)) earlierAttemptReachedServer = true;
+        await sleep(delay);
+        continue;
+      }
+    }
+
+    return { response, attempts: attempt, earlierAttemptReachedServer };
+  }
+};
+
+export const TOKEN_REFRESH_FAILED = 'TOKEN_REFRESH_FAILED';
+
+// Error code the dashboard server sends when it cannot obtain a Signiant token
+const SERVER_SIGNIANT_AUTH_FAILED = 'SIGNIANT_AUTH_FAILED';
+
+// How often to re-check a lost connection in the background
+const BACKGROUND_RETRY_MS = 30 * 1000;
+
+/**
+ * Tracks whether the dashboard server can still reach Signiant. The token
+ * itself lives on the server; this only asks the server to renew it and tells
+ * listeners when the connection drops or recovers.
+ */
 export class SigniantApiAuth {
   constructor() {
     if (SigniantApiAuth._instance) {
       return SigniantApiAuth._instance;
     }
-    
-    this.tokenUrl = `${BASE_URL}/oauth/token`;
-    this.accessToken = null;
-    this.tokenExpiry = null;
-    
+
+    this.refreshPromise = null;
+    this.retryTimer = null;
+    this.connected = true;
+    this.listeners = new Set();
+
     SigniantApiAuth._instance = this;
   }
 
@@ -19,137 +213,471 @@ export class SigniantApiAuth {
     return new SigniantApiAuth();
   }
 
-  async getAccessToken() {
-    if (!this.accessToken || new Date() >= this.tokenExpiry) {
-      await this.refreshToken();
+  // Asks the server to redo its client-credentials exchange. Concurrent
+  // callers share one in-flight request.
+  refreshToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestServerRefresh()
+        .then(() => this.setConnected(true))
+        .catch((error) => {
+          this.setConnected(false, error);
+          throw error;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
     }
-    return this.accessToken;
+    return this.refreshPromise;
   }
 
-  async refreshToken() {
-    const formData = new URLSearchParams();
-    formData.append('client_id', CLIENT_ID);
-    formData.append('client_secret', CLIENT_SECRET);
-    formData.append('grant_type', 'client_credentials');
-
-    const headers = {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Accept': 'application/json'
-    };
-
+  async requestServerRefresh() {
+    const path = '/signiant/token';
     try {
-      console.log('Requesting new Signiant access token...');
-      const response = await fetch(this.tokenUrl, {
+      const { response } = await fetchWithRetry(`${SERVER_API_URL}${path}`, async () => ({
         method: 'POST',
-        headers,
-        body: formData
-      });
-      
+        headers: await getAuthHeaders()
+      }));
+
       if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`HTTP error! status: ${response.status}, response: ${errorText}`);
+        const payload = await parseResponseBody(response);
+        throw new SigniantApiError(
+          payload?.message || `Token refresh failed with status ${response.status}`,
+          { status: response.status, body: payload, method: 'POST', path }
+        );
       }
-      
-      const data = await response.json();
-      console.log('Successfully obtained Signiant access token');
-      this.accessToken = data.access_token;
-      // Set expiry to 5 minutes before actual expiry to ensure token refreshes
-      this.tokenExpiry = new Date(Date.now() + (data.expires_in - 300) * 1000);
     } catch (error) {
       console.error('Signiant token refresh error:', error);
-      throw new Error(`Failed to obtain Signiant access token: ${error.message}`);
+      throw new SigniantApiError(
+        `Failed to obtain Signiant access token: ${error.message}`,
+        { code: TOKEN_REFRESH_FAILED, status: error.status, method: 'POST', path }
+      );
     }
   }
 
-  static async getAuthHeader() {
-    const instance = SigniantApiAuth.getInstance();
-    const token = await instance.getAccessToken();
-    return {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    };
+  /**
+   * Subscribes to connection status changes. The listener is called with
+   * `{ connected, error }` whenever the connection drops or recovers.
+   * @returns {() => void} Unsubscribe function
+   */
+  onStatusChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  setConnected(connected, error = null) {
+    clearTimeout(this.retryTimer);
+    if (!connected) {
+      this.retryTimer = setTimeout(() => {
+        // Failures are reported through onStatusChange listeners
+        this.refreshToken().catch(() => {});
+      }, BACKGROUND_RETRY_MS);
+    }
+
+    if (connected && this.connected) return;
+    this.connected = connected;
+    this.listeners.forEach(listener => listener({ connected, error }));
   }
 }
 
 // Initialize the singleton instance
 SigniantApiAuth._instance = null;
 
-// Helper function to get combined headers for API calls
-export const getSigniantHeaders = async () => {
-  const headers = await SigniantApiAuth.getAuthHeader();
-  return headers;
+// True for errors caused by losing the Signiant connection as a whole. The
+// connection banner reports these, so pages should not toast them as well.
+export const isConnectionLost = (error) => error?.code === TOKEN_REFRESH_FAILED;
+
+const buildUrl = (path, query) => {
+  const url = `${API_BASE_URL}${path}`;
+  if (!query) return url;
+
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      params.append(key, value);
+    }
+  });
+  const search = params.toString();
+  return search ? `${url}?${search}` : url;
 };
 
-// Function to delete a job with required confirmation
-export const deleteJob = async (jobId, confirmationText) => {
-  // Require explicit confirmation text "DELETE" to proceed
-  if (confirmationText !== "DELETE") {
-    throw new Error("Deletion not confirmed. Please type 'DELETE' to confirm.");
+const parseResponseBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
   }
+};
+
+/**
+ * Sends an authenticated request to the Signiant Platform API, retrying
+ * transient failures according to `RETRY_CONFIG`.
+ * @param {string} path - API path, e.g. `/v1/jobs`
+ * @param {{ method?: string, query?: Object, body?: Object, idempotent?: boolean, audit?: import('./auditLog').AuditContext }} [options]
+ *   `idempotent` overrides the per-method default for whether network errors
+ *   and 5xx responses may be retried. `audit` describes a change for the
+ *   server's audit log.
+ * @returns {Promise<any>} The parsed JSON response body
+ * @throws {SigniantApiError} When the API responds with a non-2xx status, or
+ *   with `status: 0` when the API could not be reached at all
+ */
+export const signiantRequest = async (path, { method = 'GET', query, body, idempotent, audit } = {}) => {
+  const retryable = idempotent ?? IDEMPOTENT_METHODS.has(method);
 
+  let result;
   try {
-    const headers = await getSigniantHeaders();
-    const response = await fetch(`${BASE_URL}/v1/jobs/${jobId}`, {
-      method: 'DELETE',
-      headers
+    result = await fetchWithRetry(
+      buildUrl(path, query),
+      async () => ({
+        method,
+        headers: { ...(await getAuthHeaders()), ...auditHeaders(audit) },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      }),
+      {
+        retryable,
+        // The server rejected our Supabase session; it has most likely just
+        // expired, so renew it once and replay
+        onUnauthorized: () => SigniantAuth.refreshSession()
+      }
+    );
+  } catch (error) {
+    if (error instanceof TypeError) {
+      throw new SigniantApiError(
+        `Could not reach the Signiant API (${method} ${path}): ${error.message}`,
+        { status: 0, method, path }
+      );
+    }
+    throw error;
+  }
+
+  const { response, earlierAttemptReachedServer } = result;
+  const payload = await parseResponseBody(response);
+  const connection = SigniantApiAuth.getInstance();
+
+  if (payload?.code === SERVER_SIGNIANT_AUTH_FAILED) {
+    const error = new SigniantApiError(payload.message, {
+      code: TOKEN_REFRESH_FAILED, status: response.status, body: payload, method, path
     });
+    connection.setConnected(false, error);
+    throw error;
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to delete job: ${errorText}`);
+  if (!response.ok) {
+    // An earlier attempt that timed out, failed server-side or lost its
+    // response may still have deleted it. Otherwise the 404 is real (a stale ID, or someone else
+    // deleted it) and is reported.
+    if (method === 'DELETE' && response.status === 404 && earlierAttemptReachedServer) {
+      return null;
     }
 
-    return true;
-  } catch (error) {
-    console.error('Error deleting job:', error);
-    throw error;
+    const detail = payload?.message || (typeof payload === 'string' ? payload : null);
+    throw new SigniantApiError(
+      detail || `${method} ${path} failed with status ${response.status}`,
+      { status: response.status, body: payload, method, path }
+    );
   }
+
+  connection.setConnected(true);
+  return payload;
 };
 
-// Function to update job trigger to HOT_FOLDER
-export const updateJobTrigger = async (jobId) => {
-  try {
-    const headers = await getSigniantHeaders();
-    
-    // First get the current job to preserve other settings
-    const getResponse = await fetch(`${BASE_URL}/v1/jobs/${jobId}`, {
-      headers
+const DEFAULT_PAGE_SIZE = 100;
+
+// List endpoints hand back an opaque cursor alongside `items` when more
+// results are available; it is sent back as `nextToken` to get the next page.
+const getNextCursor = (page) => page?.nextToken || page?.next || null;
+
+/**
+ * Walks a cursor-paginated GET endpoint, yielding one page of items at a time.
+ * @param {string} path - API path, e.g. `/v1/jobs`
+ * @param {{ query?: Object, pageSize?: number }} [options]
+ * @returns {AsyncGenerator<Object[]>}
+ */
+export async function* paginate(path, { query = {}, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  let cursor = null;
+  const seen = new Set();
+
+  do {
+    const page = await signiantRequest(path, {
+      query: { ...query, limit: pageSize, nextToken: cursor || undefined }
     });
+    yield page?.items || [];
 
-    if (!getResponse.ok) {
-      throw new Error('Failed to fetch job details');
-    }
+    cursor = getNextCursor(page);
+    // Guard against an endpoint handing back the same cursor forever
+    if (cursor && seen.has(cursor)) break;
+    if (cursor) seen.add(cursor);
+  } while (cursor);
+}
 
-    const job = await getResponse.json();
-    
-    // Update the job with the hot folder configuration using PATCH
-    const response = await fetch(`${BASE_URL}/v1/jobs/${jobId}`, {
-      method: 'PATCH',
-      headers,
-      body: JSON.stringify({
-        paused: job.paused, // Preserve the paused state
-        actions: job.actions, // Preserve existing actions
-        triggers: [{
-          type: "HOT_FOLDER",
-          events: [
-            "hotFolder.files.discovered",
-            "hotFolder.files.created",
-            "hotFolder.files.modified",
-            "hotFolder.signature.changed"
-          ],
-          data: {
-            source: job.actions[0].data.source // Use existing source data
-          }
-        }]
+/**
+ * Walks `/v1/jobs/search`, which pages by offset rather than cursor.
+ * @param {Object} criteria - Search body without `offset`/`limit`
+ * @param {{ pageSize?: number }} [options]
+ * @returns {AsyncGenerator<Object[]>}
+ */
+export async function* paginateJobSearch(criteria = {}, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  let offset = 0;
+
+  while (true) {
+    const page = await SigniantApi.jobs.search({ ...criteria, offset, limit: pageSize });
+    const items = page?.items || [];
+    yield items;
+
+    offset += items.length;
+    const total = page?.totalResultCount;
+    if (items.length < pageSize || (total !== undefined && offset >= total)) break;
+  }
+}
+
+/**
+ * Drains a page iterator into a single array.
+ * @param {AsyncIterable<Object[]>} pages
+ * @returns {Promise<Object[]>}
+ */
+export const collectAll = async (pages) => {
+  const items = [];
+  for await (const page of pages) {
+    items.push(...page);
+  }
+  return items;
+};
+
+export const SigniantApi = {
+  jobs: {
+    /** @returns {Promise<{ items: Job[], nextToken?: string }>} */
+    list: (query) => signiantRequest('/v1/jobs', { query }),
+
+    /** @returns {AsyncGenerator<Job[]>} */
+    pages: (options) => paginate('/v1/jobs', options),
+
+    /**
+     * A POST that only reads, so it is retried like a GET.
+     * @param {{ sortBy?: string, sortOrder?: string, offset?: number, limit?: number, query?: Object, filters?: Object }} criteria
+     * @returns {Promise<{ items: Object[], totalResultCount?: number }>}
+     */
+    search: (criteria = {}) =>
+      signiantRequest('/v1/jobs/search', { method: 'POST', body: criteria, idempotent: true }),
+
+    /** @returns {AsyncGenerator<Object[]>} */
+    searchPages: (criteria, options) => paginateJobSearch(criteria, options),
+
+    /** @returns {Promise<Job>} */
+    get: (jobId) => signiantRequest(`/v1/jobs/${jobId}`),
+
+    /**
+     * The server audits every mutating call; `audit` names a more specific
+     * action (e.g. `{ action: 'job.clone' }`) and the job.
+     * @param {{ audit?: import('./auditLog').AuditContext }} [options]
+     * @returns {Promise<Job>}
+     */
+    create: (job, { audit } = {}) =>
+      signiantRequest('/v1/jobs', { method: 'POST', body: job, audit }),
+
+    /**
+     * Pass `{ idempotent: true }` when `changes` is a full replacement (e.g. the
+     * whole trigger set) so it can be safely replayed after a transient failure.
+     * @returns {Promise<Job>}
+     */
+    update: (jobId, changes, { idempotent, audit } = {}) =>
+      signiantRequest(`/v1/jobs/${jobId}`, { method: 'PATCH', body: changes, idempotent, audit }),
+
+    remove: (jobId, { audit } = {}) =>
+      signiantRequest(`/v1/jobs/${jobId}`, { method: 'DELETE', audit })
+  },
+
+  transfers: {
+    /** @returns {Promise<{ items: Transfer[] }>} */
+    list: (jobId, { state = 'IN_PROGRESS' } = {}) =>
+      signiantRequest(`/v1/jobs/${jobId}/transfers`, { query: { state } }),
+
+    /** Starts a transfer for the job immediately, regardless of its trigger. @returns {Promise<Transfer>} */
+    start: (jobId, { audit } = {}) =>
+      signiantRequest(`/v1/jobs/${jobId}/transfers`, { method: 'POST', audit }),
+
+    cancel: (jobId, transferId, { audit } = {}) =>
+      signiantRequest(`/v1/jobs/${jobId}/transfers/${transferId}`, { method: 'DELETE', audit })
+  },
+
+  storageProfiles: {
+    /** @returns {Promise<{ items: StorageProfile[] }>} */
+    list: () => signiantRequest('/v1/storageProfiles'),
+
+    /**
+     * Lists the files and folders directly under `path`, or every object below
+     * it whose path contains `search`.
+     * @param {{ path?: string, search?: string }} [options]
+     * @returns {AsyncGenerator<StorageObject[]>}
+     */
+    objectPages: (storageProfileId, { path, search, pageSize } = {}) =>
+      paginate(`/v1/storageProfiles/${storageProfileId}/objects`, {
+        query: { path, search: search || undefined },
+        pageSize
       })
-    });
+  },
+
+  files: {
+    /** @returns {Promise<{ items: JobFile[], nextToken?: string }>} */
+    list: (query) => signiantRequest('/v1/jobs/files', { query }),
+
+    /** @returns {AsyncGenerator<JobFile[]>} */
+    pages: (options) => paginate('/v1/jobs/files', options)
+  }
+};
+
+export const INVALID_JOB_TRANSITION = 'INVALID_JOB_TRANSITION';
+export const JOB_TRANSITION_UNCONFIRMED = 'JOB_TRANSITION_UNCONFIRMED';
+
+// The Platform applies lifecycle changes asynchronously, so each one is
+// confirmed by re-reading the job until it reports the expected state.
+const TRANSITION_CHECK = {
+  attempts: 5,
+  delayMs: 1000
+};
+
+const transitionError = (message, jobId, code = INVALID_JOB_TRANSITION) =>
+  new SigniantApiError(message, { code, path: `/v1/jobs/${jobId}` });
+
+const getActiveTransfer = async (jobId) => {
+  const { items = [] } = await SigniantApi.transfers.list(jobId, { state: 'IN_PROGRESS' });
+  return items[0] || null;
+};
+
+const waitForState = async (jobId, read, isSettled, description) => {
+  for (let attempt = 1; attempt <= TRANSITION_CHECK.attempts; attempt++) {
+    const current = await read();
+    if (isSettled(current)) return current;
+    if (attempt < TRANSITION_CHECK.attempts) await sleep(TRANSITION_CHECK.delayMs);
+  }
+  throw transitionError(`Job ${jobId} did not ${description} in time; refresh to check its current state`, jobId, JOB_TRANSITION_UNCONFIRMED);
+};
+
+const setPaused = async (jobId, paused) => {
+  const job = await SigniantApi.jobs.get(jobId);
+  if (Boolean(job.paused) === paused) return job;
+
+  await SigniantApi.jobs.update(jobId, { paused }, {
+    idempotent: true,
+    audit: { action: paused ? 'job.pause' : 'job.resume', jobName: job.name }
+  });
+  return waitForState(
+    jobId,
+    () => SigniantApi.jobs.get(jobId),
+    updated => Boolean(updated.paused) === paused,
+    paused ? 'pause' : 'resume'
+  );
+};
+
+/**
+ * Job lifecycle operations. Every page's play/pause/run/cancel control goes
+ * through these so the semantics are the same everywhere:
+ *
+ * - `pause` stops the job from starting new transfers and holds any running
+ *   transfer; triggers are left untouched.
+ * - `resume` clears the pause; hot folders pick up new files again.
+ * - `runNow` starts a transfer straight away. Rejected while the job is paused
+ *   or already transferring.
+ * - `cancelTransfer` cancels the running transfer (or `transferId`) without
+ *   pausing the job.
+ *
+ * Each resolves once the Platform reports the new state. Invalid requests
+ * throw a SigniantApiError with code INVALID_JOB_TRANSITION; changes that are
+ * accepted but not observed in time throw JOB_TRANSITION_UNCONFIRMED.
+ */
+export const JobLifecycle = {
+  /** @returns {Promise<Job>} */
+  pause: (jobId) => setPaused(jobId, true),
+
+  /** @returns {Promise<Job>} */
+  resume: (jobId) => setPaused(jobId, false),
+
+  /** @returns {Promise<Transfer>} */
+  runNow: async (jobId) => {
+    const job = await SigniantApi.jobs.get(jobId);
+    if (job.paused) {
+      throw transitionError('Resume the job before running it', jobId);
+    }
+    if (await getActiveTransfer(jobId)) {
+      throw transitionError('The job already has a transfer in progress', jobId);
+    }
+
+    const transfer = await SigniantApi.transfers.start(jobId, { audit: { jobName: job.name } });
+    return transfer || waitForState(jobId, () => getActiveTransfer(jobId), Boolean, 'start a transfer');
+  },
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to update job trigger: ${errorText}`);
+  /** @returns {Promise<void>} */
+  cancelTransfer: async (jobId, transferId) => {
+    const targetId = transferId || (await getActiveTransfer(jobId))?.transferId;
+    if (!targetId) {
+      throw transitionError('The job has no transfer in progress to cancel', jobId);
     }
 
-    return true;
+    await SigniantApi.transfers.cancel(jobId, targetId);
+    await waitForState(
+      jobId,
+      () => getActiveTransfer(jobId),
+      active => active?.transferId !== targetId,
+      'cancel its transfer'
+    );
+  }
+};
+
+const HOT_FOLDER_EVENTS = [
+  "hotFolder.files.discovered",
+  "hotFolder.files.created",
+  "hotFolder.files.modified",
+  "hotFolder.signature.changed"
+];
+
+// Function to delete a job with required confirmation. The job's definition
+// is snapshotted to the recycle bin first so the delete can be undone.
+export const deleteJob = async (jobId, confirmationText) => {
+  // Require explicit confirmation text "DELETE" to proceed
+  if (confirmationText !== "DELETE") {
+    throw new Error("Deletion not confirmed. Please type 'DELETE' to confirm.");
+  }
+
+  try {
+    const job = await SigniantApi.jobs.get(jobId);
+    const snapshot = await recycleBin.snapshot({
+      jobId,
+      jobName: job.name,
+      definition: toJobDefinition(job)
+    });
+    await SigniantApi.jobs.remove(jobId, { audit: { jobName: job.name } });
+    return snapshot;
+  } catch (error) {
+    console.error('Error deleting job:', error);
+    throw error;
+  }
+};
+
+/**
+ * Recreates a deleted job from its recycle bin snapshot. The Platform assigns
+ * a new jobId, which is recorded against the snapshot.
+ * @param {import('./recycleBin').DeletedJobSnapshot} snapshot
+ * @returns {Promise<Job>} The recreated job
+ */
+export const restoreDeletedJob = async (snapshot) => {
+  if (snapshot.restoredJobId) {
+    throw new Error(`Already restored as job ${snapshot.restoredJobId}`);
+  }
+
+  try {
+    const job = await SigniantApi.jobs.create(snapshot.definition, { audit: { action: 'job.restore' } });
+    await recycleBin.markRestored(snapshot, job.jobId);
+    return job;
+  } catch (error) {
+    console.error('Error restoring job:', error);
+    throw error;
+  }
+};
+
+// Function to update job trigger to HOT_FOLDER, keeping the job's paused state
+export const updateJobTrigger = async (jobId) => {
+  try {
+    return await applyTriggerPlan(await planFolderStart(jobId, { resume: false }));
   } catch (error) {
     console.error('Error updating job trigger:', error);
     throw error;
@@ -159,16 +687,7 @@ export const updateJobTrigger = async (jobId) => {
 // Function to get transfer details including progress
 export const getTransferDetails = async (jobId) => {
   try {
-    const headers = await getSigniantHeaders();
-    const response = await fetch(`${BASE_URL}/v1/jobs/${jobId}/transfers?state=IN_PROGRESS`, {
-      headers
-    });
-
-    if (!response.ok) {
-      throw new Error('Failed to fetch transfer details');
-    }
-
-    const data = await response.json();
+    const data = await SigniantApi.transfers.list(jobId, { state: 'IN_PROGRESS' });
     if (!data.items || data.items.length === 0) {
       return null;
     }
@@ -192,94 +711,321 @@ export const getTransferDetails = async (jobId) => {
   }
 };
 
-// Function to pause a folder (change from HOT_FOLDER to MANUAL)
-export const pauseFolder = async (jobId) => {
-  try {
-    const headers = await getSigniantHeaders();
-    
-    // First get the current job to preserve other settings
-    const getResponse = await fetch(`${BASE_URL}/v1/jobs/${jobId}`, {
-      headers
-    });
+export const JOB_CHANGED_SINCE_PREVIEW = 'JOB_CHANGED_SINCE_PREVIEW';
+
+// Fields the Platform sets on a trigger. They are dropped before a trigger is
+// sent back so a restored trigger is accepted as new configuration.
+const READ_ONLY_TRIGGER_FIELDS = ['triggerId', 'jobId', 'createdOn', 'lastModifiedOn', 'monitor'];
+
+const withoutKeys = (object, keys) =>
+  Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
 
-    if (!getResponse.ok) {
-      throw new Error('Failed to fetch job details');
+const toTriggerConfig = (trigger) => {
+  const config = withoutKeys(trigger, READ_ONLY_TRIGGER_FIELDS);
+  // monitorid identifies the Platform's folder monitor, not configuration
+  if (config.metadata) {
+    const metadata = withoutKeys(config.metadata, ['monitorid']);
+    if (Object.keys(metadata).length > 0) {
+      config.metadata = metadata;
+    } else {
+      delete config.metadata;
     }
+  }
+  return config;
+};
 
-    const job = await getResponse.json();
-    
-    // Update the job to MANUAL trigger and set paused to true
-    const response = await fetch(`${BASE_URL}/v1/jobs/${jobId}`, {
-      method: 'PATCH',
-      headers,
-      body: JSON.stringify({
-        paused: true,
-        actions: job.actions,
-        triggers: [{
-          type: "MANUAL",
-          data: {
-            source: job.actions[0].data.source
-          }
-        }]
-      })
+// Re-reads the job and refuses to continue if it was modified after the
+// version a preview was built from
+const getJobIfUnchanged = async (jobId, lastModifiedOn) => {
+  const job = await SigniantApi.jobs.get(jobId);
+  if (lastModifiedOn && job.lastModifiedOn !== lastModifiedOn) {
+    throw new SigniantApiError('The job was changed since this preview was generated. Review the changes again.', {
+      code: JOB_CHANGED_SINCE_PREVIEW,
+      path: `/v1/jobs/${jobId}`
     });
+  }
+  return job;
+};
+
+const isBareManualTrigger = (triggers = []) =>
+  triggers.length === 1 && triggers[0].type === 'MANUAL';
+
+/**
+ * @typedef {Object} TriggerPlan
+ * @property {string} jobId
+ * @property {string} jobName
+ * @property {string} [lastModifiedOn] - The job version the plan was built from
+ * @property {{ paused?: boolean, triggers: Object[] }} changes - The PATCH body
+ * @property {import('./jsonDiff').DiffEntry[]} diff - What the PATCH will change
+ * @property {Object[]} [captureTriggers] - Trigger set to remember before applying
+ * @property {boolean} [restoresSavedTriggers] - Whether `changes` restores a saved set
+ * @property {string} auditAction - How applying the plan is recorded in the audit log
+ */
+
+const buildPlan = (job, changes, extra = {}) => {
+  const current = {
+    ...(changes.paused !== undefined && { paused: Boolean(job.paused) }),
+    triggers: (job.triggers || []).map(toTriggerConfig)
+  };
+  return {
+    jobId: job.jobId,
+    jobName: job.name,
+    lastModifiedOn: job.lastModifiedOn,
+    changes,
+    diff: diffJson(current, changes),
+    ...extra
+  };
+};
+
+/**
+ * Plans stopping a hot folder: the job is paused and switched to a MANUAL
+ * trigger. The current trigger set is captured so `planFolderStart` can put
+ * it back exactly. Nothing is sent until the plan is applied.
+ * @returns {Promise<TriggerPlan>}
+ */
+export const planFolderPause = async (jobId) => {
+  const job = await SigniantApi.jobs.get(jobId);
+  const changes = {
+    paused: true,
+    triggers: [{
+      type: "MANUAL",
+      data: {
+        source: job.actions[0].data.source
+      }
+    }]
+  };
+
+  // Pausing an already-stopped folder must not overwrite the saved set
+  const captureTriggers = isBareManualTrigger(job.triggers) && savedTriggers.get(jobId)
+    ? undefined
+    : (job.triggers || []).map(toTriggerConfig);
+
+  return buildPlan(job, changes, { captureTriggers, auditAction: 'folder.stop' });
+};
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to pause folder: ${errorText}`);
+/**
+ * Plans starting a hot folder again. Restores the trigger set captured when it
+ * was stopped, or falls back to a HOT_FOLDER trigger on the job's source with
+ * the standard events. Pass `resume: false` to leave the paused flag alone.
+ * @returns {Promise<TriggerPlan>}
+ */
+export const planFolderStart = async (jobId, { resume = true } = {}) => {
+  const job = await SigniantApi.jobs.get(jobId);
+  const saved = savedTriggers.get(jobId);
+  const triggers = saved?.triggers || [{
+    type: "HOT_FOLDER",
+    events: HOT_FOLDER_EVENTS,
+    data: {
+      source: job.actions[0].data.source
     }
+  }];
 
-    return true;
-  } catch (error) {
-    console.error('Error pausing folder:', error);
-    throw error;
+  const changes = resume ? { paused: false, triggers } : { triggers };
+  return buildPlan(job, changes, {
+    restoresSavedTriggers: Boolean(saved),
+    auditAction: resume ? 'folder.start' : 'trigger.update'
+  });
+};
+
+/**
+ * Sends a plan built by `planFolderPause`/`planFolderStart`. Refuses to apply
+ * it if the job was modified after the plan (and its diff) was produced.
+ */
+export const applyTriggerPlan = async (plan) => {
+  await getJobIfUnchanged(plan.jobId, plan.lastModifiedOn);
+
+  if (plan.captureTriggers) {
+    savedTriggers.save(plan.jobId, plan.captureTriggers);
   }
+
+  await SigniantApi.jobs.update(plan.jobId, plan.changes, {
+    idempotent: true,
+    audit: { action: plan.auditAction, jobName: plan.jobName }
+  });
+
+  if (plan.restoresSavedTriggers) {
+    savedTriggers.clear(plan.jobId);
+  }
+  return true;
 };
 
-// Function to start a folder (change from MANUAL to HOT_FOLDER)
-export const startFolder = async (jobId) => {
-  try {
-    const headers = await getSigniantHeaders();
-    
-    // First get the current job to preserve other settings
-    const getResponse = await fetch(`${BASE_URL}/v1/jobs/${jobId}`, {
-      headers
-    });
+/**
+ * Applies the Advanced options editor's settings to a job's TRANSFER action.
+ * Pass the `lastModifiedOn` the editor was opened with to avoid overwriting
+ * someone else's change.
+ * @param {import('./transferOptions').TransferSettings} settings
+ * @returns {Promise<Job>}
+ */
+export const updateJobTransferSettings = async (jobId, settings, { lastModifiedOn } = {}) => {
+  const job = await getJobIfUnchanged(jobId, lastModifiedOn);
+  const actions = job.actions.map((action, index) =>
+    index === 0 ? { ...action, data: applySettingsToActionData(action.data, settings) } : action
+  );
+  return SigniantApi.jobs.update(jobId, { actions }, {
+    idempotent: true,
+    audit: { action: 'job.settings', jobName: job.name }
+  });
+};
 
-    if (!getResponse.ok) {
-      throw new Error('Failed to fetch job details');
-    }
+// Runtime state the Platform reports on an action; never sent back
+const READ_ONLY_ACTION_FIELDS = ['status'];
 
-    const job = await getResponse.json();
-    
-    // Update the job to HOT_FOLDER trigger and set paused to false
-    const response = await fetch(`${BASE_URL}/v1/jobs/${jobId}`, {
-      method: 'PATCH',
-      headers,
-      body: JSON.stringify({
-        paused: false,
-        actions: job.actions,
-        triggers: [{
-          type: "HOT_FOLDER",
-          events: [
-            "hotFolder.files.discovered",
-            "hotFolder.files.created",
-            "hotFolder.files.modified",
-            "hotFolder.signature.changed"
-          ],
-          data: {
-            source: job.actions[0].data.source
-          }
-        }]
-      })
-    });
+const triggerForType = (type, source) => (type === 'HOT_FOLDER'
+  ? { type: "HOT_FOLDER", events: HOT_FOLDER_EVENTS, data: { source } }
+  : { type: "MANUAL", data: { source } });
+
+// Triggers watch the action's source, so they follow it when it changes
+const repointTriggers = (triggers, source) =>
+  triggers.map(trigger =>
+    trigger.data?.source && trigger.data.source.storageProfileId !== source.storageProfileId
+      ? { ...trigger, data: { ...trigger.data, source } }
+      : trigger);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to start folder: ${errorText}`);
+/**
+ * @typedef {Object} JobEditPlan
+ * @property {string} jobId
+ * @property {string} jobName
+ * @property {string} [lastModifiedOn] - The job version the plan was built from
+ * @property {{ name?: string, actions?: Object[], triggers?: Object[] }} changes
+ *   The PATCH body: only the top-level fields that differ
+ * @property {import('./jsonDiff').DiffEntry[]} diff
+ */
+
+/**
+ * Plans an edit made in the JobsPage edit drawer. `actionData` replaces the
+ * first TRANSFER action's data (see applyDraftToActionData). Keeping the
+ * current trigger type keeps the current triggers, repointed at the new
+ * source if it changed; switching type replaces them with a default trigger.
+ * @param {Job} job - As returned by GET /v1/jobs/{id}
+ * @param {{ name: string, actionData: Object, triggerType: string }} edit
+ * @returns {JobEditPlan}
+ */
+export const planJobEdit = (job, { name, actionData, triggerType }) => {
+  const currentTriggers = (job.triggers || []).map(toTriggerConfig);
+  const currentType = currentTriggers[0]?.type || 'MANUAL';
+  const source = actionData.source;
+
+  const triggers = triggerType === currentType
+    ? repointTriggers(currentTriggers, source)
+    : [triggerForType(triggerType, source)];
+
+  const currentActions = (job.actions || []).map(action => withoutKeys(action, READ_ONLY_ACTION_FIELDS));
+  const current = { name: job.name, actions: currentActions, triggers: currentTriggers };
+  const proposed = {
+    name,
+    actions: currentActions.map((action, index) => (index === 0 ? { ...action, data: actionData } : action)),
+    triggers
+  };
+
+  const changes = Object.fromEntries(
+    Object.keys(proposed)
+      .filter(key => diffJson(current[key], proposed[key]).length > 0)
+      .map(key => [key, proposed[key]])
+  );
+
+  return {
+    jobId: job.jobId,
+    jobName: job.name,
+    lastModifiedOn: job.lastModifiedOn,
+    changes,
+    diff: diffJson(current, proposed)
+  };
+};
+
+/**
+ * Sends a plan built by `planJobEdit`, refusing if the job changed since.
+ * A trigger edit supersedes any set saved by stopping the hot folder.
+ * @param {JobEditPlan} plan
+ * @returns {Promise<Job>}
+ */
+export const applyJobEdit = async (plan) => {
+  await getJobIfUnchanged(plan.jobId, plan.lastModifiedOn);
+  const job = await SigniantApi.jobs.update(plan.jobId, plan.changes, {
+    idempotent: true,
+    audit: { action: 'job.edit', jobName: plan.jobName }
+  });
+  if (plan.changes.triggers) {
+    savedTriggers.clear(plan.jobId);
+  }
+  return job;
+};
+
+// Set by the Platform when a job is created or run; a new job gets its own
+const SERVER_ASSIGNED_JOB_FIELDS = [
+  'jobId', 'accountId', 'serviceId', 'paused', 'status', 'activeAlerts',
+  'createdOn', 'lastModifiedOn', 'createdByAuthId', 'lastModifiedByAuthId'
+];
+const SERVER_ASSIGNED_ACTION_FIELDS = ['actionId', 'createdOn', 'lastModifiedOn', ...READ_ONLY_ACTION_FIELDS];
+
+/**
+ * A job's definition (name, actions, triggers and their options) without
+ * anything the Platform assigns, ready to POST as a new job.
+ * @param {Job} job
+ */
+export const toJobDefinition = (job) => ({
+  ...withoutKeys(job, SERVER_ASSIGNED_JOB_FIELDS),
+  actions: (job.actions || []).map(action => withoutKeys(action, SERVER_ASSIGNED_ACTION_FIELDS)),
+  triggers: (job.triggers || []).map(toTriggerConfig)
+});
+
+/**
+ * The POST body for a copy of `job` whose first action uses `actionData`,
+ * with triggers following the (possibly new) source.
+ * @param {Job} job
+ * @param {{ name: string, actionData: Object }} changes
+ */
+export const buildCloneBody = (job, { name, actionData }) => {
+  const definition = toJobDefinition(job);
+  return {
+    ...definition,
+    name,
+    actions: definition.actions.map((action, index) => (index === 0 ? { ...action, data: actionData } : action)),
+    triggers: repointTriggers(definition.triggers, actionData.source)
+  };
+};
+
+/**
+ * Clones a job to another destination profile. The destination path is kept
+ * unless `destinationPath` is given; an empty string clears it.
+ * @returns {Promise<Job>} The new job
+ */
+export const cloneJobTo = async (jobId, { destinationProfileId, destinationPath, nameSuffix = ' (copy)' }) => {
+  const job = await SigniantApi.jobs.get(jobId);
+  const { destination, ...data } = job.actions[0].data;
+  const { config, ...ref } = destination.storageProfileId === destinationProfileId
+    ? destination
+    : { storageProfileId: destinationProfileId, config: destination.config };
+  const destinationConfig = destinationPath === undefined ? { ...config } : { ...config, path: destinationPath };
+  if (!destinationConfig.path) delete destinationConfig.path;
+
+  return SigniantApi.jobs.create(buildCloneBody(job, {
+    name: `${job.name}${nameSuffix}`,
+    actionData: {
+      ...data,
+      destination: {
+        ...ref,
+        ...(Object.keys(destinationConfig).length > 0 && { config: destinationConfig })
+      }
     }
+  }), { audit: { action: 'job.clone' } });
+};
 
-    return true;
+// Function to stop watching a folder (change from HOT_FOLDER to MANUAL).
+// To pause a job without touching its triggers use JobLifecycle.pause.
+export const pauseFolder = async (jobId) => {
+  try {
+    return await applyTriggerPlan(await planFolderPause(jobId));
+  } catch (error) {
+    console.error('Error pausing folder:', error);
+    throw error;
+  }
+};
+
+// Function to start watching a folder (restores the triggers captured by
+// pauseFolder). To resume a paused job use JobLifecycle.resume.
+export const startFolder = async (jobId) => {
+  try {
+    return await applyTriggerPlan(await planFolderStart(jobId));
   } catch (error) {
     console.error('Error starting folder:', error);
     throw error;
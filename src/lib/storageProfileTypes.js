@@ -0,0 +1,103 @@
+// Storage profile types the Platform supports, in the order the create form
+// lists them, with the wording of each type's destination path field.
+
+export const ON_PREMISE = 'ON_PREMISE_FILE_STORAGE';
+
+export const STORAGE_PROFILE_TYPES = {
+  ON_PREMISE_FILE_STORAGE: {
+    label: 'On-Premise Storage',
+    pathLabel: 'Destination Subfolder',
+    pathPlaceholder: 'restores/2024-11',
+    pathHelp: 'Folder under the profile root. Created if it does not exist.'
+  },
+  AWS_S3: {
+    label: 'AWS S3',
+    pathLabel: 'Key Prefix',
+    pathPlaceholder: 'deliveries/promo/',
+    pathHelp: 'Prefix added to every object key in the bucket.'
+  },
+  S3_COMPATIBLE: {
+    label: 'S3 Compatible',
+    pathLabel: 'Key Prefix',
+    pathPlaceholder: 'deliveries/promo/',
+    pathHelp: 'Prefix added to every object key in the bucket.'
+  },
+  WASABI_OBJECT_STORAGE: {
+    label: 'Wasabi',
+    pathLabel: 'Key Prefix',
+    pathPlaceholder: 'deliveries/promo/',
+    pathHelp: 'Prefix added to every object key in the bucket.'
+  },
+  AZURE_BLOB: {
+    label: 'Azure Blob Storage',
+    pathLabel: 'Virtual Directory',
+    pathPlaceholder: 'playout/incoming/',
+    pathHelp: 'Blob name prefix inside the container.'
+  },
+  GCP_CLOUD_STORAGE: {
+    label: 'Google Cloud Storage',
+    pathLabel: 'Object Prefix',
+    pathPlaceholder: 'newsroom/ingest/',
+    pathHelp: 'Prefix added to every object name in the bucket.'
+  }
+};
+
+const TYPE_ORDER = Object.keys(STORAGE_PROFILE_TYPES);
+
+export const getProfileTypeInfo = (type) =>
+  STORAGE_PROFILE_TYPES[type] || { label: type, pathLabel: 'Destination Path', pathPlaceholder: '', pathHelp: '' };
+
+/**
+ * Groups profiles by type, known types first in TYPE_ORDER, names sorted.
+ * @returns {Array<{ type: string, profiles: import('./signiant').StorageProfile[] }>}
+ */
+export const groupProfilesByType = (profiles) => {
+  const groups = new Map();
+  profiles.forEach((profile) => {
+    const type = profile.storageProfileType;
+    groups.set(type, [...(groups.get(type) || []), profile]);
+  });
+
+  const rank = (type) => (TYPE_ORDER.includes(type) ? TYPE_ORDER.indexOf(type) : TYPE_ORDER.length);
+  return [...groups.entries()]
+    .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b))
+    .map(([type, items]) => ({
+      type,
+      profiles: [...items].sort((a, b) => a.name.localeCompare(b.name))
+    }));
+};
+
+/**
+ * Why a job cannot move data from `source` to `destination`, or null when the
+ * pair is allowed. Jet moves data through an on-premise endpoint, so at least
+ * one side has to be on-premise storage.
+ */
+export const getCombinationError = (source, destination) => {
+  if (!source || !destination) return null;
+  if (source.storageProfileId === destination.storageProfileId) {
+    return 'Source and destination must be different profiles';
+  }
+  if (source.storageProfileType !== ON_PREMISE && destination.storageProfileType !== ON_PREMISE) {
+    return 'Cloud-to-cloud transfers are not supported; one side must be on-premise storage';
+  }
+  return null;
+};
+
+/**
+ * Checks a destination path for the destination's profile type.
+ * @returns {string | null} The problem, or null when the path is usable
+ */
+export const validateDestinationPath = (type, path) => {
+  const trimmed = path.trim();
+  if (!trimmed) return null;
+  if (trimmed.split('/').includes('..')) {
+    return 'The path cannot contain ".." segments';
+  }
+  if (type !== ON_PREMISE && trimmed.startsWith('/')) {
+    return `${getProfileTypeInfo(type).pathLabel} must not start with "/"`;
+  }
+  if (type === ON_PREMISE && /[<>:"|?*]/.test(trimmed)) {
+    return 'Folder names cannot contain < > : " | ? *';
+  }
+  return null;
+};
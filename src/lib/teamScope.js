@@ -0,0 +1,40 @@
+// Narrows job lists and profile pickers to the signed-in user's teams (see
+// supabase/migrations/*_teams.sql). A scope is the list of teams; `null`
+// means unscoped. This is a visibility filter: the Platform proxy still
+// enforces roles, not teams.
+
+/**
+ * @param {import('../services/teams').Team[]} teams
+ * @param {string} role
+ * @returns {import('../services/teams').Team[]|null}
+ */
+export const buildTeamScope = (teams, role) =>
+  role === 'admin' || teams.length === 0 ? null : teams;
+
+// Jobs from /v1/jobs carry `name` and actions; search results carry
+// `jobName` and `storageProfileIds`. The Jobs page shortens `name` for display
+// and keeps the Platform's as `platformName`, which is what teams match.
+const jobName = (job) => job.platformName ?? job.name ?? job.jobName ?? '';
+
+const jobProfileIds = (job) => {
+  if (job.storageProfileIds) return job.storageProfileIds;
+  const data = job.actions?.[0]?.data;
+  return [data?.source?.storageProfileId, data?.destination?.storageProfileId].filter(Boolean);
+};
+
+// Each configured list narrows; an empty one allows anything
+const teamIncludesJob = (team, job) => {
+  const name = jobName(job).toLowerCase();
+  const profileIds = jobProfileIds(job);
+  return (team.job_name_prefixes.length === 0
+      || team.job_name_prefixes.some(prefix => name.startsWith(prefix.toLowerCase())))
+    && (team.storage_profile_ids.length === 0
+      || profileIds.some(id => team.storage_profile_ids.includes(id)));
+};
+
+export const isJobInScope = (scope, job) =>
+  !scope || scope.some(team => teamIncludesJob(team, job));
+
+export const isProfileInScope = (scope, profile) =>
+  !scope || scope.some(team =>
+    team.storage_profile_ids.length === 0 || team.storage_profile_ids.includes(profile.storageProfileId));
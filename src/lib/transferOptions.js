@@ -0,0 +1,88 @@
+// Maps the "Advanced options" form to a TRANSFER action's data. Bandwidth lives
+// in `data.bandwidthManagement`; the rest in `data.transferOptions`, next to
+// `objectPatterns`. Fields the form does not manage (schedules, growing-object
+// settings, part size) are left as they are.
+
+export const CONFLICT_POLICIES = [
+  { value: 'OVERWRITE', label: 'Overwrite existing files' },
+  { value: 'SKIP', label: 'Skip files that already exist' },
+  { value: 'RENAME', label: 'Keep both (rename the new file)' }
+];
+
+export const MAX_BANDWIDTH_MBPS = 10000;
+
+/**
+ * @typedef {Object} TransferSettings
+ * @property {boolean} bandwidthLimitEnabled
+ * @property {string} bandwidthMbps - Kept as the raw input text
+ * @property {'OVERWRITE' | 'SKIP' | 'RENAME'} conflictPolicy
+ * @property {boolean} verifyIntegrity
+ * @property {boolean} deleteSource - Move instead of copy
+ */
+
+/** @type {TransferSettings} */
+export const DEFAULT_TRANSFER_SETTINGS = {
+  bandwidthLimitEnabled: false,
+  bandwidthMbps: '',
+  conflictPolicy: 'OVERWRITE',
+  verifyIntegrity: true,
+  deleteSource: false
+};
+
+/** @returns {TransferSettings} */
+export const settingsFromActionData = (data = {}) => {
+  const { transferOptions = {}, bandwidthManagement = {} } = data;
+  return {
+    bandwidthLimitEnabled: Boolean(bandwidthManagement.enabled),
+    bandwidthMbps: bandwidthManagement.maxRate?.value != null ? String(bandwidthManagement.maxRate.value) : '',
+    conflictPolicy: transferOptions.conflictResolution || DEFAULT_TRANSFER_SETTINGS.conflictPolicy,
+    verifyIntegrity: transferOptions.verifyIntegrity ?? DEFAULT_TRANSFER_SETTINGS.verifyIntegrity,
+    deleteSource: Boolean(transferOptions.deleteSourceAfterTransfer)
+  };
+};
+
+/** Returns a copy of an action's `data` with `settings` applied. */
+export const applySettingsToActionData = (data = {}, settings) => {
+  const { bandwidthManagement = {}, transferOptions = {} } = data;
+  return {
+    ...data,
+    bandwidthManagement: {
+      ...bandwidthManagement,
+      enabled: settings.bandwidthLimitEnabled,
+      ...(settings.bandwidthLimitEnabled && {
+        maxRate: { value: Number(settings.bandwidthMbps), unit: 'Mbps' }
+      })
+    },
+    transferOptions: {
+      ...transferOptions,
+      conflictResolution: settings.conflictPolicy,
+      verifyIntegrity: settings.verifyIntegrity,
+      deleteSourceAfterTransfer: settings.deleteSource
+    }
+  };
+};
+
+/** @returns {string[]} */
+export const validateTransferSettings = (settings) => {
+  const errors = [];
+
+  if (settings.bandwidthLimitEnabled) {
+    const rate = Number(settings.bandwidthMbps);
+    if (!settings.bandwidthMbps.trim() || !Number.isFinite(rate) || rate <= 0) {
+      errors.push('Enter a bandwidth cap greater than 0 Mbps');
+    } else if (rate > MAX_BANDWIDTH_MBPS) {
+      errors.push(`The bandwidth cap cannot exceed ${MAX_BANDWIDTH_MBPS} Mbps`);
+    }
+  }
+
+  if (!CONFLICT_POLICIES.some(policy => policy.value === settings.conflictPolicy)) {
+    errors.push('Choose what to do when a file already exists');
+  }
+
+  // Never remove the only copy of a file that was not confirmed intact
+  if (settings.deleteSource && !settings.verifyIntegrity) {
+    errors.push('Deleting source files requires integrity verification');
+  }
+
+  return errors;
+};
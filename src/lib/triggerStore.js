@@ -0,0 +1,33 @@
+// Remembers a job's trigger set while its hot folder is stopped so starting it
+// again restores the exact events, filters and schedules. The Platform keeps
+// no record of them once the triggers are replaced, so they live in the
+// browser's localStorage, keyed by jobId.
+
+const STORAGE_KEY = 'signiant.savedTriggers';
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeAll = (entries) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+};
+
+export const savedTriggers = {
+  /** @returns {{ triggers: Object[], savedOn: string } | null} */
+  get: (jobId) => readAll()[jobId] || null,
+
+  save: (jobId, triggers) => {
+    writeAll({ ...readAll(), [jobId]: { triggers, savedOn: new Date().toISOString() } });
+  },
+
+  clear: (jobId) => {
+    const entries = readAll();
+    delete entries[jobId];
+    writeAll(entries);
+  }
+};
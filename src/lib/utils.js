@@ -14,4 +14,14 @@ export const formatDate = (dateString) => {
   const year = date.getFullYear();
 
   return `${month}/${day}/${year}`;
-};
\ No newline at end of file
+};
+
+// Saves generated text (e.g. a CSV report) through a temporary link
+export const downloadTextFile = (fileName, content, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
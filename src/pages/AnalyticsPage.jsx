@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { SigniantApiAuth, pauseFolder, startFolder } from '../lib/signiant';
+import React, { useState, useEffect, useMemo } from 'react';
+import { SigniantApi, collectAll, isConnectionLost, deleteJob } from '../lib/signiant';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui/table';
 import { Badge } from '../components/ui/badge';
@@ -8,6 +8,14 @@ import { Input } from '../components/ui/input';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
 import { useToast } from '../components/ui/use-toast';
 import { TransferProgress, formatBytes } from '../components/transferProgress';
+import { TablePagination } from '../components/TablePagination';
+import { usePagination } from '../hooks/usePagination';
+import { useJobLifecycle } from '../hooks/useJobLifecycle';
+import { JobLifecycleControls } from '../components/JobLifecycleControls';
+import { usePermissions } from '../hooks/usePermissions';
+import { useTeamScope } from '../hooks/useTeamScope';
+import { useDeleteUndo } from '../hooks/useDeleteUndo';
+import { DeleteJobDialog } from '../components/DeleteJobDialog';
 import { 
   RefreshCw, 
   Search, 
@@ -16,30 +24,23 @@ import {
   Clock, 
   AlertCircle, 
   Pause, 
-  Play,
   Network,
   FileWarning,
   Trash
 } from 'lucide-react';
 
 const AnalyticsPage = () => {
-  const [jobs, setJobs] = useState([]);
+  const [allJobs, setAllJobs] = useState([]);
   const [jobTransfers, setJobTransfers] = useState({});
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
   const [loading, setLoading] = useState(true);
+  const [jobToDelete, setJobToDelete] = useState(null);
   const { toast } = useToast();
 
   const fetchTransferForJob = async (jobId) => {
     try {
-      const headers = await SigniantApiAuth.getAuthHeader();
-      const response = await fetch(`/platform-api/v1/jobs/${jobId}/transfers?state=IN_PROGRESS`, {
-        method: 'GET',
-        headers
-      });
-
-      if (!response.ok) throw new Error('Failed to fetch transfer');
-      const data = await response.json();
+      const data = await SigniantApi.transfers.list(jobId, { state: 'IN_PROGRESS' });
       return data.items[0]; // Get the first transfer for this job
     } catch (error) {
       console.error(`Failed to fetch transfer for job ${jobId}:`, error);
@@ -49,25 +50,16 @@ const AnalyticsPage = () => {
 
   const fetchJobs = async () => {
     try {
-      const headers = await SigniantApiAuth.getAuthHeader();
-      const response = await fetch('/platform-api/v1/jobs/search', {
-        method: 'POST',
-        headers,
-        body: JSON.stringify({
-          sortBy: 'lastActivity',
-          sortOrder: 'desc',
-          limit: 100
-        })
-      });
-
-      if (!response.ok) throw new Error('Failed to fetch jobs');
-      const data = await response.json();
-      setJobs(data.items);
+      const items = await collectAll(SigniantApi.jobs.searchPages({
+        sortBy: 'lastActivity',
+        sortOrder: 'desc'
+      }));
+      setAllJobs(items);
 
       // Fetch transfers for each job
       const transfers = {};
       await Promise.all(
-        data.items.map(async (job) => {
+        items.map(async (job) => {
           if (job.status === 'IN_PROGRESS') {
             const transfer = await fetchTransferForJob(job.jobId);
             if (transfer) {
@@ -78,11 +70,13 @@ const AnalyticsPage = () => {
       );
       setJobTransfers(transfers);
     } catch (error) {
-      toast({
-        title: "Error",
-        description: error.message,
-        variant: "destructive"
-      });
+      if (!isConnectionLost(error)) {
+        toast({
+          title: "Error",
+          description: error.message,
+          variant: "destructive"
+        });
+      }
     } finally {
       setLoading(false);
     }
@@ -116,105 +110,25 @@ const AnalyticsPage = () => {
     }
   };
 
-  const handleJobAction = async (jobId, action) => {
-    try {
-      const headers = await SigniantApiAuth.getAuthHeader();
-      const response = await fetch(`/platform-api/v1/jobs/${jobId}`, {
-        method: 'PATCH',
-        headers: {
-          ...headers,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ 
-          status: action 
-        })
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => null);
-        throw new Error(errorData?.message || `Failed to change job status`);
-      }
-      
-      toast({
-        title: "Success",
-        description: `Job status changed successfully`
-      });
-      
-      // Refresh jobs after a short delay to allow the state change to propagate
-      setTimeout(fetchJobs, 1000);
-    } catch (error) {
-      console.error('Job action error:', error);
-      toast({
-        title: "Error",
-        description: error.message,
-        variant: "destructive"
-      });
-    }
-  };
-
-  const handlePauseFolder = async (jobId) => {
-    try {
-      await pauseFolder(jobId);
-      toast({
-        title: "Success",
-        description: "Folder paused successfully",
-      });
-      fetchJobs(); // Refresh the job list
-    } catch (error) {
-      console.error('Error pausing folder:', error);
-      toast({
-        title: "Error",
-        description: error.message || "Failed to pause folder",
-        variant: "destructive",
-      });
-    }
-  };
-
-  const handleStartFolder = async (jobId) => {
-    try {
-      await startFolder(jobId);
-      toast({
-        title: "Success",
-        description: "Folder started successfully",
-      });
-      fetchJobs(); // Refresh the job list
-    } catch (error) {
-      console.error('Error starting folder:', error);
-      toast({
-        title: "Error",
-        description: error.message || "Failed to start folder",
-        variant: "destructive",
-      });
-    }
-  };
+  const lifecycle = useJobLifecycle(fetchJobs);
+  const { can } = usePermissions();
+  const { showUndoToast } = useDeleteUndo(fetchJobs);
+  const { filterJobs } = useTeamScope();
+  const jobs = useMemo(() => filterJobs(allJobs), [allJobs, filterJobs]);
 
-  const handleDeleteJob = async (jobId) => {
+  const handleDeleteConfirm = async (confirmText) => {
     try {
-      const headers = await SigniantApiAuth.getAuthHeader();
-      const response = await fetch(`/platform-api/v1/jobs/${jobId}`, {
-        method: 'DELETE',
-        headers
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => null);
-        throw new Error(errorData?.message || 'Failed to delete job');
-      }
-      
-      toast({
-        title: "Success",
-        description: "Job deleted successfully"
-      });
-      
-      // Refresh jobs after a short delay to allow the deletion to propagate
-      setTimeout(fetchJobs, 1000);
+      const snapshot = await deleteJob(jobToDelete.jobId, confirmText);
+      showUndoToast([snapshot], `Job "${snapshot.jobName}" deleted`);
+      fetchJobs();
     } catch (error) {
       console.error('Delete job error:', error);
       toast({
         title: "Error",
-        description: error.message,
+        description: error.message || "Failed to delete job",
         variant: "destructive"
       });
+      throw error;
     }
   };
 
@@ -238,6 +152,8 @@ const AnalyticsPage = () => {
     return matchesSearch && matchesStatus;
   });
 
+  const pagination = usePagination(filteredJobs);
+
   const stats = {
     total: jobs.length,
     inProgress: jobs.filter(j => j.status === 'IN_PROGRESS').length,
@@ -324,7 +240,7 @@ const AnalyticsPage = () => {
               </TableRow>
             </TableHeader>
             <TableBody>
-              {filteredJobs.map((job) => {
+              {pagination.pageItems.map((job) => {
                 const transfer = jobTransfers[job.jobId];
                 const transferProgress = formatTransferProgress(transfer);
                 
@@ -374,44 +290,23 @@ const AnalyticsPage = () => {
                     </TableCell>
                     <TableCell>
                       <div className="flex gap-2">
-                        {job.status === 'READY' && (
-                          <Button 
-                            size="sm" 
-                            variant="outline"
-                            onClick={() => handleJobAction(job.jobId, 'IN_PROGRESS')}
-                            className="dark:bg-gray-700 dark:text-white dark:hover:bg-gray-600"
-                          >
-                            <Play className="w-4 h-4" />
-                          </Button>
-                        )}
-                        {job.status === 'IN_PROGRESS' && (
-                          <Button 
-                            size="sm" 
-                            variant="outline"
-                            onClick={() => handlePauseFolder(job.jobId)}
-                            className="dark:bg-gray-700 dark:text-white dark:hover:bg-gray-600"
-                          >
-                            <Pause className="w-4 h-4" />
-                          </Button>
-                        )}
-                        {job.status === 'PAUSED' && (
+                        <JobLifecycleControls
+                          job={job}
+                          onAction={lifecycle.runAction}
+                          pendingAction={lifecycle.pendingAction(job.jobId)}
+                          buttonClassName="dark:bg-gray-700 dark:text-white dark:hover:bg-gray-600"
+                          disabled={!can('jobs.operate')}
+                        />
+                        {can('jobs.delete') && (
                           <Button 
                             size="sm" 
                             variant="outline"
-                            onClick={() => handleStartFolder(job.jobId)}
+                            onClick={() => setJobToDelete(job)}
                             className="dark:bg-gray-700 dark:text-white dark:hover:bg-gray-600"
                           >
-                            <Play className="w-4 h-4" />
+                            <Trash className="w-4 h-4" />
                           </Button>
                         )}
-                        <Button 
-                          size="sm" 
-                          variant="outline"
-                          onClick={() => handleDeleteJob(job.jobId)}
-                          className="dark:bg-gray-700 dark:text-white dark:hover:bg-gray-600"
-                        >
-                          <Trash className="w-4 h-4" />
-                        </Button>
                       </div>
                     </TableCell>
                   </TableRow>
@@ -419,8 +314,17 @@ const AnalyticsPage = () => {
               })}
             </TableBody>
           </Table>
+          <TablePagination pagination={pagination} />
         </CardContent>
       </Card>
+
+      {jobToDelete && (
+        <DeleteJobDialog
+          onClose={() => setJobToDelete(null)}
+          onConfirm={handleDeleteConfirm}
+          jobName={jobToDelete.jobName}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,242 @@
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui/table';
+import { Badge } from '../components/ui/badge';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { useToast } from '../components/ui/use-toast';
+import { TablePagination } from '../components/TablePagination';
+import { usePagination } from '../hooks/usePagination';
+import { AuditLog, AUDIT_SEARCH_LIMIT } from '../services/auditLog';
+import { AUDIT_ACTIONS } from '../lib/auditLog';
+import { toCsv } from '../lib/manifest';
+import { downloadTextFile } from '../lib/utils';
+import { ChevronDown, ChevronRight, Download, Loader2, RefreshCw } from 'lucide-react';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+const INITIAL_FILTERS = { search: '', action: 'all', outcome: 'all', from: '', to: '' };
+
+// Date inputs give local calendar days; the range includes the whole `to` day
+const toQuery = ({ search, action, outcome, from, to }) => ({
+  search: search.trim() || undefined,
+  action: action === 'all' ? undefined : action,
+  outcome: outcome === 'all' ? undefined : outcome,
+  from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+  to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined
+});
+
+const actionLabel = (action) => AUDIT_ACTIONS[action] || action;
+
+const AuditPage = () => {
+  const [entries, setEntries] = useState([]);
+  const [filters, setFilters] = useState(INITIAL_FILTERS);
+  const [isLoading, setIsLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+  const { toast } = useToast();
+  const pagination = usePagination(entries);
+
+  const fetchEntries = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setEntries(await AuditLog.search(toQuery(filters)));
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to load audit log",
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, toast]);
+
+  useEffect(() => {
+    const timeout = setTimeout(fetchEntries, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [fetchEntries]);
+
+  const setFilter = (name) => (value) => setFilters(current => ({ ...current, [name]: value }));
+
+  const handleExport = () => {
+    const csv = toCsv(
+      ['occurredAt', 'user', 'action', 'jobId', 'jobName', 'outcome', 'status', 'error', 'request'],
+      entries.map(entry => [
+        entry.occurred_at,
+        entry.user_email,
+        entry.action,
+        entry.job_id ?? '',
+        entry.job_name ?? '',
+        entry.outcome,
+        entry.status ?? '',
+        entry.error ?? '',
+        entry.request ? JSON.stringify(entry.request) : ''
+      ])
+    );
+    downloadTextFile(`audit-log-${new Date().toISOString().slice(0, 10)}.csv`, csv, 'text/csv');
+  };
+
+  return (
+    <div className="p-8 space-y-6 bg-gray-100 dark:bg-gray-900 min-h-screen">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold dark:text-white">Audit Log</h1>
+        <div className="flex gap-2">
+          <Button onClick={handleExport} size="sm" variant="outline" disabled={entries.length === 0} className="dark:bg-gray-800 dark:text-white">
+            <Download className="w-4 h-4 mr-2" />
+            Export CSV
+          </Button>
+          <Button onClick={fetchEntries} size="sm" variant="outline" className="dark:bg-gray-800 dark:text-white">
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      {/* Filter Controls */}
+      <div className="flex flex-wrap gap-4 items-center">
+        <div className="flex-1 min-w-[240px]">
+          <Input
+            placeholder="Search job ID, job name or user..."
+            value={filters.search}
+            onChange={(e) => setFilter('search')(e.target.value)}
+            className="w-full dark:bg-gray-800 dark:text-white dark:border-gray-700"
+          />
+        </div>
+        <Select value={filters.action} onValueChange={setFilter('action')}>
+          <SelectTrigger className="w-[180px] dark:bg-gray-800 dark:text-white dark:border-gray-700">
+            <SelectValue placeholder="Filter by action" />
+          </SelectTrigger>
+          <SelectContent className="dark:bg-gray-800 dark:border-gray-700">
+            <SelectItem value="all">All Actions</SelectItem>
+            {Object.entries(AUDIT_ACTIONS).map(([action, label]) => (
+              <SelectItem key={action} value={action}>{label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={filters.outcome} onValueChange={setFilter('outcome')}>
+          <SelectTrigger className="w-[150px] dark:bg-gray-800 dark:text-white dark:border-gray-700">
+            <SelectValue placeholder="Filter by outcome" />
+          </SelectTrigger>
+          <SelectContent className="dark:bg-gray-800 dark:border-gray-700">
+            <SelectItem value="all">All Outcomes</SelectItem>
+            <SelectItem value="success">Succeeded</SelectItem>
+            <SelectItem value="failure">Failed</SelectItem>
+          </SelectContent>
+        </Select>
+        <div className="flex items-center gap-2 text-sm dark:text-gray-300">
+          <Input
+            type="date"
+            aria-label="From date"
+            value={filters.from}
+            onChange={(e) => setFilter('from')(e.target.value)}
+            className="w-[150px] dark:bg-gray-800 dark:text-white dark:border-gray-700"
+          />
+          to
+          <Input
+            type="date"
+            aria-label="To date"
+            value={filters.to}
+            onChange={(e) => setFilter('to')(e.target.value)}
+            className="w-[150px] dark:bg-gray-800 dark:text-white dark:border-gray-700"
+          />
+        </div>
+        <Button size="sm" variant="ghost" onClick={() => setFilters(INITIAL_FILTERS)} className="dark:text-gray-300">
+          Clear
+        </Button>
+      </div>
+
+      <Card className="dark:bg-gray-800 dark:border-gray-700">
+        <CardHeader>
+          <CardTitle className="dark:text-white">
+            Entries
+            {entries.length === AUDIT_SEARCH_LIMIT && (
+              <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">
+                Showing the newest {AUDIT_SEARCH_LIMIT}; narrow the filters to see older entries
+              </span>
+            )}
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-gray-500" />
+            </div>
+          ) : entries.length === 0 ? (
+            <p className="text-center py-8 text-gray-500 dark:text-gray-400">No audit entries match these filters</p>
+          ) : (
+            <>
+              <Table>
+                <TableHeader>
+                  <TableRow className="dark:border-gray-700">
+                    <TableHead className="w-8" />
+                    <TableHead className="dark:text-gray-400">Time</TableHead>
+                    <TableHead className="dark:text-gray-400">User</TableHead>
+                    <TableHead className="dark:text-gray-400">Action</TableHead>
+                    <TableHead className="dark:text-gray-400">Job</TableHead>
+                    <TableHead className="dark:text-gray-400">Outcome</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {pagination.pageItems.map((entry) => {
+                    const isExpanded = expandedId === entry.id;
+                    return (
+                      <Fragment key={entry.id}>
+                        <TableRow className="dark:border-gray-700 dark:hover:bg-gray-700/50">
+                          <TableCell>
+                            <button
+                              onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                              className="text-gray-500 dark:text-gray-400"
+                              aria-label={isExpanded ? 'Hide request' : 'Show request'}
+                            >
+                              {isExpanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                            </button>
+                          </TableCell>
+                          <TableCell className="dark:text-gray-300 whitespace-nowrap">
+                            {new Date(entry.occurred_at).toLocaleString()}
+                          </TableCell>
+                          <TableCell className="dark:text-gray-300">{entry.user_email}</TableCell>
+                          <TableCell className="dark:text-gray-200">{actionLabel(entry.action)}</TableCell>
+                          <TableCell className="dark:text-gray-200">
+                            {entry.job_name || '—'}
+                            {entry.job_id && (
+                              <div className="text-xs font-mono text-gray-500 dark:text-gray-400">{entry.job_id}</div>
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            {entry.outcome === 'success' ? (
+                              <Badge variant="secondary">Succeeded</Badge>
+                            ) : (
+                              <Badge variant="destructive" title={entry.error}>
+                                Failed{entry.status ? ` (${entry.status})` : ''}
+                              </Badge>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                        {isExpanded && (
+                          <TableRow className="dark:border-gray-700">
+                            <TableCell colSpan={6}>
+                              {entry.error && (
+                                <p className="text-sm text-red-600 dark:text-red-400 mb-2">{entry.error}</p>
+                              )}
+                              <pre className="text-xs bg-gray-50 dark:bg-gray-900 dark:text-gray-300 p-3 rounded overflow-auto max-h-80">
+                                {entry.request ? JSON.stringify(entry.request, null, 2) : 'No request body'}
+                              </pre>
+                            </TableCell>
+                          </TableRow>
+                        )}
+                      </Fragment>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+              <TablePagination pagination={pagination} />
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default AuditPage;
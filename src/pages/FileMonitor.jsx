@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { Card, CardHeader, CardTitle, CardContent } from '../components/ui/card';
 import { Table, TableHeader, TableRow, TableHead, TableBody, TableCell } from '../components/ui/table';
 import { Badge } from '../components/ui/badge';
@@ -7,46 +7,60 @@ import { Input } from '../components/ui/input';
 import { Button } from '../components/ui/button';
 import { Search, FileText, Loader2, Play, Pause } from 'lucide-react';
 import { useToast } from '../components/ui/use-toast';
-import { getAuthHeaders } from '../lib/auth-utils';
-import { pauseFolder, startFolder } from '../lib/signiant';
+import { SigniantApi, collectAll, isConnectionLost } from '../lib/signiant';
+import { TablePagination } from '../components/TablePagination';
+import { usePagination } from '../hooks/usePagination';
+import { useJobLifecycle } from '../hooks/useJobLifecycle';
+import { usePermissions } from '../hooks/usePermissions';
+import { useTeamScope } from '../hooks/useTeamScope';
 
 /**
  * The FileMonitor component fetches a list of files being transferred from the Signiant Platform API and displays them in a table.
  * The table displays the file path, size, status, last activity time, and type.
  * The component also displays a set of stats cards above the table, which show the total number of files, the number of files in each state, and the total size of all files.
  * The component also includes a search bar which allows the user to filter the files by file path.
+ * Every page of `/v1/jobs/files` is loaded and the table itself is paged client-side.
  * The component is refreshed every 30 seconds.
  */
 
 const FileMonitor = () => {
-  const [files, setFiles] = useState([]);
+  const [allFiles, setAllFiles] = useState([]);
+  // Jobs of the user's teams; file records only carry a jobId
+  const [scopedJobIds, setScopedJobIds] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [actionLoading, setActionLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const hasLoadedRef = useRef(false);
   const [searchTerm, setSearchTerm] = useState('');
   const { toast } = useToast();
 
   const fetchFiles = async () => {
+    // Only stream pages into the table on the first load so the periodic
+    // refresh does not briefly truncate the list
+    const progressive = !hasLoadedRef.current;
+    setLoadingMore(progressive);
     try {
-      const headers = await getAuthHeaders();
-      const response = await fetch('https://platform-api-service.services.cloud.signiant.com/v1/jobs/files', {
-        headers
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to fetch files');
+      let loadedFiles = [];
+      for await (const page of SigniantApi.files.pages()) {
+        loadedFiles = [...loadedFiles, ...page];
+        if (progressive) {
+          setAllFiles(loadedFiles);
+          setLoading(false);
+        }
       }
-
-      const data = await response.json();
-      setFiles(data.items || []);
+      setAllFiles(loadedFiles);
+      hasLoadedRef.current = true;
     } catch (error) {
       console.error('Error fetching files:', error);
-      toast({
-        title: "Error",
-        description: error.message || "Failed to fetch file data",
-        variant: "destructive",
-      });
+      if (!isConnectionLost(error)) {
+        toast({
+          title: "Error",
+          description: error.message || "Failed to fetch file data",
+          variant: "destructive",
+        });
+      }
     } finally {
       setLoading(false);
+      setLoadingMore(false);
     }
   };
 
@@ -57,47 +71,27 @@ const FileMonitor = () => {
     return () => clearInterval(interval);
   }, []);
 
-  const handlePauseFolder = async (jobId) => {
-    setActionLoading(true);
-    try {
-      await pauseFolder(jobId);
-      toast({
-        title: "Success",
-        description: "Folder paused successfully",
-      });
-      fetchFiles(); // Refresh the data
-    } catch (error) {
-      console.error('Error pausing folder:', error);
-      toast({
-        title: "Error",
-        description: error.message || "Failed to pause folder",
-        variant: "destructive",
-      });
-    } finally {
-      setActionLoading(false);
-    }
-  };
+  const lifecycle = useJobLifecycle(fetchFiles);
+  const canOperate = usePermissions().can('jobs.operate');
+  const { isLoading: isScopeLoading, isScoped, filterJobs } = useTeamScope();
 
-  const handleStartFolder = async (jobId) => {
-    setActionLoading(true);
-    try {
-      await startFolder(jobId);
-      toast({
-        title: "Success",
-        description: "Folder started successfully",
-      });
-      fetchFiles(); // Refresh the data
-    } catch (error) {
-      console.error('Error starting folder:', error);
-      toast({
-        title: "Error",
-        description: error.message || "Failed to start folder",
-        variant: "destructive",
-      });
-    } finally {
-      setActionLoading(false);
-    }
-  };
+  useEffect(() => {
+    if (isScopeLoading || !isScoped) return;
+
+    const fetchScopedJobs = () => collectAll(SigniantApi.jobs.pages())
+      .then(jobs => setScopedJobIds(new Set(filterJobs(jobs).map(job => job.jobId))))
+      .catch(error => console.error('Error fetching jobs for team scope:', error));
+
+    fetchScopedJobs();
+    const interval = setInterval(fetchScopedJobs, 30000);
+    return () => clearInterval(interval);
+  }, [isScopeLoading, isScoped, filterJobs]);
+
+  const files = useMemo(() => {
+    if (isScopeLoading) return [];
+    if (!isScoped) return allFiles;
+    return scopedJobIds ? allFiles.filter(file => scopedJobIds.has(file.jobId)) : [];
+  }, [allFiles, isScopeLoading, isScoped, scopedJobIds]);
 
   /**
    * Converts a number of bytes to a human-readable string (e.g. '3.2 KB')
@@ -132,6 +126,8 @@ const FileMonitor = () => {
     file.url.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
+  const pagination = usePagination(filteredFiles, 50);
+
   const stats = {
     total: files.length,
     completed: files.filter(f => f.state === 'COMPLETED').length,
@@ -232,7 +228,7 @@ const FileMonitor = () => {
               </TableRow>
             </TableHeader>
             <TableBody>
-              {filteredFiles.map((file, index) => (
+              {pagination.pageItems.map((file, index) => (
                 <TableRow key={`${file.jobId}-${index}`} className="hover:bg-gray-50">
                   <TableCell className="font-medium max-w-md truncate">
                     {file.url.replace('file://', '')}
@@ -252,10 +248,10 @@ const FileMonitor = () => {
                       <Button
                         size="sm"
                         variant="outline"
-                        onClick={() => handleStartFolder(file.jobId)}
-                        disabled={actionLoading}
+                        onClick={() => lifecycle.runAction(file.jobId, 'resume')}
+                        disabled={!canOperate || Boolean(lifecycle.pendingAction(file.jobId))}
                       >
-                        {actionLoading ? (
+                        {lifecycle.pendingAction(file.jobId) ? (
                           <Loader2 className="h-4 w-4 animate-spin" />
                         ) : (
                           <Play className="h-4 w-4 mr-1" />
@@ -266,10 +262,10 @@ const FileMonitor = () => {
                       <Button
                         size="sm"
                         variant="outline"
-                        onClick={() => handlePauseFolder(file.jobId)}
-                        disabled={actionLoading}
+                        onClick={() => lifecycle.runAction(file.jobId, 'pause')}
+                        disabled={!canOperate || Boolean(lifecycle.pendingAction(file.jobId))}
                       >
-                        {actionLoading ? (
+                        {lifecycle.pendingAction(file.jobId) ? (
                           <Loader2 className="h-4 w-4 animate-spin" />
                         ) : (
                           <Pause className="h-4 w-4 mr-1" />
@@ -282,6 +278,7 @@ const FileMonitor = () => {
               ))}
             </TableBody>
           </Table>
+          <TablePagination pagination={pagination} isLoadingMore={loadingMore} />
         </CardContent>
       </Card>
     </div>
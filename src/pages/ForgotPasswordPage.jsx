@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { Card } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { useToast } from '../components/ui/use-toast';
+import { Loader2 } from 'lucide-react';
+import { SigniantAuth } from '../services/auth';
+
+const ForgotPasswordPage = () => {
+    const location = useLocation();
+    const [email, setEmail] = useState(location.state?.email || '');
+    const [isLoading, setIsLoading] = useState(false);
+    const [isSent, setIsSent] = useState(false);
+    const { toast } = useToast();
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsLoading(true);
+
+        try {
+            await SigniantAuth.requestPasswordReset(email.trim());
+            setIsSent(true);
+        } catch (error) {
+            toast({
+                title: "Error",
+                description: error.message || 'Failed to send password reset email',
+                variant: "destructive",
+            });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-100">
+            <Card className="w-full max-w-md">
+                <div className="p-6 space-y-6">
+                    <div className="text-center">
+                        <h1 className="text-2xl font-semibold">Reset Password</h1>
+                        <p className="text-gray-500 mt-2">We&apos;ll email you a link to choose a new password</p>
+                    </div>
+
+                    {isSent ? (
+                        <p className="text-sm text-center">
+                            If <span className="font-medium">{email.trim()}</span> has an account, a reset
+                            link is on its way. The link can only be used once.
+                        </p>
+                    ) : (
+                        <form onSubmit={handleSubmit} className="space-y-4">
+                            <div className="space-y-2">
+                                <label className="text-sm font-medium">
+                                    Email
+                                </label>
+                                <Input
+                                    type="email"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    placeholder="Enter your email"
+                                    required
+                                    autoComplete="email"
+                                />
+                            </div>
+
+                            <Button
+                                type="submit"
+                                className="w-full"
+                                disabled={isLoading}
+                            >
+                                {isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                                {isLoading ? 'Sending...' : 'Send Reset Link'}
+                            </Button>
+                        </form>
+                    )}
+
+                    <div className="text-center text-sm">
+                        <Link to="/login" className="text-blue-600 hover:underline">
+                            Back to sign in
+                        </Link>
+                    </div>
+                </div>
+            </Card>
+        </div>
+    );
+};
+
+export default ForgotPasswordPage;
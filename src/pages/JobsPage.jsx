@@ -1,9 +1,9 @@
 import * as React from 'react';
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { Card } from '../components/ui/card';
 import { Badge } from '../components/ui/badge';
 import { Button } from '../components/ui/button';
-import { Input } from '../components/ui/input';
 import { 
   Table, 
   TableHeader, 
@@ -22,157 +22,149 @@ import {
   ChevronRight, 
   PauseCircle,
   Trash2,
-  FolderInput
+  FolderInput,
+  FolderX,
+  SlidersHorizontal,
+  Pencil,
+  Copy,
+  Play,
+  Pause
 } from 'lucide-react';
 import { useToast } from '../components/ui/use-toast';
-import { getAuthHeaders } from '../lib/auth-utils';
-import { deleteJob, updateJobTrigger, getTransferDetails } from '../lib/signiant';
+import {
+  SigniantApi,
+  isConnectionLost,
+  deleteJob,
+  getTransferDetails,
+  planFolderPause,
+  planFolderStart,
+  applyTriggerPlan,
+  updateJobTransferSettings
+} from '../lib/signiant';
 import { TransferProgress } from '../components/transferProgress';
-
-const DeleteConfirmationDialog = ({ isOpen, onClose, onConfirm, jobName }) => {
-  const [confirmText, setConfirmText] = useState('');
-  const [isDeleting, setIsDeleting] = useState(false);
-
-  if (!isOpen) return null;
-
-  const handleConfirm = async () => {
-    setIsDeleting(true);
-    await onConfirm(confirmText);
-    setIsDeleting(false);
-    setConfirmText('');
-    onClose();
-  };
-
-  return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-      <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
-        <h3 className="text-lg font-semibold mb-4">Delete Job</h3>
-        <p className="text-gray-600 mb-4">
-          Are you sure you want to delete the job "{jobName}"? This action cannot be undone.
-        </p>
-        <p className="text-gray-600 mb-4">
-          Type <span className="font-mono font-bold">DELETE</span> to confirm:
-        </p>
-        <Input
-          type="text"
-          value={confirmText}
-          onChange={(e) => setConfirmText(e.target.value)}
-          placeholder="Type DELETE to confirm"
-          className="mb-4"
-        />
-        <div className="flex justify-end space-x-2">
-          <Button
-            variant="outline"
-            onClick={onClose}
-            disabled={isDeleting}
-          >
-            Cancel
-          </Button>
-          <Button
-            variant="destructive"
-            onClick={handleConfirm}
-            disabled={confirmText !== 'DELETE' || isDeleting}
-          >
-            {isDeleting ? (
-              <>
-                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                Deleting...
-              </>
-            ) : (
-              'Delete Job'
-            )}
-          </Button>
-        </div>
-      </div>
-    </div>
-  );
-};
+import { TablePagination } from '../components/TablePagination';
+import { usePagination } from '../hooks/usePagination';
+import { ChangePreviewDialog } from '../components/ChangePreviewDialog';
+import { TransferOptionsDialog } from '../components/TransferOptionsDialog';
+import { JobEditDrawer } from '../components/JobEditDrawer';
+import { BulkCloneDialog } from '../components/BulkCloneDialog';
+import { BulkJobActionDialog } from '../components/BulkJobActionDialog';
+import { usePermissions } from '../hooks/usePermissions';
+import { useTeamScope } from '../hooks/useTeamScope';
+import { DeleteJobDialog } from '../components/DeleteJobDialog';
+import { useDeleteUndo } from '../hooks/useDeleteUndo';
 
 const JobsPage = () => {
-  const [jobs, setJobs] = useState([]);
+  const [allJobs, setAllJobs] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [expandedRows, setExpandedRows] = useState(new Set());
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [selectedJob, setSelectedJob] = useState(null);
+  const [triggerPreview, setTriggerPreview] = useState(null);
+  const [optionsJob, setOptionsJob] = useState(null);
+  const [editingJobId, setEditingJobId] = useState(null);
+  const [selectedJobIds, setSelectedJobIds] = useState(new Set());
+  // { action, jobs }: the selection is captured when the dialog opens so
+  // its results stay listed while the table refreshes underneath
+  const [bulkAction, setBulkAction] = useState(null);
   const { toast } = useToast();
+  const navigate = useNavigate();
+  const { filterJobs } = useTeamScope();
+  // Only the user's teams' jobs are shown, counted or selectable
+  const jobs = useMemo(() => filterJobs(allJobs), [allJobs, filterJobs]);
+  const pagination = usePagination(jobs);
+  const { can } = usePermissions();
+  const { showUndoToast } = useDeleteUndo(() => fetchJobs());
+  const canOperate = can('jobs.operate');
+  const canConfigure = can('jobs.configure');
+
+  const enrichJob = async (job) => {
+    // Get monitor status and action status
+    const monitorStatus = job.triggers?.[0]?.monitor?.status?.state;
+    const actionStatus = job.actions?.[0]?.status?.state;
+    
+    // Prioritize IN_PROGRESS status
+    let jobStatus = 'READY';
+    if (monitorStatus) {
+      jobStatus = monitorStatus;
+    } else if (actionStatus) {
+      jobStatus = actionStatus;
+    }
+
+    let transferDetails = null;
+    // Only fetch transfer details if the job is in progress
+    if (jobStatus === 'IN_PROGRESS') {
+      transferDetails = await getTransferDetails(job.jobId);
+    }
   
+    // Clean up the job name
+    const jobName = job.name || 'Unnamed Job';
+    const cleanName = jobName
+      .replace('Hot Folder - ', '')
+      .replace(/\s+-\s+\d{8}_\d{6}$/, '');
+  
+    return {
+      ...job,
+      jobId: job.jobId,
+      name: cleanName,
+      platformName: job.name,
+      status: jobStatus,
+      // For display only; the concurrency check needs the job's own lastModifiedOn
+      modifiedOn: job.lastModifiedOn || job.modifiedOn || job.createdOn,
+      transferDetails,
+      activeAlerts: job.activeAlerts || [],
+      actions: job.actions || [],
+      createdByAuthId: job.createdByAuthId,
+      lastModifiedByAuthId: job.lastModifiedByAuthId,
+      createdOn: job.createdOn,
+      triggerType: job.triggers?.[0]?.type || 'MANUAL'
+    };
+  };
+
   const fetchJobs = async () => {
+    // Show jobs page by page on the first load; later refreshes swap the
+    // whole list in at once so the table does not shrink while polling.
+    const progressive = allJobs.length === 0;
+    setIsLoadingMore(progressive);
     try {
-      const headers = await getAuthHeaders();
-      const response = await fetch(`${import.meta.env.VITE_SIGNIANT_API_URL}/v1/jobs`, {
-        headers
-      });
-  
-      if (!response.ok) {
-        throw new Error('Failed to fetch jobs');
-      }
-  
-      const data = await response.json();
-      const jobsWithDetails = await Promise.all(data.items.map(async (job) => {
-        // Get monitor status and action status
-        const monitorStatus = job.triggers?.[0]?.monitor?.status?.state;
-        const actionStatus = job.actions?.[0]?.status?.state;
-        
-        // Prioritize IN_PROGRESS status
-        let jobStatus = 'READY';
-        if (monitorStatus) {
-          jobStatus = monitorStatus;
-        } else if (actionStatus) {
-          jobStatus = actionStatus;
+      let loadedJobs = [];
+      for await (const page of SigniantApi.jobs.pages()) {
+        const enrichedPage = await Promise.all(page.map(enrichJob));
+        loadedJobs = [...loadedJobs, ...enrichedPage];
+        if (progressive) {
+          setAllJobs(loadedJobs);
+          setIsLoading(false);
         }
+      }
 
-        let transferDetails = null;
-        // Only fetch transfer details if the job is in progress
-        if (jobStatus === 'IN_PROGRESS') {
-          transferDetails = await getTransferDetails(job.jobId);
-        }
-  
-        // Clean up the job name
-        const jobName = job.name || 'Unnamed Job';
-        const cleanName = jobName
-          .replace('Hot Folder - ', '')
-          .replace(/\s+-\s+\d{8}_\d{6}$/, '');
-  
-        return {
-          ...job,
-          jobId: job.jobId,
-          name: cleanName,
-          status: jobStatus,
-          lastModifiedOn: job.lastModifiedOn || job.modifiedOn || job.createdOn,
-          transferDetails,
-          activeAlerts: job.activeAlerts || [],
-          actions: job.actions || [],
-          createdByAuthId: job.createdByAuthId,
-          lastModifiedByAuthId: job.lastModifiedByAuthId,
-          createdOn: job.createdOn,
-          triggerType: job.triggers?.[0]?.type || 'MANUAL'
-        };
-      }));
-  
-      setJobs(jobsWithDetails);
+      setAllJobs(loadedJobs);
     } catch (error) {
       console.error('Error fetching jobs:', error);
       setError(error.message);
-      toast({
-        title: "Error",
-        description: "Failed to load jobs",
-        variant: "destructive",
-      });
+      if (!isConnectionLost(error)) {
+        toast({
+          title: "Error",
+          description: "Failed to load jobs",
+          variant: "destructive",
+        });
+      }
     } finally {
       setIsLoading(false);
+      setIsLoadingMore(false);
     }
   };
 
   useEffect(() => {
     fetchJobs();
-    const interval = setInterval(() => {
-      const hasActiveTransfers = jobs.some(job => job.status === 'IN_PROGRESS');
-      if (hasActiveTransfers) {
-        fetchJobs();
-      }
-    }, 5000);
+  }, []);
 
+  useEffect(() => {
+    const hasActiveTransfers = jobs.some(job => job.status === 'IN_PROGRESS');
+    if (!hasActiveTransfers) return;
+
+    const interval = setInterval(fetchJobs, 5000);
     return () => clearInterval(interval);
   }, [jobs]);
 
@@ -184,11 +176,8 @@ const JobsPage = () => {
 
   const handleDeleteConfirm = async (confirmText) => {
     try {
-      await deleteJob(selectedJob.jobId, confirmText);
-      toast({
-        title: "Success",
-        description: "Job deleted successfully",
-      });
+      const snapshot = await deleteJob(selectedJob.jobId, confirmText);
+      showUndoToast([snapshot], `Job "${snapshot.jobName}" deleted`);
       fetchJobs();
     } catch (error) {
       console.error('Error deleting job:', error);
@@ -201,13 +190,36 @@ const JobsPage = () => {
     }
   };
 
-  const handleHotFolderClick = async (e, job) => {
+  // Trigger changes are planned first so the diff can be reviewed before
+  // anything is sent
+  const handleTriggerChangeClick = async (e, job, mode) => {
     e.stopPropagation();
     try {
-      await updateJobTrigger(job.jobId);
+      const plan = mode === 'stop'
+        ? await planFolderPause(job.jobId)
+        : await planFolderStart(job.jobId);
+      setTriggerPreview({ mode, plan });
+    } catch (error) {
+      console.error('Error preparing trigger change:', error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to load job triggers",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleTriggerChangeConfirm = async () => {
+    const { mode, plan } = triggerPreview;
+    try {
+      await applyTriggerPlan(plan);
       toast({
         title: "Success",
-        description: "Job trigger updated to HOT FOLDER",
+        description: mode === 'stop'
+          ? "Hot folder stopped; its triggers were saved"
+          : plan.restoresSavedTriggers
+            ? "Hot folder started with its original triggers"
+            : "Job trigger updated to HOT FOLDER",
       });
       fetchJobs();
     } catch (error) {
@@ -217,6 +229,74 @@ const JobsPage = () => {
         description: error.message || "Failed to update job trigger",
         variant: "destructive",
       });
+      throw error;
+    }
+  };
+
+  const handleEditClick = (e, job) => {
+    e.stopPropagation();
+    setEditingJobId(job.jobId);
+  };
+
+  // Cloning happens in the create form so the copy can be adjusted first
+  const handleCloneClick = (e, job) => {
+    e.stopPropagation();
+    navigate('/transfers', { state: { cloneJobId: job.jobId } });
+  };
+
+  const toggleJobSelection = (jobId) => {
+    setSelectedJobIds(current => {
+      const next = new Set(current);
+      if (next.has(jobId)) {
+        next.delete(jobId);
+      } else {
+        next.add(jobId);
+      }
+      return next;
+    });
+  };
+
+  const togglePageSelection = (selectAll) => {
+    setSelectedJobIds(current => {
+      const next = new Set(current);
+      pagination.pageItems.forEach(job => (selectAll ? next.add(job.jobId) : next.delete(job.jobId)));
+      return next;
+    });
+  };
+
+  const handleBulkFinished = (succeededJobIds, snapshots) => {
+    if (bulkAction.action === 'delete') {
+      setSelectedJobIds(current => new Set([...current].filter(jobId => !succeededJobIds.includes(jobId))));
+      if (snapshots.length > 0) {
+        showUndoToast(snapshots, `${snapshots.length} job${snapshots.length === 1 ? '' : 's'} deleted`);
+      }
+    }
+    fetchJobs();
+  };
+
+  const handleTransferOptionsClick = (e, job) => {
+    e.stopPropagation();
+    setOptionsJob(job);
+  };
+
+  const handleTransferOptionsSave = async (settings) => {
+    try {
+      await updateJobTransferSettings(optionsJob.jobId, settings, {
+        lastModifiedOn: optionsJob.lastModifiedOn
+      });
+      toast({
+        title: "Success",
+        description: "Transfer options updated",
+      });
+      fetchJobs();
+    } catch (error) {
+      console.error('Error updating transfer options:', error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to update transfer options",
+        variant: "destructive",
+      });
+      throw error;
     }
   };
 
@@ -361,6 +441,10 @@ const JobsPage = () => {
   }
 
   const stats = getJobStats();
+  // Jobs that disappeared since they were selected are dropped silently
+  const selectedJobs = jobs.filter(job => selectedJobIds.has(job.jobId));
+  const pageFullySelected = pagination.pageItems.length > 0 &&
+    pagination.pageItems.every(job => selectedJobIds.has(job.jobId));
 
   return (
     <div className="p-4">
@@ -418,10 +502,54 @@ const JobsPage = () => {
         </div>
       )}
 
+      {selectedJobs.length > 0 && (
+        <div className="flex items-center gap-3 mb-3 rounded-lg bg-blue-50 dark:bg-blue-900/20 px-4 py-2 text-sm text-blue-800 dark:text-blue-300">
+          <span className="font-medium">{selectedJobs.length} selected</span>
+          <Button size="sm" variant="outline" disabled={!canOperate} onClick={() => setBulkAction({ action: 'pause', jobs: selectedJobs })}>
+            <Pause className="h-4 w-4 mr-2" />
+            Pause
+          </Button>
+          <Button size="sm" variant="outline" disabled={!canOperate} onClick={() => setBulkAction({ action: 'start', jobs: selectedJobs })}>
+            <Play className="h-4 w-4 mr-2" />
+            Start
+          </Button>
+          <Button size="sm" variant="outline" disabled={!canOperate} onClick={() => setBulkAction({ action: 'hotFolder', jobs: selectedJobs })}>
+            <FolderInput className="h-4 w-4 mr-2" />
+            Hot Folder
+          </Button>
+          <Button size="sm" variant="outline" disabled={!canConfigure} onClick={() => setBulkAction({ action: 'clone', jobs: selectedJobs })}>
+            <Copy className="h-4 w-4 mr-2" />
+            Clone to...
+          </Button>
+          {can('jobs.delete') && (
+            <Button
+              size="sm"
+              variant="outline"
+              className="text-red-600 hover:text-red-700"
+              onClick={() => setBulkAction({ action: 'delete', jobs: selectedJobs })}
+            >
+              <Trash2 className="h-4 w-4 mr-2" />
+              Delete
+            </Button>
+          )}
+          <Button size="sm" variant="ghost" onClick={() => setSelectedJobIds(new Set())}>
+            Clear selection
+          </Button>
+        </div>
+      )}
+
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md overflow-hidden">
         <Table>
           <TableHeader>
             <TableRow className="bg-gray-50 dark:bg-gray-900 hover:bg-gray-50 dark:hover:bg-gray-900">
+              <TableHead className="w-8 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  aria-label="Select all jobs on this page"
+                  checked={pageFullySelected}
+                  onChange={(e) => togglePageSelection(e.target.checked)}
+                />
+              </TableHead>
               <TableHead className="w-8 dark:text-gray-300"></TableHead>
               <TableHead className="font-semibold dark:text-gray-300">NAME</TableHead>
               <TableHead className="font-semibold dark:text-gray-300">STATUS</TableHead>
@@ -433,7 +561,7 @@ const JobsPage = () => {
           </TableHeader>
 
           <TableBody>
-            {jobs.map(job => {
+            {pagination.pageItems.map(job => {
               const isExpanded = expandedRows.has(job.jobId);
               const destination = job.actions?.[0]?.data?.destination;
 
@@ -446,6 +574,14 @@ const JobsPage = () => {
                         : 'hover:bg-gray-50 dark:hover:bg-gray-700'
                     }`}
                   >
+                    <TableCell className="w-8">
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${job.name}`}
+                        checked={selectedJobIds.has(job.jobId)}
+                        onChange={() => toggleJobSelection(job.jobId)}
+                      />
+                    </TableCell>
                     <TableCell className="w-8 cursor-pointer dark:text-gray-300" onClick={() => toggleRowExpansion(job.jobId)}>
                       {isExpanded ? 
                         <ChevronDown className="h-4 w-4 text-blue-500" /> : 
@@ -479,36 +615,80 @@ const JobsPage = () => {
                       )}
                     </TableCell>
                     <TableCell className="text-gray-600 dark:text-gray-300 cursor-pointer" onClick={() => toggleRowExpansion(job.jobId)}>
-                      {formatDate(job.lastModifiedOn)}
+                      {formatDate(job.modifiedOn)}
                     </TableCell>
                     <TableCell>
                       <div className="flex space-x-2">
-                        {job.triggerType !== 'HOT_FOLDER' && (
+                        {job.triggerType === 'HOT_FOLDER' ? (
+                          <Button
+                            variant="outline"
+                            size="icon"
+                            title="Stop hot folder"
+                            className="h-8 w-8 text-yellow-600 hover:text-yellow-700 hover:bg-yellow-100 dark:border-gray-600 dark:hover:bg-gray-700"
+                            onClick={(e) => handleTriggerChangeClick(e, job, 'stop')}
+                            disabled={!canOperate}
+                          >
+                            <FolderX className="h-4 w-4" />
+                          </Button>
+                        ) : (
                           <Button
                             variant="outline"
                             size="icon"
+                            title="Start hot folder"
                             className="h-8 w-8 text-blue-500 hover:text-blue-700 hover:bg-blue-100 dark:border-gray-600 dark:hover:bg-gray-700"
-                            onClick={(e) => handleHotFolderClick(e, job)}
-                            disabled={job.status === 'IN_PROGRESS'}
+                            onClick={(e) => handleTriggerChangeClick(e, job, 'start')}
+                            disabled={!canOperate || job.status === 'IN_PROGRESS'}
                           >
                             <FolderInput className="h-4 w-4" />
                           </Button>
                         )}
                         <Button
-                          variant="ghost"
+                          variant="outline"
                           size="icon"
-                          className="h-8 w-8 text-red-500 hover:text-red-700 hover:bg-red-100 dark:hover:bg-red-900/20"
-                          onClick={(e) => handleDeleteClick(e, job)}
-                          disabled={job.status === 'IN_PROGRESS'}
+                          title="Edit job"
+                          className="h-8 w-8 text-gray-600 hover:text-gray-800 hover:bg-gray-100 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                          onClick={(e) => handleEditClick(e, job)}
+                          disabled={!canConfigure}
                         >
-                          <Trash2 className="h-4 w-4" />
+                          <Pencil className="h-4 w-4" />
                         </Button>
+                        <Button
+                          variant="outline"
+                          size="icon"
+                          title="Clone job"
+                          className="h-8 w-8 text-gray-600 hover:text-gray-800 hover:bg-gray-100 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                          onClick={(e) => handleCloneClick(e, job)}
+                          disabled={!canConfigure}
+                        >
+                          <Copy className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="icon"
+                          title="Transfer options"
+                          className="h-8 w-8 text-gray-600 hover:text-gray-800 hover:bg-gray-100 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                          onClick={(e) => handleTransferOptionsClick(e, job)}
+                          disabled={!canConfigure}
+                        >
+                          <SlidersHorizontal className="h-4 w-4" />
+                        </Button>
+                        {can('jobs.delete') && (
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            className="h-8 w-8 text-red-500 hover:text-red-700 hover:bg-red-100 dark:hover:bg-red-900/20"
+                            onClick={(e) => handleDeleteClick(e, job)}
+                            disabled={job.status === 'IN_PROGRESS'}
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        )}
                       </div>
                     </TableCell>
                   </TableRow>
                   {isExpanded && (
                     <TableRow className="bg-blue-50 dark:bg-blue-900/20">
-                      <TableCell colSpan={7}>
+                      <TableCell colSpan={8}>
                         <div className="p-4 bg-gradient-to-r from-blue-50 to-white dark:from-blue-900/20 dark:to-gray-800 rounded-lg m-2 shadow-sm">
                           <h3 className="font-semibold text-blue-700 dark:text-blue-400 mb-4">Transfer Details</h3>
                           <div className="grid grid-cols-2 gap-6">
@@ -544,7 +724,7 @@ const JobsPage = () => {
                                 </div>
                                 <div>
                                   <p className="text-sm text-gray-700 dark:text-gray-300">Last Modified By: {job.lastModifiedByAuthId || 'N/A'}</p>
-                                  <p className="text-sm text-gray-700 dark:text-gray-300">Last Modified On: {formatDate(job.lastModifiedOn)}</p>
+                                  <p className="text-sm text-gray-700 dark:text-gray-300">Last Modified On: {formatDate(job.modifiedOn)}</p>
                                 </div>
                               </div>
                             </div>
@@ -567,16 +747,65 @@ const JobsPage = () => {
             })}
           </TableBody>
         </Table>
+        <TablePagination pagination={pagination} isLoadingMore={isLoadingMore} />
       </div>
 
       {deleteDialogOpen && (
-        <DeleteConfirmationDialog
-          isOpen={deleteDialogOpen}
+        <DeleteJobDialog
           onClose={() => setDeleteDialogOpen(false)}
           onConfirm={handleDeleteConfirm}
           jobName={selectedJob?.name}
         />
       )}
+
+      {editingJobId && (
+        <JobEditDrawer
+          jobId={editingJobId}
+          onSaved={fetchJobs}
+          onClose={() => setEditingJobId(null)}
+        />
+      )}
+
+      {bulkAction?.action === 'clone' && (
+        <BulkCloneDialog
+          jobs={bulkAction.jobs}
+          onCloned={fetchJobs}
+          onClose={() => setBulkAction(null)}
+        />
+      )}
+
+      {bulkAction && bulkAction.action !== 'clone' && (
+        <BulkJobActionDialog
+          action={bulkAction.action}
+          jobs={bulkAction.jobs}
+          onFinished={handleBulkFinished}
+          onClose={() => setBulkAction(null)}
+        />
+      )}
+
+      {optionsJob && (
+        <TransferOptionsDialog
+          job={optionsJob}
+          onSave={handleTransferOptionsSave}
+          onClose={() => setOptionsJob(null)}
+        />
+      )}
+
+      {triggerPreview && (
+        <ChangePreviewDialog
+          isOpen
+          title={triggerPreview.mode === 'stop' ? 'Stop hot folder' : 'Start hot folder'}
+          description={triggerPreview.mode === 'stop'
+            ? `"${triggerPreview.plan.jobName}" will be paused and switched to a manual trigger. Its current triggers are saved and restored when the hot folder is started again.`
+            : triggerPreview.plan.restoresSavedTriggers
+              ? `"${triggerPreview.plan.jobName}" will be resumed with the triggers it had when it was stopped.`
+              : `No saved triggers were found for "${triggerPreview.plan.jobName}", so a hot folder trigger with the standard events will be created.`}
+          diff={triggerPreview.plan.diff}
+          confirmLabel={triggerPreview.mode === 'stop' ? 'Stop hot folder' : 'Start hot folder'}
+          onConfirm={handleTriggerChangeConfirm}
+          onClose={() => setTriggerPreview(null)}
+        />
+      )}
     </div>
   );
 };
@@ -1,32 +1,87 @@
-import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { Card } from '../components/ui/card';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
 import { useToast } from '../components/ui/use-toast';
 import { Loader2 } from 'lucide-react';
 import { SigniantAuth } from '../services/auth';
+import { Mfa } from '../services/mfa';
+import MfaChallengeForm from '../components/MfaChallengeForm';
+import { getLockoutRemaining, recordLoginFailure, clearLoginFailures, LOCKOUT_MINUTES } from '../lib/loginThrottle';
+
+const lockoutText = (remainingMs) => {
+    const minutes = Math.ceil(remainingMs / 60000);
+    return `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}, or reset your password.`;
+};
 
 const LoginPage = () => {
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [isLoading, setIsLoading] = useState(false);
+    const [lockoutMessage, setLockoutMessage] = useState(null);
+    const [isChallenging, setIsChallenging] = useState(false);
     const { toast } = useToast();
     const navigate = useNavigate();
+    const location = useLocation();
+
+    // A session that signed in (with a password or Google) but has not
+    // entered its authenticator code yet is sent here by ProtectedRoute
+    useEffect(() => {
+        let cancelled = false;
+        const resumeChallenge = async () => {
+            try {
+                const session = await SigniantAuth.getSession();
+                if (!session) return;
+                const { currentLevel, nextLevel } = await Mfa.getAssuranceLevel();
+                if (!cancelled && nextLevel === 'aal2' && currentLevel !== 'aal2') {
+                    setEmail(session.user.email ?? '');
+                    setIsChallenging(true);
+                }
+            } catch (error) {
+                console.error('Failed to check for a pending two-factor challenge:', error);
+            }
+        };
+        resumeChallenge();
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const finishLogin = () => {
+        toast({
+            title: "Success",
+            description: "Successfully logged in",
+        });
+
+        navigate(location.state?.from || '/', { replace: true });
+    };
+
+    // Back out of the code step: the password-only session is signed out
+    const handleCancelChallenge = async () => {
+        setIsChallenging(false);
+        setPassword('');
+        try {
+            await SigniantAuth.logout();
+        } catch (error) {
+            console.error('Logout after cancelled challenge failed:', error);
+        }
+    };
 
     const handleLogin = async (e) => {
         e.preventDefault();
-        setIsLoading(true);
 
-        // Set default email and password if fields are empty
-        const defaultEmail = 'testing@test.com';
-        const defaultPassword = 'Password123';
+        const lockoutRemaining = getLockoutRemaining(email);
+        if (lockoutRemaining > 0) {
+            setLockoutMessage(lockoutText(lockoutRemaining));
+            return;
+        }
 
-        const loginEmail = email.trim() === '' ? defaultEmail : email;
-        const loginPassword = password.trim() === '' ? defaultPassword : password;
+        setIsLoading(true);
+        setLockoutMessage(null);
 
         try {
-            await SigniantAuth.login(loginEmail, loginPassword);
+            await SigniantAuth.login(email.trim(), password);
             
             // Check if authentication was successful
             const isAuthenticated = await SigniantAuth.isAuthenticated();
@@ -34,21 +89,34 @@ const LoginPage = () => {
                 throw new Error('Authentication failed. Please try again.');
             }
 
-            toast({
-                title: "Success",
-                description: "Successfully logged in",
-            });
+            clearLoginFailures(email);
 
-            navigate('/');
+            // Users with an authenticator app also have to enter a code
+            const { currentLevel, nextLevel } = await Mfa.getAssuranceLevel();
+            if (nextLevel === 'aal2' && currentLevel !== 'aal2') {
+                setIsChallenging(true);
+                return;
+            }
+
+            finishLogin();
         } catch (error) {
             console.error('Login error:', error);
             let errorMessage = error.message;
 
             // Handle specific error cases
             if (errorMessage.includes('Invalid login credentials')) {
-                errorMessage = 'Invalid email or password';
+                const { attemptsLeft, lockedUntil } = recordLoginFailure(email);
+                if (lockedUntil) {
+                    setLockoutMessage(lockoutText(lockedUntil - Date.now()));
+                    return;
+                }
+                errorMessage = attemptsLeft <= 2
+                    ? `Invalid email or password. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left before sign-in is locked for ${LOCKOUT_MINUTES} minutes.`
+                    : 'Invalid email or password';
             } else if (errorMessage.includes('Email not confirmed')) {
                 errorMessage = 'Please verify your email address before logging in';
+            } else if (/rate limit|too many/i.test(errorMessage)) {
+                errorMessage = 'Too many sign-in attempts from this network. Wait a few minutes and try again.';
             }
 
             toast({
@@ -75,6 +143,23 @@ const LoginPage = () => {
         }
     };
 
+    if (isChallenging) {
+        return (
+            <div className="min-h-screen flex items-center justify-center bg-gray-100">
+                <Card className="w-full max-w-md">
+                    <div className="p-6 space-y-6">
+                        <div className="text-center">
+                            <h1 className="text-2xl font-semibold">Two-Factor Authentication</h1>
+                            <p className="text-gray-500 mt-2">{email.trim()}</p>
+                        </div>
+
+                        <MfaChallengeForm onVerified={finishLogin} onCancel={handleCancelChallenge} />
+                    </div>
+                </Card>
+            </div>
+        );
+    }
+
     return (
         <div className="min-h-screen flex items-center justify-center bg-gray-100">
             <Card className="w-full max-w-md">
@@ -100,9 +185,18 @@ const LoginPage = () => {
                         </div>
 
                         <div className="space-y-2">
-                            <label className="text-sm font-medium">
-                                Password
-                            </label>
+                            <div className="flex justify-between items-center">
+                                <label className="text-sm font-medium">
+                                    Password
+                                </label>
+                                <Link
+                                    to="/forgot-password"
+                                    state={{ email }}
+                                    className="text-sm text-blue-600 hover:underline"
+                                >
+                                    Forgot password?
+                                </Link>
+                            </div>
                             <Input
                                 type="password"
                                 value={password}
@@ -113,6 +207,12 @@ const LoginPage = () => {
                             />
                         </div>
 
+                        {lockoutMessage && (
+                            <p role="alert" className="text-sm text-red-600">
+                                {lockoutMessage}
+                            </p>
+                        )}
+
                         <Button
                             type="submit"
                             className="w-full"
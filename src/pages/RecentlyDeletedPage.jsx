@@ -0,0 +1,165 @@
+import { Fragment, useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui/table';
+import { Badge } from '../components/ui/badge';
+import { Button } from '../components/ui/button';
+import { useToast } from '../components/ui/use-toast';
+import { TablePagination } from '../components/TablePagination';
+import { usePagination } from '../hooks/usePagination';
+import { restoreDeletedJob } from '../lib/signiant';
+import { recycleBin, RETENTION_DAYS } from '../lib/recycleBin';
+import { ChevronDown, ChevronRight, Loader2, RefreshCw, RotateCcw } from 'lucide-react';
+
+const RecentlyDeletedPage = () => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const { toast } = useToast();
+  const pagination = usePagination(snapshots);
+
+  const fetchSnapshots = async () => {
+    setIsLoading(true);
+    try {
+      setSnapshots(await recycleBin.list());
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSnapshots();
+  }, []);
+
+  const handleRestore = async (snapshot) => {
+    setRestoringId(snapshot.snapshotId);
+    try {
+      const job = await restoreDeletedJob(snapshot);
+      toast({
+        title: "Success",
+        description: `"${snapshot.jobName}" restored as job ${job.jobId}`,
+      });
+      fetchSnapshots();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to restore job",
+        variant: "destructive",
+      });
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="p-8 space-y-6 bg-gray-100 dark:bg-gray-900 min-h-screen">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold dark:text-white">Recently Deleted</h1>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Deleted jobs can be restored for {RETENTION_DAYS} days. A restored job gets a new job ID.
+          </p>
+        </div>
+        <Button onClick={fetchSnapshots} size="sm" variant="outline" className="dark:bg-gray-800 dark:text-white">
+          <RefreshCw className="w-4 h-4 mr-2" />
+          Refresh
+        </Button>
+      </div>
+
+      <Card className="dark:bg-gray-800 dark:border-gray-700">
+        <CardHeader>
+          <CardTitle className="dark:text-white">Deleted Jobs</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-gray-500" />
+            </div>
+          ) : snapshots.length === 0 ? (
+            <p className="text-center py-8 text-gray-500 dark:text-gray-400">No jobs deleted in the last {RETENTION_DAYS} days</p>
+          ) : (
+            <>
+              <Table>
+                <TableHeader>
+                  <TableRow className="dark:border-gray-700">
+                    <TableHead className="w-8" />
+                    <TableHead className="dark:text-gray-400">Job Name</TableHead>
+                    <TableHead className="dark:text-gray-400">Deleted</TableHead>
+                    <TableHead className="dark:text-gray-400">Deleted By</TableHead>
+                    <TableHead className="dark:text-gray-400">Status</TableHead>
+                    <TableHead className="dark:text-gray-400">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {pagination.pageItems.map((snapshot) => {
+                    const isExpanded = expandedId === snapshot.snapshotId;
+                    return (
+                      <Fragment key={snapshot.snapshotId}>
+                        <TableRow className="dark:border-gray-700 dark:hover:bg-gray-700/50">
+                          <TableCell>
+                            <button
+                              onClick={() => setExpandedId(isExpanded ? null : snapshot.snapshotId)}
+                              className="text-gray-500 dark:text-gray-400"
+                              aria-label={isExpanded ? 'Hide definition' : 'Show definition'}
+                            >
+                              {isExpanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                            </button>
+                          </TableCell>
+                          <TableCell className="font-medium dark:text-gray-200">
+                            {snapshot.jobName}
+                            <div className="text-xs font-mono text-gray-500 dark:text-gray-400">{snapshot.jobId}</div>
+                          </TableCell>
+                          <TableCell className="dark:text-gray-300">{new Date(snapshot.deletedAt).toLocaleString()}</TableCell>
+                          <TableCell className="dark:text-gray-300">{snapshot.deletedBy || 'This browser'}</TableCell>
+                          <TableCell>
+                            {snapshot.restoredJobId ? (
+                              <div>
+                                <Badge variant="secondary">Restored</Badge>
+                                <div className="text-xs font-mono text-gray-500 dark:text-gray-400 mt-1">
+                                  as {snapshot.restoredJobId}
+                                </div>
+                              </div>
+                            ) : (
+                              <Badge variant="outline" className="dark:text-gray-300">Deleted</Badge>
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => handleRestore(snapshot)}
+                              disabled={Boolean(snapshot.restoredJobId) || restoringId !== null}
+                            >
+                              {restoringId === snapshot.snapshotId ? (
+                                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                              ) : (
+                                <RotateCcw className="w-4 h-4 mr-2" />
+                              )}
+                              Restore
+                            </Button>
+                          </TableCell>
+                        </TableRow>
+                        {isExpanded && (
+                          <TableRow className="dark:border-gray-700">
+                            <TableCell colSpan={6}>
+                              <pre className="text-xs bg-gray-50 dark:bg-gray-900 dark:text-gray-300 p-3 rounded overflow-auto max-h-80">
+                                {JSON.stringify(snapshot.definition, null, 2)}
+                              </pre>
+                            </TableCell>
+                          </TableRow>
+                        )}
+                      </Fragment>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+              <TablePagination pagination={pagination} />
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default RecentlyDeletedPage;
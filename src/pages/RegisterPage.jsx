@@ -6,6 +6,7 @@ import { Input } from '../components/ui/input';
 import { useToast } from '../components/ui/use-toast';
 import { Loader2 } from 'lucide-react';
 import { SigniantAuth } from '../services/auth';
+import { validatePassword, PASSWORD_REQUIREMENTS } from '../lib/passwordPolicy';
 
 const RegisterPage = () => {
     const [email, setEmail] = useState('');
@@ -15,13 +16,6 @@ const RegisterPage = () => {
     const { toast } = useToast();
     const navigate = useNavigate();
 
-    const validatePassword = (password) => {
-        if (password.length < 6) {
-            return 'Password must be at least 6 characters long';
-        }
-        return null;
-    };
-
     const handleRegister = async (e) => {
         e.preventDefault();
         
@@ -36,7 +30,7 @@ const RegisterPage = () => {
         }
 
         // Validate password strength
-        const passwordError = validatePassword(password);
+        const passwordError = validatePassword(password, email);
         if (passwordError) {
             toast({
                 title: "Error",
@@ -53,7 +47,7 @@ const RegisterPage = () => {
             
             toast({
                 title: "Success",
-                description: "Registration successful. Please check your email for verification.",
+                description: "Registration successful. Please check your email for verification; an admin will approve your account.",
             });
 
             // Redirect to login page after successful registration
@@ -117,7 +111,7 @@ const RegisterPage = () => {
                                 className="w-full"
                             />
                             <p className="text-xs text-gray-500">
-                                Password must be at least 6 characters long
+                                {PASSWORD_REQUIREMENTS}
                             </p>
                         </div>
 
@@ -0,0 +1,172 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { Card } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { useToast } from '../components/ui/use-toast';
+import { Loader2 } from 'lucide-react';
+import { SigniantAuth } from '../services/auth';
+import { validatePassword, PASSWORD_REQUIREMENTS } from '../lib/passwordPolicy';
+import { clearLoginFailures } from '../lib/loginThrottle';
+
+// Supabase puts link errors (e.g. an expired link) in the URL hash
+const getLinkError = () => {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    return params.get('error_description');
+};
+
+// Where password reset and invitation emails land. Following the link signs
+// the user in, which is what allows the password to be changed here.
+const ResetPasswordPage = () => {
+    const [email, setEmail] = useState(null);
+    const [isChecking, setIsChecking] = useState(true);
+    const [linkError] = useState(getLinkError);
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const { toast } = useToast();
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        SigniantAuth.getSession()
+            .then(session => setEmail(session?.user?.email ?? null))
+            .catch(() => setEmail(null))
+            .finally(() => setIsChecking(false));
+
+        const { data: { subscription } } = SigniantAuth.onAuthStateChange((event, session) => {
+            if (session) setEmail(session.user.email);
+        });
+        return () => subscription.unsubscribe();
+    }, []);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (password !== confirmPassword) {
+            toast({
+                title: "Error",
+                description: "Passwords do not match",
+                variant: "destructive",
+            });
+            return;
+        }
+
+        const passwordError = validatePassword(password, email);
+        if (passwordError) {
+            toast({
+                title: "Error",
+                description: passwordError,
+                variant: "destructive",
+            });
+            return;
+        }
+
+        setIsLoading(true);
+
+        try {
+            await SigniantAuth.updatePassword(password);
+            clearLoginFailures(email);
+
+            toast({
+                title: "Success",
+                description: "Your password has been updated",
+            });
+
+            navigate('/');
+        } catch (error) {
+            toast({
+                title: "Error",
+                description: error.message || 'Failed to update password',
+                variant: "destructive",
+            });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const renderBody = () => {
+        if (isChecking) {
+            return (
+                <div className="flex justify-center py-4">
+                    <Loader2 className="h-6 w-6 animate-spin text-gray-500" />
+                </div>
+            );
+        }
+
+        if (!email) {
+            return (
+                <div className="space-y-4 text-center text-sm">
+                    <p>{linkError || 'This password reset link is invalid or has expired.'}</p>
+                    <Link to="/forgot-password" className="text-blue-600 hover:underline">
+                        Request a new link
+                    </Link>
+                </div>
+            );
+        }
+
+        return (
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <p className="text-sm text-gray-500 text-center">{email}</p>
+
+                <div className="space-y-2">
+                    <label className="text-sm font-medium">
+                        New Password
+                    </label>
+                    <Input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder="Enter a new password"
+                        required
+                        autoComplete="new-password"
+                        className="w-full"
+                    />
+                    <p className="text-xs text-gray-500">
+                        {PASSWORD_REQUIREMENTS}
+                    </p>
+                </div>
+
+                <div className="space-y-2">
+                    <label className="text-sm font-medium">
+                        Confirm Password
+                    </label>
+                    <Input
+                        type="password"
+                        value={confirmPassword}
+                        onChange={(e) => setConfirmPassword(e.target.value)}
+                        placeholder="Confirm your new password"
+                        required
+                        autoComplete="new-password"
+                        className="w-full"
+                    />
+                </div>
+
+                <Button
+                    type="submit"
+                    className="w-full"
+                    disabled={isLoading}
+                >
+                    {isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                    {isLoading ? 'Saving...' : 'Set Password'}
+                </Button>
+            </form>
+        );
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-100">
+            <Card className="w-full max-w-md">
+                <div className="p-6 space-y-6">
+                    <div className="text-center">
+                        <h1 className="text-2xl font-semibold">Choose a Password</h1>
+                        <p className="text-gray-500 mt-2">Set the password for your dashboard account</p>
+                    </div>
+
+                    {renderBody()}
+                </div>
+            </Card>
+        </div>
+    );
+};
+
+export default ResetPasswordPage;
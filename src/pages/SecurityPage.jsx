@@ -0,0 +1,217 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Badge } from '../components/ui/badge';
+import { Button } from '../components/ui/button';
+import { useToast } from '../components/ui/use-toast';
+import { ConfirmDialog } from '../components/ConfirmDialog';
+import MfaChallengeForm from '../components/MfaChallengeForm';
+import { Mfa } from '../services/mfa';
+import { useAssuranceLevel } from '../hooks/useAssuranceLevel';
+import { usePermissions } from '../hooks/usePermissions';
+import { requiresMfa } from '../lib/permissions';
+import { Loader2, Smartphone, Trash2 } from 'lucide-react';
+
+// Where users enrol and remove authenticator apps. Reached from the sidebar,
+// and from pages that need a second factor (which pass `from` in the
+// location state so the user is sent back once enrolled).
+const SecurityPage = () => {
+  const [factors, setFactors] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [enrollment, setEnrollment] = useState(null);
+  const [isStarting, setIsStarting] = useState(false);
+  const [factorToRemove, setFactorToRemove] = useState(null);
+  const { toast } = useToast();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const assurance = useAssuranceLevel();
+  const { role } = usePermissions();
+
+  const verifiedFactors = factors.filter(factor => factor.status === 'verified');
+
+  const fetchFactors = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setFactors(await Mfa.listTotpFactors());
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to load authenticator apps",
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    fetchFactors();
+  }, [fetchFactors]);
+
+  const handleStartEnrollment = async () => {
+    setIsStarting(true);
+    try {
+      // An abandoned enrolment leaves an unverified factor behind
+      for (const factor of factors.filter(f => f.status !== 'verified')) {
+        await Mfa.unenroll(factor.id);
+      }
+      setEnrollment(await Mfa.enrollTotp(`Authenticator app (${new Date().toLocaleString()})`));
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to set up the authenticator app",
+        variant: "destructive",
+      });
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const handleCancelEnrollment = async () => {
+    const { id } = enrollment;
+    setEnrollment(null);
+    try {
+      await Mfa.unenroll(id);
+    } catch (error) {
+      console.error('Failed to discard unverified factor:', error);
+    }
+    fetchFactors();
+  };
+
+  const handleEnrolled = async () => {
+    setEnrollment(null);
+    toast({
+      title: "Two-factor authentication enabled",
+      description: "You'll be asked for a code from your app when you sign in",
+    });
+    await Promise.all([fetchFactors(), assurance.refresh()]);
+    if (location.state?.from) {
+      navigate(location.state.from);
+    }
+  };
+
+  const handleRemove = async () => {
+    try {
+      await Mfa.unenroll(factorToRemove.id);
+      toast({ title: "Authenticator app removed" });
+      await Promise.all([fetchFactors(), assurance.refresh()]);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to remove the authenticator app",
+        variant: "destructive",
+      });
+      throw error;
+    }
+  };
+
+  return (
+    <div className="p-8 space-y-6 bg-gray-100 dark:bg-gray-900 min-h-screen">
+      <h1 className="text-2xl font-bold dark:text-white">Security</h1>
+
+      <Card className="dark:bg-gray-800 dark:border-gray-700">
+        <CardHeader>
+          <CardTitle className="dark:text-white flex items-center gap-2">
+            Two-Factor Authentication
+            {verifiedFactors.length > 0 ? (
+              <Badge variant="secondary">On</Badge>
+            ) : (
+              <Badge variant="outline">Off</Badge>
+            )}
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Use an authenticator app such as Google Authenticator, 1Password or Authy to generate
+            sign-in codes.
+            {requiresMfa(role) && ' Your role can delete jobs or manage users, which needs two-factor authentication.'}
+          </p>
+
+          {isLoading ? (
+            <div className="flex justify-center py-4">
+              <Loader2 className="h-6 w-6 animate-spin text-gray-500" />
+            </div>
+          ) : enrollment ? (
+            <div className="flex flex-wrap gap-8 items-start">
+              <div className="space-y-2">
+                <img
+                  src={enrollment.totp.qr_code}
+                  alt="QR code for your authenticator app"
+                  className="w-48 h-48 bg-white p-2 rounded"
+                />
+                <p className="text-xs text-gray-500 dark:text-gray-400 max-w-[12rem]">
+                  Can&apos;t scan it? Enter this key instead:
+                  <span className="block font-mono break-all text-gray-700 dark:text-gray-200 mt-1">
+                    {enrollment.totp.secret}
+                  </span>
+                </p>
+              </div>
+              <div className="flex-1 min-w-[240px] max-w-sm">
+                <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+                  Scan the QR code with your app, then enter the code it shows to finish.
+                </p>
+                <MfaChallengeForm
+                  enrollingFactorId={enrollment.id}
+                  onVerified={handleEnrolled}
+                  onCancel={handleCancelEnrollment}
+                />
+              </div>
+            </div>
+          ) : (
+            <>
+              {verifiedFactors.map(factor => (
+                <div
+                  key={factor.id}
+                  className="flex items-center justify-between rounded-md border p-3 dark:border-gray-700"
+                >
+                  <div className="flex items-center gap-3">
+                    <Smartphone className="h-5 w-5 text-gray-500 dark:text-gray-400" />
+                    <div>
+                      <div className="text-sm font-medium dark:text-gray-200">
+                        {factor.friendly_name || 'Authenticator app'}
+                      </div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        Added {new Date(factor.created_at).toLocaleString()}
+                      </div>
+                    </div>
+                  </div>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => setFactorToRemove(factor)}
+                    className="dark:bg-gray-700 dark:text-white"
+                  >
+                    <Trash2 className="w-4 h-4 mr-1" />
+                    Remove
+                  </Button>
+                </div>
+              ))}
+              {verifiedFactors.length > 0 && !assurance.isVerified && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Removing an app needs a session that has entered a code; sign out and back in first.
+                </p>
+              )}
+              <Button onClick={handleStartEnrollment} disabled={isStarting}>
+                {isStarting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                {verifiedFactors.length > 0 ? 'Add Another App' : 'Set Up Authenticator App'}
+              </Button>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {factorToRemove && (
+        <ConfirmDialog
+          title="Remove Authenticator App"
+          description={`Remove "${factorToRemove.friendly_name || 'Authenticator app'}"? You will no longer be asked for its codes.`}
+          confirmLabel="Remove"
+          destructive
+          onConfirm={handleRemove}
+          onClose={() => setFactorToRemove(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default SecurityPage;
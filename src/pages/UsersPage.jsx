@@ -0,0 +1,415 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui/table';
+import { Badge } from '../components/ui/badge';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { useToast } from '../components/ui/use-toast';
+import { TablePagination } from '../components/TablePagination';
+import { ConfirmDialog } from '../components/ConfirmDialog';
+import { usePagination } from '../hooks/usePagination';
+import { AdminUsers } from '../services/adminUsers';
+import { ROLES, ROLE_LABELS } from '../lib/permissions';
+import { KeyRound, Loader2, RefreshCw, UserPlus } from 'lucide-react';
+
+const STATUS_BADGES = {
+  pending: { label: 'Pending approval', variant: 'outline' },
+  active: { label: 'Active', variant: 'secondary' },
+  disabled: { label: 'Disabled', variant: 'destructive' }
+};
+
+const INITIAL_INVITE = { email: '', role: 'viewer', teamIds: [] };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+const TeamCheckboxes = ({ teams, selected, onChange }) => {
+  if (teams.length === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">No teams have been set up</p>;
+  }
+
+  const toggle = (teamId) => onChange(
+    selected.includes(teamId) ? selected.filter(id => id !== teamId) : [...selected, teamId]
+  );
+
+  return (
+    <div className="flex flex-wrap gap-x-4 gap-y-2">
+      {teams.map(team => (
+        <label key={team.id} className="flex items-center gap-2 text-sm dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={selected.includes(team.id)}
+            onChange={() => toggle(team.id)}
+          />
+          {team.name}
+        </label>
+      ))}
+    </div>
+  );
+};
+
+TeamCheckboxes.propTypes = {
+  teams: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  })).isRequired,
+  selected: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+const TeamsDialog = ({ user, teams, onSave, onClose }) => {
+  const [teamIds, setTeamIds] = useState(user.teamIds);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(teamIds);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-lg w-full mx-4">
+        <h2 className="text-lg font-semibold mb-1 dark:text-white">Teams</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">{user.email}</p>
+        <TeamCheckboxes teams={teams} selected={teamIds} onChange={setTeamIds} />
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-4">
+          Users in no team see every job. Admins always see every job.
+        </p>
+        <div className="flex justify-end gap-2 mt-6">
+          <Button variant="outline" onClick={onClose} disabled={isSaving} className="dark:bg-gray-700 dark:text-white">
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={isSaving}>
+            {isSaving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+            Save
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+TeamsDialog.propTypes = {
+  user: PropTypes.shape({
+    email: PropTypes.string.isRequired,
+    teamIds: PropTypes.arrayOf(PropTypes.string).isRequired
+  }).isRequired,
+  teams: TeamCheckboxes.propTypes.teams,
+  onSave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+const UsersPage = () => {
+  const [users, setUsers] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [invite, setInvite] = useState(INITIAL_INVITE);
+  const [isInviting, setIsInviting] = useState(false);
+  const [busyUserId, setBusyUserId] = useState(null);
+  const [editingTeamsFor, setEditingTeamsFor] = useState(null);
+  const [userToReset, setUserToReset] = useState(null);
+  const { toast } = useToast();
+
+  // Pending registrations first, so they are not missed
+  const sortedUsers = [...users].sort((a, b) =>
+    (a.status === 'pending' ? 0 : 1) - (b.status === 'pending' ? 0 : 1) ||
+    a.email.localeCompare(b.email)
+  );
+  const pagination = usePagination(sortedUsers);
+  const teamNames = new Map(teams.map(team => [team.id, team.name]));
+
+  const fetchUsers = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const [userList, teamList] = await Promise.all([AdminUsers.list(), AdminUsers.listTeams()]);
+      setUsers(userList);
+      setTeams(teamList);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to load users",
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const updateUser = async (user, changes, successMessage) => {
+    setBusyUserId(user.id);
+    try {
+      await AdminUsers.update(user.id, changes);
+      setUsers(current => current.map(u => (u.id === user.id ? { ...u, ...changes } : u)));
+      toast({ title: "User updated", description: successMessage });
+      return true;
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to update user",
+        variant: "destructive",
+      });
+      return false;
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setIsInviting(true);
+    try {
+      await AdminUsers.invite({ ...invite, email: invite.email.trim() });
+      toast({
+        title: "Invitation sent",
+        description: `${invite.email.trim()} will get an email to set their password`,
+      });
+      setInvite(INITIAL_INVITE);
+      fetchUsers();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to invite user",
+        variant: "destructive",
+      });
+    } finally {
+      setIsInviting(false);
+    }
+  };
+
+  const handlePasswordReset = async () => {
+    const user = userToReset;
+    setBusyUserId(user.id);
+    try {
+      await AdminUsers.forcePasswordReset(user.id);
+      toast({
+        title: "Password reset forced",
+        description: `${user.email} was signed out and will get an email with a reset link`,
+      });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to force a password reset",
+        variant: "destructive",
+      });
+      throw error;
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleSaveTeams = async (teamIds) => {
+    const user = editingTeamsFor;
+    if (await updateUser(user, { teamIds }, `Saved teams for ${user.email}`)) {
+      setEditingTeamsFor(null);
+    }
+  };
+
+  return (
+    <div className="p-8 space-y-6 bg-gray-100 dark:bg-gray-900 min-h-screen">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold dark:text-white">Users</h1>
+        <Button onClick={fetchUsers} size="sm" variant="outline" className="dark:bg-gray-800 dark:text-white">
+          <RefreshCw className="w-4 h-4 mr-2" />
+          Refresh
+        </Button>
+      </div>
+
+      <Card className="dark:bg-gray-800 dark:border-gray-700">
+        <CardHeader>
+          <CardTitle className="dark:text-white">Invite a User</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleInvite} className="space-y-4">
+            <div className="flex flex-wrap gap-4 items-center">
+              <div className="flex-1 min-w-[240px]">
+                <Input
+                  type="email"
+                  required
+                  placeholder="Email address"
+                  value={invite.email}
+                  onChange={(e) => setInvite(current => ({ ...current, email: e.target.value }))}
+                  className="w-full dark:bg-gray-800 dark:text-white dark:border-gray-700"
+                />
+              </div>
+              <Select value={invite.role} onValueChange={(role) => setInvite(current => ({ ...current, role }))}>
+                <SelectTrigger className="w-[150px] dark:bg-gray-800 dark:text-white dark:border-gray-700">
+                  <SelectValue placeholder="Role" />
+                </SelectTrigger>
+                <SelectContent className="dark:bg-gray-800 dark:border-gray-700">
+                  {ROLES.map(role => (
+                    <SelectItem key={role} value={role}>{ROLE_LABELS[role]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button type="submit" disabled={isInviting || !invite.email.trim()}>
+                {isInviting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <UserPlus className="w-4 h-4 mr-2" />}
+                Send Invite
+              </Button>
+            </div>
+            <TeamCheckboxes
+              teams={teams}
+              selected={invite.teamIds}
+              onChange={(teamIds) => setInvite(current => ({ ...current, teamIds }))}
+            />
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card className="dark:bg-gray-800 dark:border-gray-700">
+        <CardHeader>
+          <CardTitle className="dark:text-white">Accounts</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-gray-500" />
+            </div>
+          ) : users.length === 0 ? (
+            <p className="text-center py-8 text-gray-500 dark:text-gray-400">No users yet</p>
+          ) : (
+            <>
+              <Table>
+                <TableHeader>
+                  <TableRow className="dark:border-gray-700">
+                    <TableHead className="dark:text-gray-400">Email</TableHead>
+                    <TableHead className="dark:text-gray-400">Status</TableHead>
+                    <TableHead className="dark:text-gray-400">Role</TableHead>
+                    <TableHead className="dark:text-gray-400">Teams</TableHead>
+                    <TableHead className="dark:text-gray-400">Last Sign-in</TableHead>
+                    <TableHead className="dark:text-gray-400">Created</TableHead>
+                    <TableHead className="dark:text-gray-400">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {pagination.pageItems.map((user) => {
+                    const isBusy = busyUserId === user.id;
+                    const badge = STATUS_BADGES[user.status] || STATUS_BADGES.pending;
+                    return (
+                      <TableRow key={user.id} className="dark:border-gray-700 dark:hover:bg-gray-700/50">
+                        <TableCell className="dark:text-gray-200">
+                          {user.email}
+                          {user.invitedAt && !user.emailConfirmedAt && (
+                            <div className="text-xs text-gray-500 dark:text-gray-400">Invitation not yet accepted</div>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          <Badge variant={badge.variant}>{badge.label}</Badge>
+                        </TableCell>
+                        <TableCell>
+                          <Select
+                            value={user.role}
+                            disabled={isBusy}
+                            onValueChange={(role) => updateUser(user, { role }, `${user.email} is now ${ROLE_LABELS[role]}`)}
+                          >
+                            <SelectTrigger className="w-[130px] dark:bg-gray-800 dark:text-white dark:border-gray-700">
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent className="dark:bg-gray-800 dark:border-gray-700">
+                              {ROLES.map(role => (
+                                <SelectItem key={role} value={role}>{ROLE_LABELS[role]}</SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </TableCell>
+                        <TableCell className="dark:text-gray-300">
+                          <button
+                            onClick={() => setEditingTeamsFor(user)}
+                            disabled={isBusy}
+                            className="text-left hover:underline"
+                          >
+                            {user.teamIds.length > 0
+                              ? user.teamIds.map(id => teamNames.get(id) || id).join(', ')
+                              : <span className="text-gray-500 dark:text-gray-400">None</span>}
+                          </button>
+                        </TableCell>
+                        <TableCell className="dark:text-gray-300 whitespace-nowrap">{formatDate(user.lastSignInAt)}</TableCell>
+                        <TableCell className="dark:text-gray-300 whitespace-nowrap">{formatDate(user.createdAt)}</TableCell>
+                        <TableCell>
+                          <div className="flex gap-2">
+                            {user.status === 'pending' && (
+                              <Button
+                                size="sm"
+                                disabled={isBusy}
+                                onClick={() => updateUser(user, { status: 'active' }, `Approved ${user.email}`)}
+                              >
+                                Approve
+                              </Button>
+                            )}
+                            {user.status === 'disabled' ? (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                disabled={isBusy}
+                                onClick={() => updateUser(user, { status: 'active' }, `Enabled ${user.email}`)}
+                                className="dark:bg-gray-700 dark:text-white"
+                              >
+                                Enable
+                              </Button>
+                            ) : (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                disabled={isBusy}
+                                onClick={() => updateUser(user, { status: 'disabled' }, `Disabled ${user.email}`)}
+                                className="dark:bg-gray-700 dark:text-white"
+                              >
+                                Disable
+                              </Button>
+                            )}
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              disabled={isBusy}
+                              title="Sign out and email a password reset link"
+                              onClick={() => setUserToReset(user)}
+                              className="dark:bg-gray-700 dark:text-white"
+                            >
+                              <KeyRound className="w-4 h-4 mr-1" />
+                              Reset Password
+                            </Button>
+                          </div>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+              <TablePagination pagination={pagination} />
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {editingTeamsFor && (
+        <TeamsDialog
+          user={editingTeamsFor}
+          teams={teams}
+          onSave={handleSaveTeams}
+          onClose={() => setEditingTeamsFor(null)}
+        />
+      )}
+
+      {userToReset && (
+        <ConfirmDialog
+          title="Force Password Reset"
+          description={`Sign ${userToReset.email} out everywhere and email them a reset link? Their current password stops working now.`}
+          confirmLabel="Reset Password"
+          destructive
+          onConfirm={handlePasswordReset}
+          onClose={() => setUserToReset(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default UsersPage;
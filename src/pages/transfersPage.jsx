@@ -1,4 +1,5 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Progress } from '../components/ui/progress';
 import { Badge } from '../components/ui/badge';
@@ -11,9 +12,41 @@ import {
   SelectTrigger, 
   SelectValue 
 } from '../components/ui/select';
-import { Pause, Play, RefreshCw, Search, Loader2, Flame } from 'lucide-react';
+import { RefreshCw, Search, Loader2, Flame, ChevronDown, ChevronRight, FileUp, Copy, X } from 'lucide-react';
 import { useToast } from '../components/ui/use-toast';
-import { getAuthHeaders } from '../lib/auth-utils';
+import { SigniantApi, buildCloneBody, collectAll, isConnectionLost } from '../lib/signiant';
+import { TablePagination } from '../components/TablePagination';
+import { usePagination } from '../hooks/usePagination';
+import { useJobLifecycle } from '../hooks/useJobLifecycle';
+import { JobLifecycleControls } from '../components/JobLifecycleControls';
+import { ObjectPatternsFields } from '../components/ObjectPatternsFields';
+import { StorageBrowser } from '../components/StorageBrowser';
+import { StorageProfileSelect } from '../components/StorageProfileSelect';
+import { DestinationPathField } from '../components/DestinationPathField';
+import { TransferOptionsEditor } from '../components/TransferOptionsEditor';
+import { JobTemplateBar } from '../components/JobTemplateBar';
+import { usePermissions } from '../hooks/usePermissions';
+import { useTeamScope } from '../hooks/useTeamScope';
+import { SaveTemplateDialog } from '../components/SaveTemplateDialog';
+import { BulkCreateDialog } from '../components/BulkCreateDialog';
+import { ConfirmDialog } from '../components/ConfirmDialog';
+import { ManifestImportDialog } from '../components/ManifestImportDialog';
+import { SigniantAuth } from '../services/auth';
+import { JobTemplates } from '../services/templates';
+import { settingsFromActionData } from '../lib/transferOptions';
+import { getCombinationError, getProfileTypeInfo } from '../lib/storageProfileTypes';
+import { deriveJobName, parseList, storageObjectToInclusion } from '../lib/objectPatterns';
+import {
+  applyDraftToActionData,
+  createEmptyDraft,
+  draftFromJob,
+  evaluateDraft,
+  loadAllowedExtensions,
+  normalizeDraft,
+  saveAllowedExtensions
+} from '../lib/jobDraft';
+
+const emptyDraft = () => createEmptyDraft({ allowedExtensions: loadAllowedExtensions() });
 
 const formatDate = (dateString) => {
   if (!dateString) return 'N/A';
@@ -48,135 +81,245 @@ const formatDate = (dateString) => {
 };
 
 const TransferManager = () => {
-  const [transfers, setTransfers] = useState([]);
+  const [allTransfers, setAllTransfers] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
   const [statusFilter, setStatusFilter] = useState("all");
-  const [selectedSource, setSelectedSource] = useState('');
-  const [selectedDestination, setSelectedDestination] = useState('');
-  const [fileName, setFileName] = useState('');
+  const [draft, setDraft] = useState(emptyDraft);
+  const [browserOpen, setBrowserOpen] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
-  const [sources, setSources] = useState([]);
-  const [destinations, setDestinations] = useState([]);
+  const [allProfiles, setAllProfiles] = useState([]);
+  const [userEmail, setUserEmail] = useState('');
+  const [userId, setUserId] = useState(null);
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  // The template version the form was last loaded from, if any
+  const [templateRef, setTemplateRef] = useState(null);
+  const [templateDialog, setTemplateDialog] = useState(null);
+  // Set while the manifest import is open: the form's extensions and options
+  // at the time, applied to every imported row
+  const [manifestBaseDraft, setManifestBaseDraft] = useState(null);
+  // The job being cloned; its triggers and other settings carry over
+  const [cloneSource, setCloneSource] = useState(null);
   const { toast } = useToast();
+  const { can } = usePermissions();
+  const canConfigure = can('jobs.configure');
+  // Pickers, manifests and templates only resolve the user's teams' profiles
+  const { filterJobs, filterProfiles } = useTeamScope();
+  const profiles = useMemo(() => filterProfiles(allProfiles), [allProfiles, filterProfiles]);
+  const transfers = useMemo(() => filterJobs(allTransfers), [allTransfers, filterJobs]);
+  const location = useLocation();
+  const navigate = useNavigate();
+  const cloneJobId = location.state?.cloneJobId;
+
+  const setDraftField = (field) => (value) => setDraft(current => ({ ...current, [field]: value }));
+
+  const evaluation = useMemo(
+    () => evaluateDraft(draft, { profiles, userEmail }),
+    [draft, profiles, userEmail]
+  );
+  const { selection, sourceProfile, destinationProfile, combinationError } = evaluation;
+  const destinationType = destinationProfile && getProfileTypeInfo(destinationProfile.storageProfileType);
+  // Hold back "add at least one file" until the user has started typing
+  const hasPatternInput = selection.fileNames.length > 0 ||
+    selection.inclusions.length > 0 ||
+    selection.exclusions.length > 0;
 
-  const fileNameWithWildcard = `**/${fileName}`;
+  useEffect(() => {
+    saveAllowedExtensions(draft.patterns.allowedExtensions);
+  }, [draft.patterns.allowedExtensions]);
+
+  const handleBrowserSelect = (objects) => {
+    const inclusions = [
+      ...parseList(draft.patterns.inclusions),
+      ...objects.map(storageObjectToInclusion)
+    ];
+    setDraftField('patterns')({ ...draft.patterns, inclusions: [...new Set(inclusions)].join('\n') });
+    setBrowserOpen(false);
+  };
 
   useEffect(() => {
     const fetchProfiles = async () => {
       try {
-        const headers = await getAuthHeaders();
-        const response = await fetch(
-          "https://platform-api-service.services.cloud.signiant.com/v1/storageProfiles",
-          {
-            method: 'GET',
-            headers: headers
-          }
-        );
-
-        if (!response.ok) {
-          throw new Error('Failed to fetch profiles');
-        }
+        const data = await SigniantApi.storageProfiles.list();
 
-        const data = await response.json();
-        
-        const sourceProfiles = data.items
-          .filter(profile => 
-            profile.storageProfileId && 
-            profile.storageProfileType === 'ON_PREMISE_FILE_STORAGE'
-          )
-          .sort((a, b) => a.name.localeCompare(b.name));
-
-        const destinationProfiles = data.items
-          .filter(profile =>
-            profile.storageProfileId &&
-            profile.storageProfileType === 'AWS_S3'
-          )
-          .sort((a, b) => a.name.localeCompare(b.name));
-
-        setSources(sourceProfiles);
-        setDestinations(destinationProfiles);
+        // Every profile type can be used on either side; unsupported pairs
+        // are ruled out in the selects
+        setAllProfiles(data.items.filter(profile => profile.storageProfileId));
       } catch (error) {
         console.error('Failed to fetch profiles:', error);
-        toast({
-          title: "Error",
-          description: "Failed to fetch profiles. Please try again.",
-          variant: "destructive",
-        });
+        if (!isConnectionLost(error)) {
+          toast({
+            title: "Error",
+            description: "Failed to fetch profiles. Please try again.",
+            variant: "destructive",
+          });
+        }
       }
     };
 
     fetchProfiles();
   }, []);
 
-  const fetchData = async () => {
-    try {
-      const headers = await getAuthHeaders();
-      
-      const [jobsResponse, profilesResponse] = await Promise.all([
-        fetch('https://platform-api-service.services.cloud.signiant.com/v1/jobs', { headers }),
-        fetch('https://platform-api-service.services.cloud.signiant.com/v1/storageProfiles', { headers })
-      ]);
+  useEffect(() => {
+    SigniantAuth.getSession()
+      .then(session => {
+        setUserEmail(session?.user?.email || '');
+        setUserId(session?.user?.id ?? null);
+      })
+      .catch(() => setUserEmail(''));
+  }, []);
 
-      const [jobsData, profilesData] = await Promise.all([
-        jobsResponse.json(),
-        profilesResponse.json()
-      ]);
+  // JobsPage's Clone action navigates here with the job to copy
+  useEffect(() => {
+    if (!cloneJobId) return;
+    // Drop the state so a refresh does not start another clone
+    navigate(location.pathname, { replace: true, state: null });
+
+    SigniantApi.jobs.get(cloneJobId)
+      .then(job => {
+        setCloneSource(job);
+        setTemplateRef(null);
+        setDraft({
+          ...draftFromJob(job, { allowedExtensions: loadAllowedExtensions() }),
+          jobName: `${job.name} (copy)`
+        });
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+      })
+      .catch(error => {
+        toast({
+          title: "Error",
+          description: `Failed to load the job to clone: ${error.message}`,
+          variant: "destructive",
+        });
+      });
+  }, [cloneJobId, location.pathname, navigate, toast]);
 
-      const enrichedTransfers = jobsData.items.map(job => ({
-        ...job,
-        sourceProfile: profilesData.items.find(p => p.storageProfileId === job.actions?.[0]?.data?.source?.storageProfileId),
-        destinationProfile: profilesData.items.find(p => p.storageProfileId === job.actions?.[0]?.data?.destination?.storageProfileId)
-      }));
+  const cancelClone = () => {
+    setCloneSource(null);
+    setDraft(emptyDraft());
+  };
 
-      setTransfers(enrichedTransfers);
+  const fetchTemplates = useCallback(async () => {
+    try {
+      setTemplates(await JobTemplates.list());
     } catch (error) {
       toast({
         title: "Error",
-        description: error.message,
-        variant: "destructive"
+        description: `Failed to load templates: ${error.message}`,
+        variant: "destructive",
       });
     }
-  };
+  }, [toast]);
 
   useEffect(() => {
-    fetchData();
-  }, []);
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const selectedTemplate = templateRef && templates.find(template => template.id === templateRef.templateId);
+  const selectedVersion = selectedTemplate?.versions.find(({ version }) => version === templateRef.version);
+
+  const handleTemplateChange = (ref) => {
+    const template = templates.find(t => t.id === ref.templateId);
+    const version = template.versions.find(v => v.version === ref.version);
+    setTemplateRef(ref);
+    setCloneSource(null);
+    setDraft(normalizeDraft(version.definition));
+  };
 
-  const handleJobAction = async (jobId, action) => {
+  const handleTemplateSave = async ({ asNewVersion, name, description, shared }) => {
     try {
-      const headers = await getAuthHeaders();
-      await fetch(
-        `https://platform-api-service.services.cloud.signiant.com/v1/jobs/${jobId}`,
-        {
-          method: 'PATCH',
-          headers,
-          body: JSON.stringify({ status: action })
+      let saved;
+      if (asNewVersion) {
+        const { id } = selectedTemplate;
+        saved = await JobTemplates.saveVersion(id, draft);
+        if (name !== selectedTemplate.name || description !== selectedTemplate.description || shared !== selectedTemplate.shared) {
+          await JobTemplates.updateDetails(id, { name, description, shared });
         }
-      );
-      
+      } else {
+        saved = await JobTemplates.create({ name, description, shared, definition: draft });
+      }
+      setTemplateRef({ templateId: saved.id, version: saved.current_version });
+      await fetchTemplates();
       toast({
-        title: "Success",
-        description: `Job ${action.toLowerCase()} successfully`
+        title: "Template saved",
+        description: `${name} (version ${saved.current_version})`,
       });
-      
-      fetchData();
     } catch (error) {
       toast({
         title: "Error",
-        description: `Failed to ${action.toLowerCase()} job: ${error.message}`,
-        variant: "destructive"
+        description: error.message,
+        variant: "destructive",
       });
+      throw error;
     }
   };
 
+  const openManifestImport = () => {
+    const base = emptyDraft();
+    setManifestBaseDraft({
+      ...base,
+      patterns: { ...base.patterns, allowedExtensions: draft.patterns.allowedExtensions },
+      transferSettings: draft.transferSettings
+    });
+  };
+
+  const handleTemplateDelete = async () => {
+    try {
+      await JobTemplates.remove(selectedTemplate.id);
+      setTemplateRef(null);
+      await fetchTemplates();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message,
+        variant: "destructive",
+      });
+      throw error;
+    }
+  };
+
+  const fetchData = async () => {
+    try {
+      const [jobs, profilesData] = await Promise.all([
+        collectAll(SigniantApi.jobs.pages()),
+        SigniantApi.storageProfiles.list()
+      ]);
+
+      const enrichedTransfers = jobs.map(job => ({
+        ...job,
+        sourceProfile: profilesData.items.find(p => p.storageProfileId === job.actions?.[0]?.data?.source?.storageProfileId),
+        destinationProfile: profilesData.items.find(p => p.storageProfileId === job.actions?.[0]?.data?.destination?.storageProfileId)
+      }));
+
+      setAllTransfers(enrichedTransfers);
+    } catch (error) {
+      if (!isConnectionLost(error)) {
+        toast({
+          title: "Error",
+          description: error.message,
+          variant: "destructive"
+        });
+      }
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const lifecycle = useJobLifecycle(fetchData);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsUploading(true);
 
-    if (!fileName.endsWith('.mxf')) {
+    // Re-evaluate so {date} tokens reflect when the job is actually created
+    const current = evaluateDraft(draft, { profiles, userEmail, now: new Date() });
+    const { errors } = current;
+    if (errors.length > 0) {
       toast({
         title: "Validation Error",
-        description: "File must have .mxf extension",
+        description: errors[0],
         variant: "destructive",
       });
       setIsUploading(false);
@@ -184,55 +327,22 @@ const TransferManager = () => {
     }
 
     try {
-      const headers = await getAuthHeaders();
-      const jobBody = {
-        name: fileName,
-        actions: [{
-          type: "TRANSFER",
-          data: {
-            source: {
-              storageProfileId: selectedSource
-            },
-            destination: {
-              storageProfileId: selectedDestination
-            },
-            transferOptions: {
-              objectPatterns: {
-                inclusions: [fileNameWithWildcard],
-                type: "GLOB"
-              }
-            }
-          }
-        }],
-        triggers: [{
-          type: "MANUAL",
-          data: {
-            source: {
-              storageProfileId: selectedSource
-            }
-          }
-        }]
-      };
-
-      const response = await fetch(
-        "https://platform-api-service.services.cloud.signiant.com/v1/jobs",
-        {
-          method: 'POST',
-          headers,
-          body: JSON.stringify(jobBody)
-        }
-      );
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to create job');
-      }
-
-      const data = await response.json();
+      const body = cloneSource
+        ? buildCloneBody(cloneSource, {
+          name: current.jobName,
+          actionData: applyDraftToActionData(cloneSource.actions[0].data, draft, {
+            objectPatterns: current.objectPatterns,
+            destinationPath: current.resolvedDestination.path
+          }, { originalSettings: settingsFromActionData(cloneSource.actions[0].data) })
+        })
+        : current.body;
+      const data = await SigniantApi.jobs.create(body, {
+        audit: { action: cloneSource ? 'job.clone' : 'job.create' }
+      });
 
-      setFileName('');
-      setSelectedSource('');
-      setSelectedDestination('');
+      setDraft(emptyDraft());
+      setTemplateRef(null);
+      setCloneSource(null);
       
       toast({
         title: "Success",
@@ -259,107 +369,205 @@ const TransferManager = () => {
       return matchesSearch && matchesStatus;
     });
 
+  const pagination = usePagination(filteredTransfers, 20);
+
   return (
     <div className="p-6 space-y-6">
       <div className="flex justify-between items-center">
         <h1 className="text-2xl font-bold dark:text-white">Transfer Manager</h1>
-        <Button onClick={fetchData} size="sm">
-          <RefreshCw className="h-4 w-4 mr-2" />
-          Refresh
-        </Button>
+        <div className="flex gap-2">
+          <Button
+            onClick={openManifestImport}
+            size="sm"
+            variant="outline"
+            disabled={!canConfigure}
+          >
+            <FileUp className="h-4 w-4 mr-2" />
+            Import Manifest
+          </Button>
+          <Button onClick={fetchData} size="sm">
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </Button>
+        </div>
       </div>
 
       <Card className="mb-6 dark:bg-gray-800 dark:border-gray-700">
         <CardHeader>
-          <CardTitle className="dark:text-white">Create New Transfer Job</CardTitle>
+          <CardTitle className="dark:text-white">
+            {cloneSource ? 'Clone Transfer Job' : 'Create New Transfer Job'}
+          </CardTitle>
         </CardHeader>
         <CardContent>
+          {cloneSource && (
+            <div className="mb-4 flex items-center justify-between rounded-md bg-blue-50 dark:bg-blue-900/20 px-3 py-2 text-sm text-blue-800 dark:text-blue-300">
+              <span className="flex items-center gap-2">
+                <Copy className="h-4 w-4" />
+                Cloning &ldquo;{cloneSource.name}&rdquo;. Its triggers and transfer settings are copied along with the changes below.
+              </span>
+              <Button type="button" variant="ghost" size="sm" onClick={cancelClone} title="Start a new job instead">
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          )}
           <form onSubmit={handleSubmit} className="space-y-4">
+            <JobTemplateBar
+              templates={templates}
+              currentUserId={userId}
+              value={selectedVersion ? templateRef : null}
+              onChange={handleTemplateChange}
+              onSaveClick={() => setTemplateDialog('save')}
+              onBulkClick={canConfigure ? () => setTemplateDialog('bulk') : undefined}
+              onDeleteClick={() => setTemplateDialog('delete')}
+            />
+
             <div className="space-y-2">
               <label className="text-sm font-medium dark:text-gray-200">
-                Source Profile (Select Ingest)
+                Source Profile
               </label>
-              <Select
-                value={selectedSource}
-                onValueChange={setSelectedSource}
-              >
-                <SelectTrigger className="bg-blue-50 border-blue-200 hover:border-blue-300 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200">
-                  <SelectValue placeholder="Select source profile" />
-                </SelectTrigger>
-                <SelectContent className="bg-white border-blue-200 dark:bg-gray-800 dark:border-gray-700">
-                  <div className="py-2 px-2 text-sm font-medium text-blue-600 bg-blue-50 dark:bg-gray-700 dark:text-blue-400">
-                    On-Premise Storage
-                  </div>
-                  {sources.map(profile => (
-                    <SelectItem
-                      key={profile.storageProfileId}
-                      value={profile.storageProfileId}
-                      className="hover:bg-blue-50 focus:bg-blue-100 dark:hover:bg-gray-700 dark:focus:bg-gray-600 dark:text-gray-200"
-                    >
-                      {profile.name}
-                    </SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
+              <StorageProfileSelect
+                value={draft.sourceProfileId}
+                onValueChange={setDraftField('sourceProfileId')}
+                profiles={profiles}
+                placeholder="Select source profile"
+                triggerClassName="bg-blue-50 border-blue-200 hover:border-blue-300 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200"
+              />
             </div>
 
             <div className="space-y-2">
               <label className="text-sm font-medium dark:text-gray-200">
-                Destination Profile (Select AWS S3 Folder)
+                Destination Profile
               </label>
-              <Select
-                value={selectedDestination}
-                onValueChange={setSelectedDestination}
-              >
-                <SelectTrigger className="bg-green-50 border-green-200 hover:border-green-300 focus:ring-green-500 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200">
-                  <SelectValue placeholder="Select destination profile" />
-                </SelectTrigger>
-                <SelectContent className="bg-white border-green-200 dark:bg-gray-800 dark:border-gray-700">
-                  <div className="py-2 px-2 text-sm font-medium text-green-600 bg-green-50 dark:bg-gray-700 dark:text-green-400">
-                    AWS S3 Storage
-                  </div>
-                  {destinations.map(profile => (
-                    <SelectItem
-                      key={profile.storageProfileId}
-                      value={profile.storageProfileId}
-                      className="hover:bg-green-50 focus:bg-green-100 dark:hover:bg-gray-700 dark:focus:bg-gray-600 dark:text-gray-200"
-                    >
-                      {profile.name}
-                    </SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
+              <StorageProfileSelect
+                value={draft.destinationProfileId}
+                onValueChange={setDraftField('destinationProfileId')}
+                profiles={profiles}
+                placeholder="Select destination profile"
+                getDisabledReason={(profile) => getCombinationError(sourceProfile, profile)}
+                triggerClassName="bg-green-50 border-green-200 hover:border-green-300 focus:ring-green-500 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200"
+              />
+              {combinationError && (
+                <p className="text-sm text-red-600 dark:text-red-400">{combinationError}</p>
+              )}
             </div>
 
+            {destinationType && (
+              <DestinationPathField
+                typeInfo={destinationType}
+                profileName={destinationProfile.name}
+                value={draft.destinationPath}
+                onChange={setDraftField('destinationPath')}
+                resolvedPath={evaluation.resolvedDestination.path}
+                error={evaluation.destinationPathError}
+              />
+            )}
+
             <div className="space-y-2">
               <label className="text-sm font-medium dark:text-gray-200">
-                MXF File Name
+                Job Name
               </label>
               <Input
                 type="text"
-                value={fileName}
-                onChange={(e) => setFileName(e.target.value)}
-                placeholder="Enter filename (e.g., DELETETEST_10242024_01d.mxf)"
-                required
+                value={draft.jobName}
+                onChange={(e) => setDraftField('jobName')(e.target.value)}
+                placeholder={deriveJobName(selection) || 'Defaults to the first file or pattern'}
                 className="dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 dark:placeholder-gray-400"
               />
-              <p className="text-sm text-gray-500 dark:text-gray-400">
-                File must have .mxf extension
-              </p>
+            </div>
+
+            <ObjectPatternsFields
+              value={draft.patterns}
+              onChange={setDraftField('patterns')}
+              objectPatterns={evaluation.objectPatterns}
+              errors={hasPatternInput ? evaluation.patternErrors : []}
+              onBrowse={() => setBrowserOpen(true)}
+              browseDisabled={!sourceProfile}
+            />
+
+            <StorageBrowser
+              isOpen={browserOpen}
+              profile={sourceProfile}
+              allowedExtensions={selection.allowedExtensions}
+              onSelect={handleBrowserSelect}
+              onClose={() => setBrowserOpen(false)}
+            />
+
+            <div className="rounded-md border border-gray-200 dark:border-gray-700">
+              <button
+                type="button"
+                onClick={() => setShowAdvanced(!showAdvanced)}
+                className="flex w-full items-center gap-2 px-3 py-2 text-sm font-medium dark:text-gray-200"
+              >
+                {showAdvanced ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                Advanced Options
+                {!showAdvanced && evaluation.transferSettingsErrors.length > 0 && (
+                  <span className="text-red-600 dark:text-red-400">({evaluation.transferSettingsErrors.length} to fix)</span>
+                )}
+              </button>
+              {showAdvanced && (
+                <div className="border-t border-gray-200 dark:border-gray-700 p-3">
+                  <TransferOptionsEditor
+                    value={draft.transferSettings}
+                    onChange={setDraftField('transferSettings')}
+                    errors={evaluation.transferSettingsErrors}
+                  />
+                </div>
+              )}
             </div>
 
             <Button
               type="submit"
-              disabled={isUploading}
+              disabled={!canConfigure || isUploading || evaluation.errors.length > 0}
+              title={canConfigure ? undefined : 'Your role cannot create jobs'}
               className="w-full"
             >
               {isUploading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
-              {isUploading ? 'Creating...' : 'Create Transfer Job'}
+              {isUploading ? 'Creating...' : cloneSource ? 'Create Clone' : 'Create Transfer Job'}
             </Button>
           </form>
         </CardContent>
       </Card>
 
+      {templateDialog === 'save' && (
+        <SaveTemplateDialog
+          template={selectedTemplate?.owner_id === userId ? selectedTemplate : null}
+          onSave={handleTemplateSave}
+          onClose={() => setTemplateDialog(null)}
+        />
+      )}
+
+      {templateDialog === 'bulk' && selectedVersion && (
+        <BulkCreateDialog
+          template={selectedTemplate}
+          version={selectedVersion}
+          profiles={profiles}
+          userEmail={userEmail}
+          onCreated={fetchData}
+          onClose={() => setTemplateDialog(null)}
+        />
+      )}
+
+      {manifestBaseDraft && (
+        <ManifestImportDialog
+          profiles={profiles}
+          userEmail={userEmail}
+          baseDraft={manifestBaseDraft}
+          onCreated={fetchData}
+          onClose={() => setManifestBaseDraft(null)}
+        />
+      )}
+
+      {templateDialog === 'delete' && selectedTemplate && (
+        <ConfirmDialog
+          title="Delete Template"
+          description={`Delete "${selectedTemplate.name}" and all ${selectedTemplate.versions.length} of its versions? Jobs already created from it are not affected.`}
+          confirmLabel="Delete"
+          destructive
+          onConfirm={handleTemplateDelete}
+          onClose={() => setTemplateDialog(null)}
+        />
+      )}
+
       <div className="flex gap-4 items-center mb-6">
         <div className="flex-1">
           <Input
@@ -408,7 +616,7 @@ const TransferManager = () => {
             </CardContent>
           </Card>
         ) : (
-          filteredTransfers.map(transfer => (
+          pagination.pageItems.map(transfer => (
             <Card key={transfer.jobId} className="relative dark:bg-gray-800 dark:border-gray-700">
               {transfer.triggers?.some(trigger => trigger.type === "HOT_FOLDER") && (
                 <Flame className="absolute top-2 right-2 h-6 w-6 text-red-500" />
@@ -427,26 +635,13 @@ const TransferManager = () => {
                   }>
                     {transfer.status}
                   </Badge>
-                  {transfer.status === "IN_PROGRESS" && (
-                    <Button 
-                      size="sm" 
-                      variant="outline" 
-                      onClick={() => handleJobAction(transfer.jobId, "PAUSE")}
-                      className="h-8 w-8 p-0 dark:border-gray-600 dark:hover:bg-gray-700"
-                    >
-                      <Pause className="h-4 w-4" />
-                    </Button>
-                  )}
-                  {transfer.status === "PAUSED" && (
-                    <Button 
-                      size="sm" 
-                      variant="outline"
-                      onClick={() => handleJobAction(transfer.jobId, "RESUME")}
-                      className="h-8 w-8 p-0 dark:border-gray-600 dark:hover:bg-gray-700"
-                    >
-                      <Play className="h-4 w-4" />
-                    </Button>
-                  )}
+                  <JobLifecycleControls
+                    job={transfer}
+                    onAction={lifecycle.runAction}
+                    pendingAction={lifecycle.pendingAction(transfer.jobId)}
+                    buttonClassName="h-8 w-8 p-0 dark:border-gray-600 dark:hover:bg-gray-700"
+                    disabled={!can('jobs.operate')}
+                  />
                 </div>
               </CardHeader>
               <CardContent>
@@ -501,6 +696,10 @@ const TransferManager = () => {
           ))
         )}
       </div>
+
+      {filteredTransfers.length > 0 && (
+        <TablePagination pagination={pagination} />
+      )}
     </div>
   );
 };
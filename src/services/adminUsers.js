@@ -0,0 +1,86 @@
+import { getAuthHeaders } from '../lib/auth-utils'
+import { SERVER_API_URL } from '../lib/signiant'
+
+// User administration goes through the dashboard server (server/adminUsers.js),
+// which holds the Supabase service role key. Admins only.
+
+/**
+ * @typedef {Object} ManagedUser
+ * @property {string} id
+ * @property {string} email
+ * @property {string} createdAt
+ * @property {string|null} invitedAt
+ * @property {string|null} emailConfirmedAt
+ * @property {string|null} lastSignInAt
+ * @property {'viewer'|'operator'|'admin'} role
+ * @property {'pending'|'active'|'disabled'} status
+ * @property {string[]} teamIds
+ */
+
+const adminRequest = async (path, { method = 'GET', body } = {}) => {
+    const response = await fetch(`${SERVER_API_URL}/admin${path}`, {
+        method,
+        headers: await getAuthHeaders(),
+        body: body === undefined ? undefined : JSON.stringify(body)
+    })
+    const payload = await response.json().catch(() => null)
+
+    if (!response.ok) {
+        console.error('Admin request error details:', payload)
+        throw new Error(payload?.message || `${method} ${path} failed with status ${response.status}`)
+    }
+    return payload
+}
+
+export const AdminUsers = {
+    /** @returns {Promise<ManagedUser[]>} */
+    async list() {
+        try {
+            const { items } = await adminRequest('/users')
+            return items
+        } catch (error) {
+            console.error('List users error:', error)
+            throw error
+        }
+    },
+
+    /** @returns {Promise<{ id: string, name: string }[]>} */
+    async listTeams() {
+        try {
+            const { items } = await adminRequest('/teams')
+            return items
+        } catch (error) {
+            console.error('List teams error:', error)
+            throw error
+        }
+    },
+
+    async invite({ email, role, teamIds }) {
+        try {
+            return await adminRequest('/users/invite', { method: 'POST', body: { email, role, teamIds } })
+        } catch (error) {
+            console.error('Invite user error:', error)
+            throw error
+        }
+    },
+
+    /** @param {{ role?: string, status?: string, teamIds?: string[] }} changes */
+    async update(userId, changes) {
+        try {
+            await adminRequest(`/users/${userId}`, { method: 'PATCH', body: changes })
+        } catch (error) {
+            console.error('Update user error:', error)
+            throw error
+        }
+    },
+
+    /** Signs the user out everywhere and emails them a link to choose a new password */
+    async forcePasswordReset(userId) {
+        try {
+            await adminRequest(`/users/${userId}/password-reset`, { method: 'POST' })
+        } catch (error) {
+            console.error('Password reset error:', error)
+            throw error
+        }
+    }
+}
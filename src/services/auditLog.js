@@ -0,0 +1,61 @@
+import { supabase } from '../lib/supabase'
+
+// The dashboard's audit trail (supabase/migrations/*_audit_log.sql). Entries
+// are written by the dashboard server; the dashboard only reads them.
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} id
+ * @property {string} occurred_at
+ * @property {string} user_email
+ * @property {string} action - See AUDIT_ACTIONS in src/lib/auditLog.js
+ * @property {string} [job_id]
+ * @property {string} [job_name]
+ * @property {Object} [request] - The body sent to the Platform API
+ * @property {'success'|'failure'} outcome
+ * @property {number} [status] - HTTP status of a failed request
+ * @property {string} [error]
+ */
+
+// Entries loaded per search; narrow the filters to see older ones
+export const AUDIT_SEARCH_LIMIT = 1000
+
+export const AuditLog = {
+    /**
+     * Newest first. Every filter is optional; `search` matches the job id,
+     * job name or user email.
+     * @param {{ from?: string, to?: string, action?: string, outcome?: string, search?: string }} filters
+     * @returns {Promise<AuditEntry[]>}
+     */
+    async search({ from, to, action, outcome, search } = {}) {
+        try {
+            let query = supabase
+                .from('audit_log')
+                .select('*')
+                .order('occurred_at', { ascending: false })
+                .limit(AUDIT_SEARCH_LIMIT)
+
+            if (from) query = query.gte('occurred_at', from)
+            if (to) query = query.lte('occurred_at', to)
+            if (action) query = query.eq('action', action)
+            if (outcome) query = query.eq('outcome', outcome)
+            if (search) {
+                // Commas and parentheses would break the or() filter syntax
+                const term = search.replace(/[,()]/g, ' ').trim()
+                query = query.or(`job_id.ilike.%${term}%,job_name.ilike.%${term}%,user_email.ilike.%${term}%`)
+            }
+
+            const { data, error } = await query
+
+            if (error) {
+                console.error('Search audit log error details:', error)
+                throw new Error(error.message || 'Failed to load audit log')
+            }
+
+            return data
+        } catch (error) {
+            console.error('Search audit log error:', error)
+            throw error
+        }
+    }
+}
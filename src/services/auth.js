@@ -67,6 +67,39 @@ export const SigniantAuth = {
         }
     },
 
+    // Emails a link to /reset-password. Succeeds whether or not the
+    // address has an account, so the form does not reveal which do.
+    async requestPasswordReset(email) {
+        try {
+            const { error } = await supabase.auth.resetPasswordForEmail(email, {
+                redirectTo: `${window.location.origin}/reset-password`
+            })
+
+            if (error) {
+                console.error('Password reset request error details:', error)
+                throw new Error(error.message || 'Failed to send password reset email')
+            }
+        } catch (error) {
+            console.error('Password reset request error:', error)
+            throw error
+        }
+    },
+
+    // Needs the session a reset or invite link signs the user in with
+    async updatePassword(password) {
+        try {
+            const { error } = await supabase.auth.updateUser({ password })
+
+            if (error) {
+                console.error('Update password error details:', error)
+                throw new Error(error.message || 'Failed to update password')
+            }
+        } catch (error) {
+            console.error('Update password error:', error)
+            throw error
+        }
+    },
+
     async getSession() {
         try {
             const { data: { session }, error } = await supabase.auth.getSession()
@@ -81,6 +114,20 @@ export const SigniantAuth = {
         }
     },
 
+    async refreshSession() {
+        try {
+            const { data: { session }, error } = await supabase.auth.refreshSession()
+            if (error) {
+                console.error('Refresh session error details:', error)
+                throw error
+            }
+            return session
+        } catch (error) {
+            console.error('Refresh session error:', error)
+            throw error
+        }
+    },
+
     isAuthenticated() {
         return this.getSession().then(session => !!session)
     },
@@ -0,0 +1,82 @@
+import { supabase } from '../lib/supabase'
+
+// Snapshots of deleted jobs (supabase/migrations/*_deleted_jobs.sql). Rows
+// are mapped to the camelCase snapshot shape used by src/lib/recycleBin.js.
+
+const fromRow = (row) => ({
+    snapshotId: row.id,
+    jobId: row.job_id,
+    jobName: row.job_name,
+    definition: row.definition,
+    deletedAt: row.deleted_at,
+    deletedBy: row.deleted_by_email,
+    restoredJobId: row.restored_job_id,
+    restoredAt: row.restored_at
+})
+
+export const DeletedJobs = {
+    async record(snapshot) {
+        try {
+            const { error } = await supabase
+                .from('deleted_jobs')
+                .insert({
+                    id: snapshot.snapshotId,
+                    job_id: snapshot.jobId,
+                    job_name: snapshot.jobName,
+                    definition: snapshot.definition,
+                    deleted_at: snapshot.deletedAt
+                })
+
+            if (error) {
+                console.error('Record deleted job error details:', error)
+                throw new Error(error.message || 'Failed to snapshot deleted job')
+            }
+        } catch (error) {
+            console.error('Record deleted job error:', error)
+            throw error
+        }
+    },
+
+    /** Snapshots taken after `since` (an ISO timestamp), newest first. */
+    async listSince(since) {
+        try {
+            const { data, error } = await supabase
+                .from('deleted_jobs')
+                .select('*')
+                .gte('deleted_at', since)
+                .order('deleted_at', { ascending: false })
+
+            if (error) {
+                console.error('List deleted jobs error details:', error)
+                throw new Error(error.message || 'Failed to load deleted jobs')
+            }
+
+            return data.map(fromRow)
+        } catch (error) {
+            console.error('List deleted jobs error:', error)
+            throw error
+        }
+    },
+
+    async markRestored(snapshotId, restoredJobId) {
+        try {
+            const { data: { session } } = await supabase.auth.getSession()
+            const { error } = await supabase
+                .from('deleted_jobs')
+                .update({
+                    restored_job_id: restoredJobId,
+                    restored_by: session?.user?.id,
+                    restored_at: new Date().toISOString()
+                })
+                .eq('id', snapshotId)
+
+            if (error) {
+                console.error('Mark job restored error details:', error)
+                throw new Error(error.message || 'Failed to record restore')
+            }
+        } catch (error) {
+            console.error('Mark job restored error:', error)
+            throw error
+        }
+    }
+}
@@ -0,0 +1,98 @@
+import { supabase } from '../lib/supabase'
+
+// TOTP (authenticator app) second factors. Verifying a code raises the
+// session from aal1 to aal2, which pages and server calls that can destroy
+// data require (see MFA_PERMISSIONS in lib/permissions).
+
+export const Mfa = {
+    /**
+     * `currentLevel` is what the session has; `nextLevel` is 'aal2' once the
+     * user has a verified factor, i.e. what a challenge would raise it to.
+     * @returns {Promise<{ currentLevel: 'aal1'|'aal2'|null, nextLevel: 'aal1'|'aal2'|null }>}
+     */
+    async getAssuranceLevel() {
+        try {
+            const { data, error } = await supabase.auth.mfa.getAuthenticatorAssuranceLevel()
+
+            if (error) {
+                console.error('Get assurance level error details:', error)
+                throw new Error(error.message || 'Failed to check two-factor authentication')
+            }
+
+            return { currentLevel: data.currentLevel, nextLevel: data.nextLevel }
+        } catch (error) {
+            console.error('Get assurance level error:', error)
+            throw error
+        }
+    },
+
+    /** All of the user's TOTP factors, including ones never verified */
+    async listTotpFactors() {
+        try {
+            const { data, error } = await supabase.auth.mfa.listFactors()
+
+            if (error) {
+                console.error('List factors error details:', error)
+                throw new Error(error.message || 'Failed to load authenticator apps')
+            }
+
+            return data.all.filter(factor => factor.factor_type === 'totp')
+        } catch (error) {
+            console.error('List factors error:', error)
+            throw error
+        }
+    },
+
+    /**
+     * Starts enrolling an authenticator app. The factor stays unverified,
+     * and does not count, until `verify` succeeds with a code from the app.
+     * @returns {Promise<{ id: string, totp: { qr_code: string, secret: string, uri: string } }>}
+     */
+    async enrollTotp(friendlyName) {
+        try {
+            const { data, error } = await supabase.auth.mfa.enroll({ factorType: 'totp', friendlyName })
+
+            if (error) {
+                console.error('Enroll factor error details:', error)
+                throw new Error(error.message || 'Failed to set up the authenticator app')
+            }
+
+            return data
+        } catch (error) {
+            console.error('Enroll factor error:', error)
+            throw error
+        }
+    },
+
+    async verify(factorId, code) {
+        try {
+            const { error } = await supabase.auth.mfa.challengeAndVerify({ factorId, code })
+
+            if (error) {
+                console.error('Verify factor error details:', error)
+                throw new Error(
+                    error.message?.includes('Invalid TOTP code')
+                        ? 'That code is not valid. Check the time on your device and try again.'
+                        : error.message || 'Failed to verify the code'
+                )
+            }
+        } catch (error) {
+            console.error('Verify factor error:', error)
+            throw error
+        }
+    },
+
+    async unenroll(factorId) {
+        try {
+            const { error } = await supabase.auth.mfa.unenroll({ factorId })
+
+            if (error) {
+                console.error('Unenroll factor error details:', error)
+                throw new Error(error.message || 'Failed to remove the authenticator app')
+            }
+        } catch (error) {
+            console.error('Unenroll factor error:', error)
+            throw error
+        }
+    }
+}
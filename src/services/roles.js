@@ -0,0 +1,33 @@
+import { supabase } from '../lib/supabase'
+
+// Dashboard roles (supabase/migrations/*_user_roles.sql)
+
+export const UserRoles = {
+    /**
+     * The signed-in user's role and account status. Accounts start out
+     * 'pending' until an admin approves them.
+     * @returns {Promise<{ role: string, status: 'pending'|'active'|'disabled' }|null>}
+     */
+    async getCurrent() {
+        try {
+            const { data: { session } } = await supabase.auth.getSession()
+            if (!session) return null
+
+            const { data, error } = await supabase
+                .from('user_roles')
+                .select('role, status')
+                .eq('user_id', session.user.id)
+                .maybeSingle()
+
+            if (error) {
+                console.error('Get role error details:', error)
+                throw new Error(error.message || 'Failed to load your role')
+            }
+
+            return { role: data?.role || 'viewer', status: data?.status || 'pending' }
+        } catch (error) {
+            console.error('Get role error:', error)
+            throw error
+        }
+    }
+}
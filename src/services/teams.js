@@ -0,0 +1,36 @@
+import { supabase } from '../lib/supabase'
+
+// Teams and their members (supabase/migrations/*_teams.sql)
+
+/**
+ * @typedef {Object} Team
+ * @property {string} id
+ * @property {string} name
+ * @property {string[]} storage_profile_ids
+ * @property {string[]} job_name_prefixes
+ */
+
+export const Teams = {
+    /** @returns {Promise<Team[]>} The teams the signed-in user belongs to */
+    async listMine() {
+        try {
+            const { data: { session } } = await supabase.auth.getSession()
+            if (!session) return []
+
+            const { data, error } = await supabase
+                .from('team_members')
+                .select('team:teams(*)')
+                .eq('user_id', session.user.id)
+
+            if (error) {
+                console.error('List teams error details:', error)
+                throw new Error(error.message || 'Failed to load your teams')
+            }
+
+            return data.map(membership => membership.team).filter(Boolean)
+        } catch (error) {
+            console.error('List teams error:', error)
+            throw error
+        }
+    }
+}
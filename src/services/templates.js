@@ -0,0 +1,135 @@
+import { supabase } from '../lib/supabase'
+
+// Job templates live in Supabase (supabase/migrations/*_job_templates.sql).
+// A template's definition is a JobDraft (src/lib/jobDraft.js). Every save
+// adds a new immutable version, so jobs already created from a template keep
+// matching the version they were created from.
+
+/**
+ * @typedef {Object} JobTemplateVersion
+ * @property {number} version
+ * @property {import('../lib/jobDraft').JobDraft} definition
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} JobTemplate
+ * @property {string} id
+ * @property {string} owner_id
+ * @property {string} owner_email
+ * @property {string} name
+ * @property {string} description
+ * @property {boolean} shared
+ * @property {number} current_version
+ * @property {string} updated_at
+ * @property {JobTemplateVersion[]} versions - Newest first
+ */
+
+const TEMPLATE_COLUMNS = '*, versions:job_template_versions(version, definition, created_at)'
+
+const sortVersions = (template) => ({
+    ...template,
+    versions: [...(template.versions || [])].sort((a, b) => b.version - a.version)
+})
+
+export const JobTemplates = {
+    /** Templates the user owns plus those shared with the team. */
+    async list() {
+        try {
+            const { data, error } = await supabase
+                .from('job_templates')
+                .select(TEMPLATE_COLUMNS)
+                .order('name')
+
+            if (error) {
+                console.error('List templates error details:', error)
+                throw new Error(error.message || 'Failed to load templates')
+            }
+
+            return data.map(sortVersions)
+        } catch (error) {
+            console.error('List templates error:', error)
+            throw error
+        }
+    },
+
+    async create({ name, description, shared, definition }) {
+        try {
+            const { data, error } = await supabase.rpc('create_job_template', {
+                p_name: name,
+                p_description: description,
+                p_shared: shared,
+                p_definition: definition
+            })
+
+            if (error) {
+                console.error('Create template error details:', error)
+                throw new Error(error.message || 'Failed to create template')
+            }
+
+            return data
+        } catch (error) {
+            console.error('Create template error:', error)
+            throw error
+        }
+    },
+
+    /** Adds a new version; earlier versions are left untouched. */
+    async saveVersion(templateId, definition) {
+        try {
+            const { data, error } = await supabase.rpc('add_job_template_version', {
+                p_template_id: templateId,
+                p_definition: definition
+            })
+
+            if (error) {
+                console.error('Save template version error details:', error)
+                throw new Error(error.message || 'Failed to save template')
+            }
+
+            return data
+        } catch (error) {
+            console.error('Save template version error:', error)
+            throw error
+        }
+    },
+
+    /** Renames or (un)shares a template without creating a version. */
+    async updateDetails(templateId, { name, description, shared }) {
+        try {
+            const { data, error } = await supabase
+                .from('job_templates')
+                .update({ name, description, shared, updated_at: new Date().toISOString() })
+                .eq('id', templateId)
+                .select()
+                .single()
+
+            if (error) {
+                console.error('Update template error details:', error)
+                throw new Error(error.message || 'Failed to update template')
+            }
+
+            return data
+        } catch (error) {
+            console.error('Update template error:', error)
+            throw error
+        }
+    },
+
+    async remove(templateId) {
+        try {
+            const { error } = await supabase
+                .from('job_templates')
+                .delete()
+                .eq('id', templateId)
+
+            if (error) {
+                console.error('Delete template error details:', error)
+                throw new Error(error.message || 'Failed to delete template')
+            }
+        } catch (error) {
+            console.error('Delete template error:', error)
+            throw error
+        }
+    }
+}
@@ -0,0 +1,107 @@
+-- Job templates: named, versioned job drafts (see src/lib/jobDraft.js).
+-- A template points at its latest version; versions are immutable so jobs
+-- created from an older version can always be traced back to what was used.
+
+create table public.job_templates (
+    id uuid primary key default gen_random_uuid(),
+    owner_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    owner_email text not null default (auth.jwt() ->> 'email'),
+    name text not null check (length(trim(name)) > 0),
+    description text not null default '',
+    shared boolean not null default false,
+    current_version integer not null default 0,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table public.job_template_versions (
+    template_id uuid not null references public.job_templates (id) on delete cascade,
+    version integer not null check (version > 0),
+    definition jsonb not null,
+    created_by uuid not null default auth.uid() references auth.users (id),
+    created_at timestamptz not null default now(),
+    primary key (template_id, version)
+);
+
+alter table public.job_templates enable row level security;
+alter table public.job_template_versions enable row level security;
+
+create policy "Read own or shared templates" on public.job_templates
+    for select to authenticated
+    using (owner_id = auth.uid() or shared);
+
+create policy "Create own templates" on public.job_templates
+    for insert to authenticated
+    with check (owner_id = auth.uid());
+
+create policy "Update own templates" on public.job_templates
+    for update to authenticated
+    using (owner_id = auth.uid())
+    with check (owner_id = auth.uid());
+
+create policy "Delete own templates" on public.job_templates
+    for delete to authenticated
+    using (owner_id = auth.uid());
+
+create policy "Read versions of visible templates" on public.job_template_versions
+    for select to authenticated
+    using (exists (
+        select 1 from public.job_templates t
+        where t.id = template_id and (t.owner_id = auth.uid() or t.shared)
+    ));
+
+-- No update or delete policy: versions are append-only
+create policy "Add versions to own templates" on public.job_template_versions
+    for insert to authenticated
+    with check (created_by = auth.uid() and exists (
+        select 1 from public.job_templates t
+        where t.id = template_id and t.owner_id = auth.uid()
+    ));
+
+-- Appends a version and moves the template to it in one transaction, so two
+-- saves racing each other cannot both claim the same version number.
+create function public.add_job_template_version(p_template_id uuid, p_definition jsonb)
+returns public.job_templates
+language plpgsql
+security invoker
+as $$
+declare
+    result public.job_templates;
+begin
+    update public.job_templates
+    set current_version = current_version + 1,
+        updated_at = now()
+    where id = p_template_id and owner_id = auth.uid()
+    returning * into result;
+
+    if not found then
+        raise exception 'Template not found or not owned by you' using errcode = 'P0002';
+    end if;
+
+    insert into public.job_template_versions (template_id, version, definition)
+    values (result.id, result.current_version, p_definition);
+
+    return result;
+end;
+$$;
+
+create function public.create_job_template(
+    p_name text,
+    p_description text,
+    p_shared boolean,
+    p_definition jsonb
+)
+returns public.job_templates
+language plpgsql
+security invoker
+as $$
+declare
+    template_id uuid;
+begin
+    insert into public.job_templates (name, description, shared)
+    values (p_name, coalesce(p_description, ''), coalesce(p_shared, false))
+    returning id into template_id;
+
+    return public.add_job_template_version(template_id, p_definition);
+end;
+$$;
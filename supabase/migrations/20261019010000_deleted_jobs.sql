@@ -0,0 +1,52 @@
+-- Snapshots of deleted Platform jobs (see src/lib/recycleBin.js). A snapshot
+-- is written before the DELETE is sent, so a deleted job can be recreated
+-- from its definition. Restoring records the jobId of the recreated job.
+
+create table public.deleted_jobs (
+    id uuid primary key,
+    job_id text not null,
+    job_name text not null,
+    definition jsonb not null,
+    deleted_by uuid not null default auth.uid() references auth.users (id),
+    deleted_by_email text not null default (auth.jwt() ->> 'email'),
+    deleted_at timestamptz not null default now(),
+    restored_job_id text,
+    restored_by uuid references auth.users (id),
+    restored_at timestamptz
+);
+
+create index deleted_jobs_deleted_at_idx on public.deleted_jobs (deleted_at desc);
+
+alter table public.deleted_jobs enable row level security;
+
+-- Jobs are shared across the Signiant account, so their snapshots are too
+create policy "Read deleted jobs" on public.deleted_jobs
+    for select to authenticated
+    using (true);
+
+create policy "Snapshot jobs you delete" on public.deleted_jobs
+    for insert to authenticated
+    with check (deleted_by = auth.uid());
+
+create policy "Record restores" on public.deleted_jobs
+    for update to authenticated
+    using (restored_at is null)
+    with check (restored_by = auth.uid());
+
+-- Snapshots past the retention period; schedule with pg_cron if wanted:
+-- select cron.schedule('purge-deleted-jobs', '0 3 * * *', $$select public.purge_deleted_jobs(30)$$);
+create function public.purge_deleted_jobs(retention_days integer)
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+    with purged as (
+        delete from public.deleted_jobs
+        where deleted_at < now() - make_interval(days => retention_days)
+        returning 1
+    )
+    select count(*)::integer from purged;
+$$;
+
+revoke execute on function public.purge_deleted_jobs(integer) from public, anon, authenticated;
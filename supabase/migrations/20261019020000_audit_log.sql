@@ -0,0 +1,30 @@
+-- Audit log of every change the dashboard makes to Platform jobs (see
+-- src/lib/auditLog.js). Entries are append-only: there are no update or
+-- delete policies, so not even their author can rewrite them.
+
+create table public.audit_log (
+    id uuid primary key default gen_random_uuid(),
+    occurred_at timestamptz not null default now(),
+    user_id uuid not null default auth.uid() references auth.users (id),
+    user_email text not null default (auth.jwt() ->> 'email'),
+    action text not null,
+    job_id text,
+    job_name text,
+    request jsonb,
+    outcome text not null check (outcome in ('success', 'failure')),
+    status integer,
+    error text
+);
+
+create index audit_log_occurred_at_idx on public.audit_log (occurred_at desc);
+create index audit_log_job_id_idx on public.audit_log (job_id);
+
+alter table public.audit_log enable row level security;
+
+create policy "Read audit log" on public.audit_log
+    for select to authenticated
+    using (true);
+
+create policy "Record own actions" on public.audit_log
+    for insert to authenticated
+    with check (user_id = auth.uid());
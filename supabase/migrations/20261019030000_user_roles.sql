@@ -0,0 +1,72 @@
+-- Dashboard roles (see src/lib/permissions.js and server/permissions.js):
+--   viewer   - read-only
+--   operator - pause, resume, run, reconfigure and create jobs
+--   admin    - everything, including deleting jobs, the audit log and roles
+-- New users start as viewers. Promote the first admin from the SQL editor:
+--   update public.user_roles set role = 'admin'
+--   where user_id = (select id from auth.users where email = 'you@example.com');
+
+create table public.user_roles (
+    user_id uuid primary key references auth.users (id) on delete cascade,
+    role text not null default 'viewer' check (role in ('viewer', 'operator', 'admin')),
+    updated_by uuid references auth.users (id),
+    updated_at timestamptz not null default now()
+);
+
+insert into public.user_roles (user_id)
+select id from auth.users
+on conflict (user_id) do nothing;
+
+create function public.create_user_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    insert into public.user_roles (user_id) values (new.id)
+    on conflict (user_id) do nothing;
+    return new;
+end;
+$$;
+
+create trigger on_auth_user_created_role
+    after insert on auth.users
+    for each row execute function public.create_user_role();
+
+-- The caller's role. Security definer so policies on user_roles itself can
+-- use it without recursing.
+create function public.dashboard_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce((select role from public.user_roles where user_id = auth.uid()), 'viewer');
+$$;
+
+alter table public.user_roles enable row level security;
+
+create policy "Read own role" on public.user_roles
+    for select to authenticated
+    using (user_id = auth.uid() or public.dashboard_role() = 'admin');
+
+create policy "Admins assign roles" on public.user_roles
+    for update to authenticated
+    using (public.dashboard_role() = 'admin')
+    with check (public.dashboard_role() = 'admin' and updated_by = auth.uid());
+
+-- Only admins may read the audit log
+drop policy "Read audit log" on public.audit_log;
+
+create policy "Admins read audit log" on public.audit_log
+    for select to authenticated
+    using (public.dashboard_role() = 'admin');
+
+-- Deleting is for admins; restoring recreates a job, which operators may do
+alter policy "Snapshot jobs you delete" on public.deleted_jobs
+    with check (deleted_by = auth.uid() and public.dashboard_role() = 'admin');
+
+alter policy "Record restores" on public.deleted_jobs
+    using (restored_at is null and public.dashboard_role() in ('operator', 'admin'));
@@ -0,0 +1,49 @@
+-- Teams sharing the Signiant account (see src/lib/teamScope.js). A team
+-- narrows what its members see: jobs whose name starts with one of its
+-- prefixes and which use its storage profiles, and only those profiles in
+-- the pickers. An empty list does not narrow that dimension. Admins and
+-- users who belong to no team see everything.
+--
+--   insert into public.teams (name, storage_profile_ids, job_name_prefixes)
+--   values ('Promo', array['<storageProfileId>', ...], array['PROMO-']);
+--   insert into public.team_members (team_id, user_id) values (...);
+
+create table public.teams (
+    id uuid primary key default gen_random_uuid(),
+    name text not null unique check (length(trim(name)) > 0),
+    storage_profile_ids text[] not null default '{}',
+    job_name_prefixes text[] not null default '{}',
+    created_at timestamptz not null default now()
+);
+
+create table public.team_members (
+    team_id uuid not null references public.teams (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    primary key (team_id, user_id)
+);
+
+create index team_members_user_id_idx on public.team_members (user_id);
+
+alter table public.teams enable row level security;
+alter table public.team_members enable row level security;
+
+create policy "Read own teams" on public.teams
+    for select to authenticated
+    using (
+        public.dashboard_role() = 'admin'
+        or exists (select 1 from public.team_members m where m.team_id = id and m.user_id = auth.uid())
+    );
+
+create policy "Admins manage teams" on public.teams
+    for all to authenticated
+    using (public.dashboard_role() = 'admin')
+    with check (public.dashboard_role() = 'admin');
+
+create policy "Read own memberships" on public.team_members
+    for select to authenticated
+    using (user_id = auth.uid() or public.dashboard_role() = 'admin');
+
+create policy "Admins manage memberships" on public.team_members
+    for all to authenticated
+    using (public.dashboard_role() = 'admin')
+    with check (public.dashboard_role() = 'admin');
@@ -0,0 +1,20 @@
+-- Account approval (see server/adminUsers.js). Self-registered users wait
+-- as 'pending' until an admin approves them; invited users are approved on
+-- invite. Disabled users are also banned in Supabase auth so they cannot
+-- sign in. Only 'active' users have a role.
+
+alter table public.user_roles
+    add column status text not null default 'active' check (status in ('pending', 'active', 'disabled'));
+
+-- Existing users stay active; everyone registering from now on starts pending
+alter table public.user_roles alter column status set default 'pending';
+
+create or replace function public.dashboard_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select role from public.user_roles where user_id = auth.uid() and status = 'active';
+$$;
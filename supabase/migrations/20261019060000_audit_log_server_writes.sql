@@ -0,0 +1,5 @@
+-- Audit entries are now written by the dashboard server (server/auditLog.js)
+-- with the service role, against the user it has verified, so the dashboard
+-- can no longer insert, skip or misattribute them itself.
+
+drop policy "Record own actions" on public.audit_log;
@@ -0,0 +1,16 @@
+-- Ends every session a user has (see forcePasswordReset in
+-- server/adminUsers.js). The auth admin API can only sign out a session whose
+-- access token it is given, so the sessions are deleted directly; their
+-- refresh tokens go with them.
+
+create function public.sign_out_user(target_user_id uuid)
+returns void
+language sql
+security definer
+set search_path = auth
+as $$
+    delete from auth.sessions where user_id = target_user_id;
+$$;
+
+revoke execute on function public.sign_out_user(uuid) from public, anon, authenticated;
+grant execute on function public.sign_out_user(uuid) to service_role;
@@ -0,0 +1,10 @@
+-- Tightens access to deleted job snapshots (see 20261019010000_deleted_jobs.sql).
+
+-- Snapshots hold full job definitions, so only approved users may read them
+alter policy "Read deleted jobs" on public.deleted_jobs
+    using (public.dashboard_role() is not null);
+
+-- A restore may only fill in the restored_* columns; the snapshot itself and
+-- who deleted it stay as they were written
+revoke update on public.deleted_jobs from anon, authenticated;
+grant update (restored_job_id, restored_by, restored_at) on public.deleted_jobs to authenticated;
@@ -1,6 +1,20 @@
 import path from "path"
 import react from "@vitejs/plugin-react"
 import { defineConfig } from "vite"
+
+// The dashboard server (server/index.js) holds the Signiant client secret and
+// forwards Platform API calls, so the browser never talks to Signiant directly.
+const apiServer = process.env.API_SERVER_URL || `http://localhost:${process.env.SERVER_PORT || 8787}`
+
+// SIGNIANT_MOCK=1 sends Platform API calls, and the Signiant connection check,
+// straight to the mock Platform API (npm run mock:signiant). Everything else
+// under /api (e.g. the admin Users routes) still goes to the dashboard server.
+// Going straight to the mock skips the server's role and two-factor checks and
+// its audit log; to exercise those, leave SIGNIANT_MOCK unset and point the server's
+// SIGNIANT_API_URL at the mock instead.
+const mockServer = process.env.SIGNIANT_MOCK
+  ? process.env.MOCK_SIGNIANT_URL || `http://localhost:${process.env.MOCK_SIGNIANT_PORT || 8788}`
+  : null
  
 export default defineConfig({
   plugins: [react()],
@@ -17,11 +31,24 @@ export default defineConfig({
         rewrite: (path) => path.replace(/^\/identity-api/, ''),
         secure: true
       },
-      '/platform-api': {
-        target: 'https://platform-api-service.services.cloud.signiant.com',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/platform-api/, ''),
-        secure: true
+      '/platform-api': mockServer
+        ? {
+            target: mockServer,
+            changeOrigin: true,
+            rewrite: (path) => path.replace(/^\/platform-api/, '')
+          }
+        : {
+            target: apiServer,
+            changeOrigin: true
+          },
+      // Before '/api': the first matching prefix wins
+      '/api/signiant': {
+        target: mockServer || apiServer,
+        changeOrigin: true
+      },
+      '/api': {
+        target: apiServer,
+        changeOrigin: true
       }
     }
   }